@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+// Command-line runner: simulates one workload to completion and prints a JSON summary.
+const fs = require('fs');
+const path = require('path');
+const { Simulation, createProcesses, parseFaults } = require('./engine/simulation');
+const { registerStrategy, listStrategies } = require('./engine/strategies');
+const { Comparison } = require('./engine/comparison');
+const { Sweep, parseSweepSpec, sweepTable } = require('./engine/sweep');
+const { createSnapshot, restoreSnapshot } = require('./engine/snapshot');
+const { EXPORT_DATASETS, exportTable, toCsv, exportJson } = require('./engine/export');
+const { parseTrace } = require('./engine/trace');
+const { parseScenario } = require('./engine/scenario');
+const { parseDistributionSpec, normalizeGeneratorConfig } = require('./engine/workload');
+const { normalizeTopology } = require('./engine/topology');
+const { parseCapacities } = require('./engine/resources');
+const { normalizeTuning } = require('./engine/tuning');
+const { normalizePowerModel } = require('./engine/energy');
+
+const USAGE = `Usage: node cli.js [options]
+
+Options:
+  --workload <file>     CSV or JSON trace of processes (id, arrival, burst, priority)
+                        (default: 8 random processes)
+  --arrival <spec>      generate arrivals over the run: poisson[:rate=R],
+                        periodic[:period=P,batch=B], onoff[:onRate=..,offRate=..,
+                        onLength=..,offLength=..], uniform[:count=N,window=W]
+  --burst <spec>        burst distribution for generated processes: uniform[:min,max],
+                        exponential[:mean], pareto[:alpha,min,max],
+                        bimodal[:short,long,longFraction]
+  --io <spec>           I/O pattern for generated processes: none or
+                        alternating[:fraction=F,cpu=C,wait=W] (a fraction F
+                        alternate CPU bursts of mean C with I/O waits of mean W)
+  --memory <spec>       memory demand of generated processes: none,
+                        uniform[:min,max], exponential[:mean] or
+                        bimodal[:short,long,longFraction]
+  --duration <n>        ticks over which generated processes arrive (default: 500)
+  --scheduler <specs>   local scheduler: fcfs, sjf, srtf, rr[:quantum=Q] or
+                        priority[:agingInterval=A]; separate several with ';' to
+                        repeat them across processors (default: fcfs)
+  --threshold <n>       load gap above which strategies migrate (default: 30)
+  --interval <n>        ticks between balancing rounds (default: 5)
+  --moves <n>           migrations a balancing round may make (default: 1)
+  --auto-tune <spec>    let a feedback controller tune --threshold and --interval
+                        from the observed imbalance and migration churn: "on", or
+                        settings such as targetImbalance=0.2,targetChurn=0.3,
+                        gain=0.2,maxMoves=8,minInterval=1,maxInterval=20,
+                        repeatWindow=20 (ticks within which moving a process
+                        again counts as churn); rounds then move up to one
+                        process per threshold of load gap
+  --power <spec>        energy model: governor=performance|ondemand|powersave,
+                        frequencies=0.5/0.75/1, sleepAfter=<idle ticks>|never,
+                        wakeLatency, wakeEnergy, staticPower, dynamicPower,
+                        idlePower, sleepPower, horizon (ondemand target drain
+                        time), e.g. governor=ondemand,sleepAfter=5,wakeLatency=2
+  --migration-delay <n> ticks a migrating process spends in transfer (default: 0)
+  --affinity-penalty <n>
+                        extra work added to a process each time it migrates (default: 0)
+  --faults <list>       scheduled failures, recoveries and hot-adds, e.g.
+                        fail:2@100,recover:2@300,add:1.5@150 (fail:2:restart@100
+                        overrides the failure policy for one failure)
+  --scenario <file>     timed events applied during the run, one per line (e.g.
+                        "@100 inject 30 burst=80", "@200 algorithm adaptive",
+                        "@300 threshold 10", "@400 speed 2 50%") or as JSON
+  --failure-policy <p>  what happens to processes on a failed processor:
+                        evacuate (keep progress) or restart (default: evacuate)
+  --seed <n>            seed for random workload generation (default: random)
+  --algorithm <name>    balancing strategy id (default: dynamic); see --list
+  --compare <ids>       run the same workload under each comma-separated algorithm
+                        and print a comparison with per-metric winners
+  --sweep <spec>        sweep one parameter over comma-separated values, e.g.
+                        threshold=10,20,40; parameters are threshold, interval,
+                        processors and load (× arrival rate); a bare name
+                        sweeps default values. Runs --trials seeded trials per
+                        value for each --compare algorithm (or --algorithm)
+                        and prints mean, std dev and 95% confidence intervals
+  --trials <n>          trials per sweep point (default: 10)
+  --plugin <file>       require a module that registers extra strategies
+                        (it may call registerStrategy or export strategy objects)
+  --processors <n>      number of processors (default: 4)
+  --speeds <list>       comma-separated processor speed factors, repeated across
+                        processors, e.g. 2,2,1,1 (default: 1)
+  --capacities <list>   per-processor resource capacities separated by ';',
+                        repeated across processors, e.g. "memory=4096;memory=2048"
+                        (default: unlimited); processes that fit nowhere wait
+                        in an admission queue, ones larger than every
+                        processor are rejected
+  --topology <spec>     processor topology: flat, numa[:nodeSize=N,remote=D],
+                        ring[:nodeSize=N,remote=D] or
+                        mesh[:nodeSize=N,remote=D,columns=C]; migration cost
+                        scales with the distance of each move (default: flat)
+  --distances <rows>    per-processor distance matrix instead of --topology,
+                        rows separated by ';', e.g. "0,1,2;1,0,1;2,1,0";
+                        symmetric, one row per processor
+  --ticks <n>           tick limit (default: 10000); with --resume, the ticks to
+                        run past the snapshot's tick
+  --resume <file>       continue a run from a saved snapshot; everything but
+                        --ticks, --save-snapshot, --export and --plugin comes
+                        from the snapshot
+  --save-snapshot <file>
+                        write the final simulator state as a snapshot
+  --export <dir>        write processes.csv, history.csv, migrations.csv,
+                        events.csv, processors.csv, disturbances.csv and
+                        export.json into <dir> (with --sweep: sweep.csv and
+                        sweep.json)
+  --list                list available balancing strategies
+  --help                show this message`;
+
+const DEFAULTS = {
+    workload: null,
+    arrival: null,
+    burst: null,
+    io: null,
+    memory: null,
+    duration: null,
+    seed: null,
+    algorithm: 'dynamic',
+    plugin: null,
+    compare: null,
+    sweep: null,
+    trials: 10,
+    processors: 4,
+    speeds: '1',
+    capacities: '',
+    topology: 'flat',
+    distances: null,
+    scheduler: 'fcfs',
+    threshold: null,
+    interval: null,
+    moves: null,
+    'auto-tune': null,
+    power: '',
+    'migration-delay': 0,
+    'affinity-penalty': 0,
+    faults: null,
+    scenario: null,
+    'failure-policy': 'evacuate',
+    ticks: 10000,
+    resume: null,
+    'save-snapshot': null,
+    export: null
+};
+
+// Options a resumed run takes; the snapshot sets everything else.
+const RESUME_OPTIONS = ['resume', 'ticks', 'save-snapshot', 'export', 'plugin'];
+
+// -------------------------
+// Argument Parsing
+// -------------------------
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const options = Object.assign({}, DEFAULTS);
+    const given = new Set();
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (arg === '--list') {
+            options.list = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            throw new UsageError(`Unexpected argument: ${arg}`);
+        }
+        const [name, inline] = arg.slice(2).split('=', 2);
+        if (!(name in DEFAULTS)) {
+            throw new UsageError(`Unknown option: --${name}`);
+        }
+        const value = inline !== undefined ? inline : argv[++i];
+        if (value === undefined) {
+            throw new UsageError(`Missing value for --${name}`);
+        }
+        options[name] = value;
+        given.add(name);
+    }
+
+    const generated = options.arrival || options.burst || options.duration || options.io || options.memory;
+    if (options.workload && generated) {
+        throw new UsageError('--workload cannot be combined with --arrival, --burst, --duration, --io or --memory');
+    }
+    const conflicting = Array.from(given).filter(name => !RESUME_OPTIONS.includes(name));
+    if (options.resume && conflicting.length) {
+        throw new UsageError(`--resume cannot be combined with ${conflicting.map(name => `--${name}`).join(', ')}; ` +
+            'the snapshot sets them');
+    }
+    if (options.distances && options.topology !== 'flat') {
+        throw new UsageError('--distances cannot be combined with --topology');
+    }
+    if ((options['save-snapshot'] || options.export) && options.compare && !options.sweep) {
+        throw new UsageError('--save-snapshot and --export cannot be combined with --compare');
+    }
+    if (options['save-snapshot'] && options.sweep) {
+        throw new UsageError('--save-snapshot cannot be combined with --sweep');
+    }
+    options.processors = parsePositiveInt(options.processors, 'processors');
+    options.ticks = parsePositiveInt(options.ticks, 'ticks');
+    options.trials = parsePositiveInt(options.trials, 'trials');
+    return options;
+}
+
+function parsePositiveInt(value, name) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1) {
+        throw new UsageError(`--${name} must be a positive integer, got "${value}"`);
+    }
+    return n;
+}
+
+// -------------------------
+// Workload Loading
+// -------------------------
+function loadWorkload(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    return createProcesses(parseTrace(text, { name: file }));
+}
+
+function buildGenerator(options) {
+    if (!options.arrival && !options.burst && !options.duration && !options.io && !options.memory) return undefined;
+    return normalizeGeneratorConfig({
+        duration: options.duration !== null ? options.duration : undefined,
+        arrival: options.arrival ? parseDistributionSpec(options.arrival) : undefined,
+        burst: options.burst ? parseDistributionSpec(options.burst) : undefined,
+        io: options.io ? parseDistributionSpec(options.io) : undefined,
+        memory: options.memory ? parseDistributionSpec(options.memory) : undefined
+    });
+}
+
+// -------------------------
+// Strategy Plugins
+// -------------------------
+function loadPlugin(file) {
+    const exported = require(path.resolve(file));
+    const strategies = Array.isArray(exported) ? exported : [exported];
+    strategies
+        .filter(s => s && typeof s === 'object' && typeof s.place === 'function')
+        .forEach(registerStrategy);
+}
+
+// -------------------------
+// Exports
+// -------------------------
+function writeExports(simulation, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    Object.keys(EXPORT_DATASETS).forEach(dataset => {
+        fs.writeFileSync(path.join(dir, `${dataset}.csv`), toCsv(exportTable(simulation, dataset)));
+    });
+    fs.writeFileSync(path.join(dir, 'export.json'), JSON.stringify(exportJson(simulation), null, 2));
+}
+
+function writeSweepExports(results, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'sweep.csv'), toCsv(sweepTable(results)));
+    fs.writeFileSync(path.join(dir, 'sweep.json'), JSON.stringify(results, null, 2));
+}
+
+function main(argv) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (options.plugin) loadPlugin(options.plugin);
+    if (options.list) {
+        listStrategies().forEach(s => console.log(`${s.id.padEnd(20)} ${s.label}`));
+        return;
+    }
+    const ids = listStrategies().map(s => s.id);
+    const requested = options.compare ? options.compare.split(',') : [options.algorithm];
+    requested.forEach(id => {
+        if (!ids.includes(id)) {
+            throw new UsageError(`Unknown algorithm "${id}" (expected one of: ${ids.join(', ')})`);
+        }
+    });
+
+    const simulationOptions = {
+        numProcessors: options.processors,
+        speeds: options.speeds.split(','),
+        capacities: parseCapacities(options.capacities),
+        topology: options.distances
+            ? normalizeTopology({ type: 'matrix', distances: options.distances }, options.processors)
+            : normalizeTopology(parseDistributionSpec(options.topology)),
+        schedulers: options.scheduler.split(';').map(parseDistributionSpec),
+        migrationCost: { delay: options['migration-delay'], affinityPenalty: options['affinity-penalty'] },
+        threshold: options.threshold !== null ? options.threshold : undefined,
+        balanceInterval: options.interval !== null ? options.interval : undefined,
+        moves: options.moves !== null ? options.moves : undefined,
+        autoTune: options['auto-tune'] !== null ? normalizeTuning(options['auto-tune']) : null,
+        power: normalizePowerModel(options.power),
+        algorithm: options.algorithm,
+        seed: options.seed !== null ? options.seed : undefined,
+        processes: options.workload ? loadWorkload(options.workload) : undefined,
+        generator: buildGenerator(options),
+        faults: options.faults ? parseFaults(options.faults) : [],
+        scenario: options.scenario ? parseScenario(fs.readFileSync(options.scenario, 'utf8'), { name: options.scenario }) : [],
+        failurePolicy: options['failure-policy']
+    };
+
+    if (options.sweep) {
+        const spec = parseSweepSpec(options.sweep);
+        const results = new Sweep({
+            parameter: spec.parameter,
+            values: spec.values,
+            algorithms: requested,
+            trials: options.trials,
+            maxTicks: options.ticks
+        }, simulationOptions).run();
+        if (options.export) writeSweepExports(results, options.export);
+        console.log(JSON.stringify(results, null, 2));
+        return;
+    }
+
+    if (options.compare) {
+        const results = new Comparison(requested, simulationOptions).run(options.ticks);
+        console.log(JSON.stringify(results, null, 2));
+        return;
+    }
+
+    const simulation = options.resume
+        ? restoreSnapshot(fs.readFileSync(options.resume, 'utf8'))
+        : new Simulation(simulationOptions);
+    // run() takes the tick to stop before; a resumed run goes on for --ticks more.
+    const summary = simulation.run(simulation.currentTime + 1 + options.ticks);
+    if (options['save-snapshot']) {
+        fs.writeFileSync(options['save-snapshot'], JSON.stringify(createSnapshot(simulation)));
+    }
+    if (options.export) writeExports(simulation, options.export);
+    console.log(JSON.stringify(summary, null, 2));
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (err) {
+    console.error(`Error: ${err.message}`);
+    if (err instanceof UsageError) console.error(USAGE);
+    process.exitCode = 1;
+}
@@ -0,0 +1,104 @@
+// Comparison mode: one workload cloned into a Simulation per algorithm, all
+// stepped in lockstep so every algorithm sees exactly the same processes.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./simulation'), require('./strategies')));
+    } else {
+        root.SimEngine = Object.assign(root.SimEngine || {}, factory(root.SimEngine));
+    }
+}(typeof self !== 'undefined' ? self : this, function (lib) {
+    'use strict';
+
+    const { Simulation, createProcesses, toRecords, getStrategy } = lib;
+
+    // Every compared metric is better when lower. Mean recovery only has a
+    // value when the runs include failures, hot-adds or recoveries, mean
+    // admission wait when some process had to wait for room. The energy-delay
+    // product uses the ticks so far for runs that have not finished.
+    const COMPARISON_METRICS = [
+        { key: 'makespan', label: 'Makespan', value: s => s.makespan },
+        { key: 'meanTurnaround', label: 'Mean Turnaround', value: s => s.turnaround.mean },
+        { key: 'meanWaiting', label: 'Mean Waiting', value: s => s.waiting.mean },
+        { key: 'meanResponse', label: 'Mean Response', value: s => s.response.mean },
+        { key: 'migrations', label: 'Migrations', value: s => s.migrations },
+        { key: 'loadStdDev', label: 'Load Std Dev (mean)', value: s => s.loadStdDev.mean },
+        { key: 'meanRecovery', label: 'Mean Recovery (ticks)', value: s => s.recovery.meanTime },
+        { key: 'meanAdmissionWait', label: 'Mean Admission Wait', value: s => s.resources.admission.meanWait },
+        { key: 'energy', label: 'Energy (J)', value: s => s.energy.total },
+        { key: 'edp', label: 'Energy-Delay Product', value: s => s.energy.edp }
+    ];
+
+    // -------------------------
+    // Comparison Class
+    // -------------------------
+    class Comparison {
+        // `options` are Simulation options shared by every run; the workload is
+        // generated (or taken from options.processes) once and cloned per algorithm.
+        constructor(algorithms, options = {}) {
+            if (!algorithms || algorithms.length === 0) {
+                throw new Error('Select at least one algorithm to compare');
+            }
+            algorithms.forEach(getStrategy);
+
+            const base = new Simulation(Object.assign({}, options, { algorithm: algorithms[0] }));
+            this.seed = base.seed;
+            this.workload = toRecords(base.processes);
+            this.runs = algorithms.map(algorithm => ({
+                algorithm,
+                label: getStrategy(algorithm).label,
+                simulation: new Simulation(Object.assign({}, options, {
+                    algorithm,
+                    seed: this.seed,
+                    processes: createProcesses(this.workload)
+                }))
+            }));
+        }
+
+        get currentTime() {
+            return this.runs.reduce((t, run) => Math.max(t, run.simulation.currentTime), -1);
+        }
+
+        isComplete() {
+            return this.runs.every(run => run.simulation.isComplete());
+        }
+
+        step() {
+            this.runs.forEach(run => {
+                if (!run.simulation.isComplete()) run.simulation.step();
+            });
+        }
+
+        run(maxTicks = Infinity) {
+            while (!this.isComplete() && this.currentTime + 1 < maxTicks) {
+                this.step();
+            }
+            return this.getResults();
+        }
+
+        // Summary rows per algorithm plus, per metric, the algorithm(s) with the
+        // lowest value. Runs without a value (e.g. makespan before completion) never win.
+        getResults() {
+            const rows = this.runs.map(run => {
+                const summary = run.simulation.getSummary();
+                const metrics = {};
+                COMPARISON_METRICS.forEach(m => { metrics[m.key] = m.value(summary); });
+                return { algorithm: run.algorithm, label: run.label, metrics, summary };
+            });
+
+            const winners = {};
+            COMPARISON_METRICS.forEach(m => {
+                const values = rows.map(r => r.metrics[m.key]).filter(v => v !== null && v !== undefined);
+                if (values.length === 0) {
+                    winners[m.key] = [];
+                    return;
+                }
+                const best = Math.min(...values);
+                winners[m.key] = rows.filter(r => r.metrics[m.key] === best).map(r => r.algorithm);
+            });
+
+            return { seed: this.seed, processes: this.workload.length, rows, winners };
+        }
+    }
+
+    return { COMPARISON_METRICS, Comparison };
+}));
@@ -0,0 +1,142 @@
+// Energy model: every tick each online processor is in one power state —
+// active (work queued, running at one of the DVFS frequency levels), idle, or
+// asleep after `sleepAfter` idle ticks in a row — and draws that state's power.
+// Active power is static + dynamic × f³ (dynamic power goes with f·V² and the
+// voltage follows the frequency); all power scales with the processor's speed
+// factor. A tick is one second, so power is in watts and energy in joules.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SimEngine = Object.assign(root.SimEngine || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const POWER_STATES = ['active', 'idle', 'sleep'];
+
+    // -------------------------
+    // Governors
+    // -------------------------
+    // Pick the frequency (a factor of the processor's speed) for the coming
+    // tick from the ascending `levels`; `drainTime` is the queued work in
+    // ticks at the processor's nominal speed (frequency 1).
+    const GOVERNORS = {
+        performance: {
+            label: 'Performance (highest frequency)',
+            select: levels => levels[levels.length - 1]
+        },
+        ondemand: {
+            label: 'On demand (slowest level that drains the queue within the horizon)',
+            select: (levels, drainTime, model) => {
+                const top = levels[levels.length - 1];
+                const level = levels.find(f => drainTime / f <= model.horizon);
+                return level !== undefined ? level : top;
+            }
+        },
+        powersave: {
+            label: 'Powersave (lowest frequency)',
+            select: levels => levels[0]
+        }
+    };
+
+    // Wake-ups cost `wakeEnergy` joules and `wakeLatency` ticks before work runs.
+    // The defaults never slow a run down, so only the energy figures depend on them.
+    const DEFAULT_POWER_MODEL = {
+        governor: 'performance',
+        frequencies: [0.5, 0.75, 1],
+        staticPower: 10,
+        dynamicPower: 40,
+        idlePower: 6,
+        sleepPower: 1,
+        sleepAfter: 10, // idle ticks before sleeping; null never sleeps
+        wakeLatency: 0,
+        wakeEnergy: 20,
+        horizon: 20 // target drain time (ticks) of the ondemand governor
+    };
+
+    const INTEGER_SETTINGS = ['wakeLatency', 'horizon'];
+
+    // -------------------------
+    // Config Handling
+    // -------------------------
+    // Accepts an object of overrides or "key=value,key=value", e.g.
+    // "governor=ondemand,sleepAfter=never,frequencies=0.6/0.8/1".
+    function normalizePowerModel(spec = {}) {
+        const overrides = typeof spec === 'string' ? parsePowerModel(spec) : (spec || {});
+        Object.keys(overrides).forEach(key => {
+            if (!(key in DEFAULT_POWER_MODEL)) {
+                throw new Error(`Unknown power setting "${key}" (expected one of: ${Object.keys(DEFAULT_POWER_MODEL).join(', ')})`);
+            }
+        });
+        const model = Object.assign({}, DEFAULT_POWER_MODEL, overrides);
+        if (!GOVERNORS[model.governor]) {
+            throw new Error(`Unknown governor "${model.governor}" (expected one of: ${Object.keys(GOVERNORS).join(', ')})`);
+        }
+        const levels = typeof model.frequencies === 'string' ? model.frequencies.split(/[\s/]+/).filter(Boolean) : model.frequencies;
+        if (!Array.isArray(levels) || levels.length === 0) {
+            throw new Error('Power model needs at least one frequency level');
+        }
+        model.frequencies = levels.map(Number).sort((a, b) => a - b);
+        if (model.frequencies.some(f => !isFinite(f) || f <= 0)) {
+            throw new Error(`Frequency levels must be positive numbers, got "${levels.join(' ')}"`);
+        }
+        ['staticPower', 'dynamicPower', 'idlePower', 'sleepPower', 'wakeEnergy', 'wakeLatency', 'horizon'].forEach(key => {
+            const value = Number(model[key]);
+            if (!isFinite(value) || value < 0 || (INTEGER_SETTINGS.includes(key) && !Number.isInteger(value))) {
+                throw new Error(`Power setting ${key} must be a non-negative ${INTEGER_SETTINGS.includes(key) ? 'integer' : 'number'}, got "${model[key]}"`);
+            }
+            model[key] = value;
+        });
+        if (model.sleepAfter === null || model.sleepAfter === 'never' || model.sleepAfter === '') {
+            model.sleepAfter = null;
+        } else {
+            const value = Number(model.sleepAfter);
+            if (!Number.isInteger(value) || value < 1) {
+                throw new Error(`Power setting sleepAfter must be a positive integer or "never", got "${model.sleepAfter}"`);
+            }
+            model.sleepAfter = value;
+        }
+        return model;
+    }
+
+    function parsePowerModel(text) {
+        const settings = {};
+        String(text).split(',').map(s => s.trim()).filter(Boolean).forEach(pair => {
+            const [key, value] = pair.split('=').map(s => s.trim());
+            if (!key || value === undefined || value === '') {
+                throw new Error(`Malformed power setting "${pair}" (expected key=value)`);
+            }
+            settings[key] = value;
+        });
+        return settings;
+    }
+
+    // -------------------------
+    // Power
+    // -------------------------
+    function selectFrequency(model, drainTime) {
+        return GOVERNORS[model.governor].select(model.frequencies, drainTime, model);
+    }
+
+    // Watts drawn in one tick; offline processors draw nothing.
+    function statePower(model, state, frequency, speed) {
+        switch (state) {
+            case 'active': return (model.staticPower + model.dynamicPower * Math.pow(frequency, 3)) * speed;
+            case 'idle': return model.idlePower * speed;
+            case 'sleep': return model.sleepPower * speed;
+            default: return 0;
+        }
+    }
+
+    function describePowerModel(model) {
+        const sleep = model.sleepAfter === null ? 'never sleeps' : `sleeps after ${model.sleepAfter} idle ticks`;
+        return `${model.governor} governor, levels ${model.frequencies.join('/')}, ${sleep}, ` +
+            `wake-up ${model.wakeLatency} tick(s) / ${model.wakeEnergy} J`;
+    }
+
+    return {
+        POWER_STATES, GOVERNORS, DEFAULT_POWER_MODEL, normalizePowerModel, parsePowerModel, selectFrequency, statePower,
+        describePowerModel
+    };
+}));
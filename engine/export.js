@@ -0,0 +1,160 @@
+// Machine-readable exports: each dataset is a single flat table (one header
+// row, one row per record) so it loads straight into spreadsheets or pandas.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./simulation'), require('./resources')));
+    } else {
+        root.SimEngine = Object.assign(root.SimEngine || {}, factory(root.SimEngine));
+    }
+}(typeof self !== 'undefined' ? self : this, function (lib) {
+    'use strict';
+
+    const { turnaroundTime, responseTime, describeResources } = lib;
+
+    const EXPORT_FORMAT = 'load-balancing-simulator/export';
+    const EXPORT_VERSION = 1;
+
+    // -------------------------
+    // Datasets
+    // -------------------------
+    // Each dataset returns { columns, rows } with rows as arrays in column order.
+    // Values that do not exist yet (e.g. completion of a running process) are null.
+    const EXPORT_DATASETS = {
+        processes: {
+            label: 'Processes',
+            table(simulation) {
+                const columns = ['id', 'arrival', 'burst', 'priority', 'state', 'processor', 'remaining',
+                    'start', 'completion', 'response', 'waiting', 'turnaround',
+                    'migrations', 'migration_delay', 'migration_penalty', 'work_lost', 'bursts', 'io_time', 'io_moves',
+                    'demands', 'admission_wait'];
+                const rows = simulation.processes.slice().sort((a, b) => a.id - b.id).map(p => [
+                    p.id, p.arrivalTime, p.burstTime, p.priority, p.state, p.assignedProcessor, p.remainingTime,
+                    p.startTime,
+                    p.completionTime,
+                    p.startTime !== null ? responseTime(p) : null,
+                    p.waitingTime,
+                    p.completionTime !== null ? turnaroundTime(p) : null,
+                    p.migrations, p.migrationDelay, p.migrationPenalty, p.workLost,
+                    p.bursts ? p.bursts.join(' ') : null, p.ioTime, p.ioMoves,
+                    describeResources(p.demands, '') || null, p.admissionWait
+                ]);
+                return { columns, rows };
+            }
+        },
+        history: {
+            label: 'History',
+            // One row per recorded point; long runs are downsampled (see Simulation.historyStride).
+            // Queue columns of processors hot-added later are empty before they existed.
+            table(simulation) {
+                const history = simulation.history;
+                const pool = simulation.loadBalancer.pool;
+                const cpus = pool.map(p => `queue_cpu${p.id}`);
+                const columns = ['time', 'avg_load', 'load_std_dev', 'migrations', 'completed', 'utilization', 'threshold', 'interval',
+                    'power', 'asleep', ...cpus];
+                const rows = history.time.map((time, i) => [
+                    time, history.avgLoad[i], history.variance[i], history.migrations[i],
+                    history.completed[i], history.utilization[i], history.threshold[i], history.interval[i],
+                    history.power[i], history.asleep[i],
+                    ...pool.map((_, cpu) => (cpu < history.queueLengths[i].length ? history.queueLengths[i][cpu] : null))
+                ]);
+                return { columns, rows };
+            }
+        },
+        migrations: {
+            label: 'Migrations',
+            table(simulation) {
+                const columns = ['time', 'process_id', 'from', 'to', 'arrives_at', 'distance'];
+                const rows = simulation.timeline.migrations.map(m => [
+                    m.time, m.processId, m.from, m.to, m.arrivesAt, m.distance !== undefined ? m.distance : 1
+                ]);
+                return { columns, rows };
+            }
+        },
+        events: {
+            label: 'Event Log',
+            table(simulation) {
+                const columns = ['tick', 'type', 'process_id', 'processor', 'target', 'load', 'target_load',
+                    'gap', 'threshold', 'distance', 'reason'];
+                const rows = simulation.events.map(e => [
+                    e.tick, e.type, e.processId, e.processor, e.target, e.load, e.targetLoad, e.gap, e.threshold,
+                    e.distance !== undefined ? e.distance : null, e.reason
+                ]);
+                return { columns, rows };
+            }
+        },
+        processors: {
+            label: 'Processor Stats',
+            table(simulation) {
+                const columns = ['id', 'node', 'speed', 'scheduler', 'online', 'queue_length', 'load', 'work_executed',
+                    'busy_ticks', 'idle_ticks', 'down_ticks', 'utilization', 'context_switches', 'preemptions',
+                    'capacity', 'used', 'power_state', 'frequency', 'energy', 'active_ticks', 'idle_state_ticks',
+                    'sleep_ticks', 'wake_ups'];
+                const rows = simulation.loadBalancer.pool.map(p => [
+                    p.id, p.node, p.speed, p.scheduler.type, p.online, p.processes.length, p.getLoad(), p.totalExecutionTime,
+                    p.busyTicks, p.idleTicks, p.downTicks, Math.round(p.getUtilization() * 10000) / 10000,
+                    p.contextSwitches, p.preemptions,
+                    describeResources(p.capacity, '') || null, describeResources(p.used, '') || null,
+                    p.powerState, p.frequency, Math.round(p.energy * 100) / 100, p.stateTicks.active, p.stateTicks.idle,
+                    p.stateTicks.sleep, p.wakeUps
+                ]);
+                return { columns, rows };
+            }
+        },
+        disturbances: {
+            label: 'Failures & Recovery',
+            table(simulation) {
+                const columns = ['tick', 'type', 'processor', 'policy', 'displaced', 'work_lost',
+                    'baseline_std_dev', 'peak_std_dev', 'recovered_at', 'recovery_time', 'migrations'];
+                const rows = simulation.disturbances.map(d => [
+                    d.tick, d.type, d.processor, d.policy, d.displaced, d.workLost,
+                    d.baseline, d.peak, d.recoveredAt, d.recoveryTime, d.migrations
+                ]);
+                return { columns, rows };
+            }
+        }
+    };
+
+    function exportTable(simulation, dataset) {
+        const entry = EXPORT_DATASETS[dataset];
+        if (!entry) {
+            throw new Error(`Unknown dataset "${dataset}" (expected one of: ${Object.keys(EXPORT_DATASETS).join(', ')})`);
+        }
+        return entry.table(simulation);
+    }
+
+    // -------------------------
+    // Formats
+    // -------------------------
+    function csvCell(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCsv(table) {
+        return [table.columns, ...table.rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+    }
+
+    // Every dataset as an array of objects keyed by column, plus the run summary.
+    function exportJson(simulation, meta = {}) {
+        const output = {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            meta,
+            summary: simulation.getSummary(),
+            historyStride: simulation.historyStride
+        };
+        Object.keys(EXPORT_DATASETS).forEach(dataset => {
+            const { columns, rows } = exportTable(simulation, dataset);
+            output[dataset] = rows.map(row => {
+                const record = {};
+                columns.forEach((column, i) => { record[column] = row[i]; });
+                return record;
+            });
+        });
+        return output;
+    }
+
+    return { EXPORT_DATASETS, exportTable, toCsv, exportJson };
+}));
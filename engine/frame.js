@@ -0,0 +1,257 @@
+// Render frames: plain-data views of a simulation for the page to draw. The
+// background worker (worker.js) posts one after every batch of ticks and the
+// page builds the same thing from a simulation it holds, so both paths render
+// alike. Large collections are paged: a request names what the caller will
+// show, so a frame stays small however many processors and processes run.
+//
+//     createFrame(simulation, {
+//         details: [3],                               // processors described in full
+//         processes: { offset: 0, count: 40 },        // rows of the active-process table
+//         events: { offset: 0, count: 40, types: ['migration'], processId: null, processor: null },
+//         timeline: { start: 0, span: 120, follow: true, firstLane: 0, laneCount: 20 },
+//         history: { stride: 1, length: 250 },        // history points the caller already holds
+//         process: 17,                                // a process described in full, e.g. under the pointer
+//         summary: true
+//     });
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SimEngine = Object.assign(root.SimEngine || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Power states as small integers in the per-processor arrays.
+    const POWER_CODES = { off: 0, idle: 1, active: 2, sleep: 3 };
+
+    // Matching event indices per event log array, extended as the log grows.
+    const eventMatches = new WeakMap();
+
+    // -------------------------
+    // Frames
+    // -------------------------
+    // Parts the request leaves out are null; so is the summary with
+    // `summary: false`, since summarizing a large run takes a while.
+    // `processors` holds one entry per processor in typed arrays, which the
+    // worker transfers instead of copying.
+    function createFrame(simulation, request = {}) {
+        const pool = simulation.loadBalancer.pool;
+        return {
+            tick: simulation.currentTime,
+            complete: simulation.isComplete(),
+            metrics: simulation.loadBalancer.getMetrics(),
+            summary: request.summary === false ? null : simulation.getSummary(),
+            historyStride: simulation.historyStride,
+            processors: processorArrays(pool),
+            details: (request.details || []).filter(id => pool[id]).map(id => describeProcessor(pool[id])),
+            processes: request.processes ? processPage(simulation.processes, request.processes) : null,
+            events: request.events ? eventPage(simulation.events, request.events) : null,
+            timeline: request.timeline ? timelineWindow(simulation, request.timeline) : null,
+            history: request.history !== undefined ? historySince(simulation, request.history) : null,
+            process: request.process !== undefined ? findProcess(simulation.processes, request.process) : null
+        };
+    }
+
+    // The typed-array buffers of a frame, for postMessage's transfer list.
+    function frameTransferables(frame) {
+        const arrays = frame.processors;
+        return [arrays.online, arrays.level, arrays.drain, arrays.queued, arrays.power, arrays.node].map(a => a.buffer);
+    }
+
+    // -------------------------
+    // Processors
+    // -------------------------
+    // level is queued work against capacity (0..1), drain the drain time in
+    // ticks and queued the processes queued or in transfer.
+    function processorArrays(pool) {
+        const n = pool.length;
+        const arrays = {
+            count: n,
+            online: new Uint8Array(n),
+            level: new Float32Array(n),
+            drain: new Float32Array(n),
+            queued: new Uint32Array(n),
+            power: new Uint8Array(n),
+            node: new Uint16Array(n)
+        };
+        pool.forEach((processor, i) => {
+            arrays.online[i] = processor.online ? 1 : 0;
+            arrays.level[i] = processor.getLoadLevel();
+            arrays.drain[i] = processor.getDrainTime();
+            arrays.queued[i] = processor.processes.length + processor.inbound.length;
+            arrays.power[i] = processor.online ? POWER_CODES[processor.powerState] : POWER_CODES.off;
+            arrays.node[i] = processor.node;
+        });
+        return arrays;
+    }
+
+    function describeProcessor(processor) {
+        return {
+            id: processor.id,
+            online: processor.online,
+            node: processor.node,
+            speed: processor.speed,
+            scheduler: processor.scheduler,
+            load: processor.getLoad(),
+            loadLevel: processor.getLoadLevel(),
+            queued: processor.processes.length,
+            inbound: processor.inbound.length,
+            running: processor.running ? processor.running.id : null,
+            contextSwitches: processor.contextSwitches,
+            utilization: processor.getUtilization(),
+            busyTicks: processor.busyTicks,
+            idleTicks: processor.idleTicks,
+            downTicks: processor.downTicks,
+            capacity: processor.capacity,
+            used: processor.used,
+            powerState: processor.powerState,
+            frequency: processor.frequency,
+            energy: processor.energy
+        };
+    }
+
+    // -------------------------
+    // Process and Event Pages
+    // -------------------------
+    // Processes that have neither terminated nor been rejected, by id;
+    // `total` is how many there are.
+    function processPage(processes, { offset = 0, count = 50 }) {
+        const active = processes.filter(p => p.state !== 'TERMINATED' && p.state !== 'REJECTED');
+        if (active.some((p, i) => i > 0 && p.id < active[i - 1].id)) active.sort((a, b) => a.id - b.id);
+        const start = Math.max(0, Math.min(offset, active.length - count));
+        return { total: active.length, offset: start, rows: active.slice(start, start + count).map(describeProcess) };
+    }
+
+    function findProcess(processes, id) {
+        const process = processes.find(p => p.id === id);
+        return process ? describeProcess(process) : null;
+    }
+
+    function describeProcess(process) {
+        return {
+            id: process.id,
+            arrivalTime: process.arrivalTime,
+            burstTime: process.burstTime,
+            priority: process.priority,
+            bursts: process.bursts,
+            remainingTime: process.remainingTime,
+            burstRemaining: process.burstRemaining,
+            waitingTime: process.waitingTime,
+            migrations: process.migrations,
+            ioTime: process.ioTime,
+            completionTime: process.completionTime,
+            state: process.state,
+            assignedProcessor: process.assignedProcessor,
+            ioReadyAt: process.ioReadyAt
+        };
+    }
+
+    // Events matching the filter, newest first. `types` null matches every
+    // type; processor matches the source or the target of a migration.
+    function eventPage(events, filter) {
+        const { offset = 0, count = 50 } = filter;
+        const matches = matchEvents(events, filter);
+        const start = Math.max(0, Math.min(offset, matches.length - count));
+        const rows = [];
+        for (let k = start; k < start + count && k < matches.length; k++) {
+            rows.push(events[matches[matches.length - 1 - k]]);
+        }
+        return { total: events.length, matched: matches.length, offset: start, rows };
+    }
+
+    // Only events logged since the last call with the same filter are scanned.
+    function matchEvents(events, filter) {
+        const key = JSON.stringify([filter.types || null, valueOrNull(filter.processId), valueOrNull(filter.processor)]);
+        let cache = eventMatches.get(events);
+        if (!cache || cache.key !== key || cache.scanned > events.length) {
+            cache = { key, scanned: 0, matches: [] };
+            eventMatches.set(events, cache);
+        }
+        const types = filter.types ? new Set(filter.types) : null;
+        const processId = valueOrNull(filter.processId);
+        const processor = valueOrNull(filter.processor);
+        for (let i = cache.scanned; i < events.length; i++) {
+            const e = events[i];
+            if ((!types || types.has(e.type)) &&
+                (processId === null || e.processId === processId) &&
+                (processor === null || e.processor === processor || e.target === processor)) {
+                cache.matches.push(i);
+            }
+        }
+        cache.scanned = events.length;
+        return cache.matches;
+    }
+
+    function valueOrNull(value) {
+        return value === undefined ? null : value;
+    }
+
+    // -------------------------
+    // Timeline and History
+    // -------------------------
+    // The part of the execution timeline in view: segments of lanes
+    // firstLane..firstLane + laneCount - 1 overlapping [start, end] (other
+    // lanes are empty), plus the migrations and outages there. With `follow`
+    // the window ends at the current tick.
+    function timelineWindow(simulation, { start = 0, span = 100, follow = false, firstLane = 0, laneCount = 0 }) {
+        const timeline = simulation.timeline;
+        const end = follow ? Math.max(simulation.currentTime + 1, span) : start + span;
+        const from = follow ? end - span : start;
+        const lastLane = Math.min(firstLane + laneCount, timeline.lanes.length);
+        const lanes = timeline.lanes.map((segments, lane) => {
+            if (lane < firstLane || lane >= lastLane) return [];
+            const visible = [];
+            for (let i = firstSegmentEndingAfter(segments, from); i < segments.length && segments[i].start <= end; i++) {
+                visible.push(segments[i]);
+            }
+            return visible;
+        });
+        const inLanes = id => id >= firstLane && id < lastLane;
+        return {
+            start: from,
+            end,
+            lanes,
+            migrations: timeline.migrations.filter(m => m.arrivesAt >= from && m.time + 1 <= end && (inLanes(m.from) || inLanes(m.to))),
+            outages: timeline.outages.filter(o => o.end >= from && o.start <= end && inLanes(o.processor))
+        };
+    }
+
+    // Segments in a lane are ordered by start time and never overlap.
+    function firstSegmentEndingAfter(segments, t) {
+        let lo = 0;
+        let hi = segments.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (segments[mid].end <= t) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    // History points after the ones the caller holds ({ stride, length }, or
+    // null for none). Once the history was downsampled to a new stride the
+    // caller's points are stale and everything is sent again (`from` 0).
+    function historySince(simulation, held) {
+        const history = simulation.history;
+        const from = held && held.stride === simulation.historyStride && held.length <= history.time.length ? held.length : 0;
+        const points = {};
+        Object.keys(history).forEach(key => { points[key] = history[key].slice(from); });
+        return { stride: simulation.historyStride, from, points };
+    }
+
+    // Adds a frame's history points to the history the caller holds (or
+    // starts one) and returns it.
+    function mergeHistory(history, update) {
+        if (!history || update.from === 0) return update.points;
+        Object.keys(update.points).forEach(key => {
+            update.points[key].forEach(value => history[key].push(value));
+        });
+        return history;
+    }
+
+    return {
+        POWER_CODES, createFrame, frameTransferables, describeProcessor, describeProcess, processPage, eventPage,
+        timelineWindow, firstSegmentEndingAfter, historySince, mergeHistory
+    };
+}));
@@ -0,0 +1,176 @@
+// Indexed binary heaps. The balancer keeps its online processors in a
+// LoadIndex, ordered by drain time, so the least and most loaded processor
+// are found without scanning the pool; the simulation queues arrivals and
+// I/O completions by tick the same way.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SimEngine = Object.assign(root.SimEngine || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // -------------------------
+    // IndexedHeap Class
+    // -------------------------
+    // `before(a, b)` is true when a belongs above b. Every item remembers its
+    // slot, so an item whose key changed is moved with update() in O(log n).
+    class IndexedHeap {
+        constructor(before) {
+            this.before = before;
+            this.items = [];
+            this.slots = new Map();
+        }
+
+        get size() {
+            return this.items.length;
+        }
+
+        peek() {
+            return this.items.length ? this.items[0] : null;
+        }
+
+        has(item) {
+            return this.slots.has(item);
+        }
+
+        push(item) {
+            if (this.slots.has(item)) return this.update(item);
+            this.items.push(item);
+            this.slots.set(item, this.items.length - 1);
+            this.siftUp(this.items.length - 1);
+        }
+
+        pop() {
+            if (!this.items.length) return null;
+            const top = this.items[0];
+            this.remove(top);
+            return top;
+        }
+
+        remove(item) {
+            const slot = this.slots.get(item);
+            if (slot === undefined) return false;
+            const last = this.items.pop();
+            this.slots.delete(item);
+            if (last !== item) {
+                this.items[slot] = last;
+                this.slots.set(last, slot);
+                this.siftUp(slot);
+                this.siftDown(this.slots.get(last));
+            }
+            return true;
+        }
+
+        // Restores the order after the item's key changed.
+        update(item) {
+            const slot = this.slots.get(item);
+            if (slot === undefined) return;
+            this.siftUp(slot);
+            this.siftDown(this.slots.get(item));
+        }
+
+        siftUp(slot) {
+            const items = this.items;
+            while (slot > 0) {
+                const parent = (slot - 1) >> 1;
+                if (!this.before(items[slot], items[parent])) break;
+                this.swap(slot, parent);
+                slot = parent;
+            }
+        }
+
+        siftDown(slot) {
+            const items = this.items;
+            for (;;) {
+                const left = 2 * slot + 1;
+                const right = left + 1;
+                let top = slot;
+                if (left < items.length && this.before(items[left], items[top])) top = left;
+                if (right < items.length && this.before(items[right], items[top])) top = right;
+                if (top === slot) return;
+                this.swap(slot, top);
+                slot = top;
+            }
+        }
+
+        swap(i, j) {
+            const items = this.items;
+            [items[i], items[j]] = [items[j], items[i]];
+            this.slots.set(items[i], i);
+            this.slots.set(items[j], j);
+        }
+    }
+
+    // -------------------------
+    // LoadIndex Class
+    // -------------------------
+    // Processors ordered by drain time both ways, plus one least-loaded heap
+    // per distinct speed so "where would this finish soonest" only compares
+    // one candidate per speed. Ties go to the lowest id, like a linear scan.
+    function lighter(a, b) {
+        const da = a.getDrainTime();
+        const db = b.getDrainTime();
+        return da < db || (da === db && a.id < b.id);
+    }
+
+    function heavier(a, b) {
+        const da = a.getDrainTime();
+        const db = b.getDrainTime();
+        return da > db || (da === db && a.id < b.id);
+    }
+
+    class LoadIndex {
+        constructor(processors = []) {
+            this.least = new IndexedHeap(lighter);
+            this.most = new IndexedHeap(heavier);
+            this.bySpeed = new Map(); // speed -> least-loaded heap
+            this.speeds = new Map(); // processor -> speed it is filed under
+            processors.forEach(p => this.update(p));
+        }
+
+        // Call after a processor's load or speed changed (or to add it).
+        update(processor) {
+            const filed = this.speeds.get(processor);
+            if (filed !== undefined && filed !== processor.speed) this.remove(processor);
+            if (!this.speeds.has(processor)) {
+                this.speeds.set(processor, processor.speed);
+                if (!this.bySpeed.has(processor.speed)) this.bySpeed.set(processor.speed, new IndexedHeap(lighter));
+                this.bySpeed.get(processor.speed).push(processor);
+                this.least.push(processor);
+                this.most.push(processor);
+                return;
+            }
+            this.bySpeed.get(filed).update(processor);
+            this.least.update(processor);
+            this.most.update(processor);
+        }
+
+        remove(processor) {
+            const filed = this.speeds.get(processor);
+            if (filed === undefined) return;
+            const group = this.bySpeed.get(filed);
+            group.remove(processor);
+            if (!group.size) this.bySpeed.delete(filed);
+            this.speeds.delete(processor);
+            this.least.remove(processor);
+            this.most.remove(processor);
+        }
+
+        leastLoaded() {
+            return this.least.peek();
+        }
+
+        mostLoaded() {
+            return this.most.peek();
+        }
+
+        // The least loaded processor of every speed.
+        leastLoadedPerSpeed() {
+            return Array.from(this.bySpeed.values(), heap => heap.peek());
+        }
+    }
+
+    return { IndexedHeap, LoadIndex };
+}));
@@ -0,0 +1,52 @@
+// Seedable pseudo-random generator shared by all workload generation, so a
+// seed fully determines a run.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SimEngine = Object.assign(root.SimEngine || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MAX_SEED = 0xFFFFFFFF;
+
+    // -------------------------
+    // Random Class (mulberry32)
+    // -------------------------
+    class Random {
+        constructor(seed) {
+            this.seed = normalizeSeed(seed);
+            this.state = this.seed;
+        }
+
+        // Uniform float in [0, 1)
+        next() {
+            this.state = (this.state + 0x6D2B79F5) >>> 0;
+            let t = this.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        // Uniform integer in [min, max)
+        int(min, max) {
+            return min + Math.floor(this.next() * (max - min));
+        }
+    }
+
+    function normalizeSeed(seed) {
+        const n = Number(seed);
+        if (!Number.isInteger(n) || n < 0 || n > MAX_SEED) {
+            throw new Error(`Seed must be an integer between 0 and ${MAX_SEED}, got "${seed}"`);
+        }
+        return n;
+    }
+
+    // The only place Math.random() is used: picking a seed when none is given.
+    function randomSeed() {
+        return Math.floor(Math.random() * MAX_SEED);
+    }
+
+    return { Random, normalizeSeed, randomSeed };
+}));
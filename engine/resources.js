@@ -0,0 +1,83 @@
+// Resource demands and capacities: a process holds its demands (memory, or any
+// other named resource) on whichever processor it sits on, and a processor
+// only takes processes that fit in what is left of its capacity. Resources a
+// processor declares no capacity for are unlimited there.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SimEngine = Object.assign(root.SimEngine || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // -------------------------
+    // Config Handling
+    // -------------------------
+    // Accepts { name: amount } or "name=amount,name=amount", e.g. "memory=4096,gpu=1".
+    function normalizeResources(spec = {}) {
+        const entries = typeof spec === 'string' ? parseResources(spec) : spec;
+        const normalized = {};
+        Object.keys(entries || {}).forEach(name => {
+            const value = Number(entries[name]);
+            if (!/^[a-z][\w-]*$/i.test(name)) {
+                throw new Error(`Resource names must start with a letter, got "${name}"`);
+            }
+            if (!isFinite(value) || value < 0) {
+                throw new Error(`Resource ${name} must be a non-negative number, got "${entries[name]}"`);
+            }
+            normalized[name] = value;
+        });
+        return normalized;
+    }
+
+    function parseResources(text) {
+        const resources = {};
+        String(text).split(/[,\s]+/).filter(Boolean).forEach(pair => {
+            const [name, value] = pair.split('=').map(s => s.trim());
+            if (!name || value === undefined || value === '') {
+                throw new Error(`Malformed resource "${pair}" (expected name=amount)`);
+            }
+            resources[name] = value;
+        });
+        return resources;
+    }
+
+    // Per-processor capacities separated by ";", repeated across processors
+    // like speeds, e.g. "memory=4096;memory=2048". Empty entries are unlimited.
+    function parseCapacities(text) {
+        return String(text).split(';').map(entry => normalizeResources(entry.trim()));
+    }
+
+    // -------------------------
+    // Accounting
+    // -------------------------
+    function addResources(total, demands) {
+        Object.keys(demands).forEach(name => { total[name] = (total[name] || 0) + demands[name]; });
+        return total;
+    }
+
+    function fitsWithin(used, demands, capacity) {
+        return Object.keys(demands).every(name =>
+            capacity[name] === undefined || (used[name] || 0) + demands[name] <= capacity[name]);
+    }
+
+    // Fraction of each limited resource in use; empty for an unlimited processor.
+    function resourceLevels(used, capacity) {
+        const levels = {};
+        Object.keys(capacity).forEach(name => {
+            levels[name] = capacity[name] > 0 ? (used[name] || 0) / capacity[name] : 1;
+        });
+        return levels;
+    }
+
+    // Space-separated, so the text reads back with parseResources and sits in a CSV cell unquoted.
+    function describeResources(resources, empty = 'unlimited') {
+        const names = Object.keys(resources || {});
+        return names.length ? names.map(name => `${name}=${resources[name]}`).join(' ') : empty;
+    }
+
+    return {
+        normalizeResources, parseResources, parseCapacities, addResources, fitsWithin, resourceLevels, describeResources
+    };
+}));
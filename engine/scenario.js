@@ -0,0 +1,175 @@
+// Scenario scripts: timed events that shape a run ("steady state, then a
+// shock"), written as JSON or one event per line. Events are plain data, so
+// the same scenario, seed and settings always replay the same run.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./simulation'));
+    } else {
+        root.SimEngine = Object.assign(root.SimEngine || {}, factory(root.SimEngine));
+    }
+}(typeof self !== 'undefined' ? self : this, function (lib) {
+    'use strict';
+
+    const { normalizeScenarioEvent } = lib;
+
+    // Positional arguments of each action in the line format, in order.
+    const POSITIONAL = {
+        inject: ['count'],
+        algorithm: ['algorithm'],
+        threshold: ['threshold'],
+        interval: ['interval'],
+        speed: ['processor', 'speed'],
+        fail: ['processor', 'policy'],
+        recover: ['processor'],
+        add: ['speed']
+    };
+
+    // Keys of an inject event; any other key=value is a resource demand.
+    const INJECT_KEYS = ['count', 'burst', 'priority'];
+
+    // -------------------------
+    // ScenarioError Class
+    // -------------------------
+    class ScenarioError extends Error {
+        constructor(message, errors = []) {
+            super(errors.length ? `${message}\n  ${errors.join('\n  ')}` : message);
+            this.name = 'ScenarioError';
+            this.summary = message;
+            this.errors = errors;
+        }
+    }
+
+    // -------------------------
+    // Parsing
+    // -------------------------
+    // Line format, one event per line ("#" starts a comment):
+    //   @100 inject 30 burst=80 priority=2 memory=512
+    //   @200 algorithm adaptive
+    //   @300 threshold 10
+    //   @400 speed 2 50%        (or an absolute speed factor, e.g. 0.5)
+    //   @450 fail 1 restart / @500 recover 1 / @150 add 1.5
+    // JSON is an array of events, or { "events": [...] }, each with "at" (or
+    // "tick") and "action" plus the action's fields, e.g.
+    //   { "at": 100, "action": "inject", "count": 30, "burst": 80 }
+    // Returns the events ordered by tick; throws a ScenarioError listing every bad event.
+    function parseScenario(text, options = {}) {
+        const format = options.format || detectFormat(text, options.name);
+        const entries = format === 'json' ? readJsonEvents(text) : readLineEvents(text);
+        const errors = [];
+        const events = [];
+        entries.forEach(({ label, event, error }) => {
+            if (error) {
+                errors.push(`${label}: ${error}`);
+                return;
+            }
+            try {
+                events.push(normalizeScenarioEvent(readSpeed(event)));
+            } catch (err) {
+                errors.push(`${label}: ${err.message}`);
+            }
+        });
+        if (errors.length) {
+            throw new ScenarioError(`${errors.length} invalid event(s) in scenario`, errors);
+        }
+        return events.sort((a, b) => a.tick - b.tick);
+    }
+
+    function detectFormat(text, name = '') {
+        if (name.toLowerCase().endsWith('.json')) return 'json';
+        const first = text.trimStart()[0];
+        return first === '[' || first === '{' ? 'json' : 'lines';
+    }
+
+    // "50%" is a factor of the processor's configured speed.
+    function readSpeed(event) {
+        if (event.action !== 'speed' || typeof event.speed !== 'string' || !event.speed.trim().endsWith('%')) return event;
+        const copy = Object.assign({}, event, { factor: Number(event.speed.trim().slice(0, -1)) / 100 });
+        delete copy.speed;
+        return copy;
+    }
+
+    function readJsonEvents(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new ScenarioError(`Invalid JSON: ${err.message}`);
+        }
+        const list = Array.isArray(data) ? data : data && data.events;
+        if (!Array.isArray(list)) {
+            throw new ScenarioError('JSON scenario must be an array of events or { "events": [...] }');
+        }
+        return list.map((item, i) => {
+            const event = Object.assign({}, item);
+            if (event.at !== undefined) {
+                event.tick = event.at;
+                delete event.at;
+            }
+            return { label: `event ${i + 1}`, event };
+        });
+    }
+
+    // Lines that cannot be read come back with an `error` instead of an event.
+    function readLineEvents(text) {
+        const entries = [];
+        String(text).split(/\r?\n/).forEach((raw, i) => {
+            const line = raw.replace(/#.*/, '').trim();
+            if (!line) return;
+            const label = `line ${i + 1}`;
+            const match = /^@(\S+)\s+([a-z-]+)(.*)$/i.exec(line);
+            if (!match) {
+                entries.push({ label, error: `cannot read "${line}" (expected e.g. @100 inject 30 burst=80)` });
+                return;
+            }
+            const [, tick, name, rest] = match;
+            const action = name.toLowerCase();
+            const event = { tick, action };
+            if (!POSITIONAL[action]) {
+                entries.push({ label, event }); // reported as an unknown action
+                return;
+            }
+            const positional = POSITIONAL[action];
+            const demands = {};
+            let error = null;
+            let next = 0;
+            rest.trim().split(/\s+/).filter(Boolean).forEach(arg => {
+                const eq = arg.indexOf('=');
+                if (eq === -1) {
+                    if (next < positional.length) event[positional[next++]] = arg;
+                    else error = error || `unexpected argument "${arg}"`;
+                    return;
+                }
+                const key = arg.slice(0, eq);
+                const value = arg.slice(eq + 1);
+                if (action === 'inject' && !INJECT_KEYS.includes(key)) demands[key] = value;
+                else event[key] = value;
+            });
+            if (Object.keys(demands).length) event.demands = demands;
+            entries.push(error ? { label, error } : { label, event });
+        });
+        return entries;
+    }
+
+    // -------------------------
+    // Formatting
+    // -------------------------
+    // Normalized events back in the line format, e.g. to show a restored run's scenario.
+    function formatScenario(events) {
+        return events.map(event => {
+            const args = POSITIONAL[event.action]
+                .filter(key => event[key] !== undefined && !(event.action === 'inject' && key === 'count'))
+                .map(key => event[key]);
+            if (event.action === 'inject') {
+                args.unshift(event.count, `burst=${event.burst}`);
+                if (event.priority !== 1) args.push(`priority=${event.priority}`);
+                Object.keys(event.demands).forEach(name => args.push(`${name}=${event.demands[name]}`));
+            }
+            if (event.action === 'speed' && event.factor !== undefined) {
+                args.push(`${Math.round(event.factor * 10000) / 100}%`);
+            }
+            return `@${event.tick} ${event.action} ${args.join(' ')}`.trim();
+        }).join('\n');
+    }
+
+    return { ScenarioError, parseScenario, formatScenario };
+}));
@@ -0,0 +1,116 @@
+// Local (per-processor) scheduling policies. Each policy picks which process in
+// a processor's ready queue runs the next unit of work; the global balancer
+// only decides which queue a process sits in.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SimEngine = Object.assign(root.SimEngine || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Picks the process with the lowest key; ties go to the process already
+    // running, then to queue order, so equal candidates never cause a switch.
+    function pickMin(processor, key) {
+        const queue = processor.processes;
+        let best = processor.running && queue.includes(processor.running) ? processor.running : queue[0];
+        let bestKey = key(best);
+        queue.forEach(p => {
+            const k = key(p);
+            if (k < bestKey) {
+                best = p;
+                bestKey = k;
+            }
+        });
+        return best;
+    }
+
+    function effectivePriority(process, options) {
+        return process.priority - process.age / options.agingInterval;
+    }
+
+    // -------------------------
+    // Scheduling Policies
+    // -------------------------
+    // SJF and SRTF compare the work left in each process's current CPU burst.
+    const SCHEDULERS = {
+        fcfs: {
+            label: 'FCFS',
+            params: {},
+            select(processor) {
+                return processor.processes[0];
+            }
+        },
+        sjf: {
+            label: 'SJF (non-preemptive)',
+            params: {},
+            select(processor) {
+                if (processor.running) return processor.running;
+                return pickMin(processor, p => p.burstRemaining);
+            }
+        },
+        srtf: {
+            label: 'SRTF (preemptive)',
+            params: {},
+            select(processor) {
+                return pickMin(processor, p => p.burstRemaining);
+            }
+        },
+        rr: {
+            label: 'Round Robin',
+            // Quantum is in work units, i.e. ticks on a 1x processor.
+            params: { quantum: 4 },
+            select(processor, options) {
+                const queue = processor.processes;
+                const running = processor.running;
+                if (running && processor.sliceUsed >= options.quantum && queue.length > 1) {
+                    queue.splice(queue.indexOf(running), 1);
+                    queue.push(running);
+                }
+                return queue[0];
+            }
+        },
+        priority: {
+            label: 'Priority + Aging',
+            // Priority 1 is highest. Every agingInterval ticks spent waiting
+            // raises a process one level so low-priority work cannot starve;
+            // a preempted process starts aging again from its base priority.
+            params: { agingInterval: 10 },
+            select(processor, options) {
+                return pickMin(processor, p => effectivePriority(p, options));
+            }
+        }
+    };
+
+    const DEFAULT_SCHEDULER = { type: 'fcfs' };
+
+    function normalizeScheduler(spec = DEFAULT_SCHEDULER) {
+        const entry = SCHEDULERS[spec.type];
+        if (!entry) {
+            throw new Error(`Unknown scheduler "${spec.type}" (expected one of: ${Object.keys(SCHEDULERS).join(', ')})`);
+        }
+        const normalized = { type: spec.type };
+        Object.keys(spec).forEach(key => {
+            if (key !== 'type' && !(key in entry.params)) {
+                throw new Error(`Unknown scheduler parameter "${key}" for ${spec.type}`);
+            }
+        });
+        Object.keys(entry.params).forEach(key => {
+            const value = spec[key] !== undefined ? Number(spec[key]) : entry.params[key];
+            if (!Number.isInteger(value) || value < 1) {
+                throw new Error(`Scheduler parameter ${spec.type}.${key} must be a positive integer, got "${spec[key]}"`);
+            }
+            normalized[key] = value;
+        });
+        return normalized;
+    }
+
+    function describeScheduler(spec) {
+        const params = Object.keys(spec).filter(k => k !== 'type').map(k => `${k}=${spec[k]}`);
+        const label = SCHEDULERS[spec.type].label;
+        return params.length ? `${label} (${params.join(', ')})` : label;
+    }
+
+    return { SCHEDULERS, DEFAULT_SCHEDULER, normalizeScheduler, describeScheduler };
+}));
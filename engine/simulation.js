@@ -0,0 +1,1768 @@
+// Headless simulation engine. Loaded with a <script> tag in the browser
+// (exports land on the global SimEngine namespace) or with require() in Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({},
+            require('./random'), require('./workload'), require('./schedulers'), require('./strategies'),
+            require('./topology'), require('./resources'), require('./tuning'), require('./energy'), require('./heap')));
+    } else {
+        root.SimEngine = Object.assign(root.SimEngine || {}, factory(root.SimEngine));
+    }
+}(typeof self !== 'undefined' ? self : this, function (lib) {
+    'use strict';
+
+    const {
+        Random, randomSeed, generateWorkload, SCHEDULERS, normalizeScheduler, getStrategy, buildTopology,
+        normalizeResources, addResources, fitsWithin, resourceLevels, describeResources, AutoTuner,
+        POWER_STATES, normalizePowerModel, selectFrequency, statePower, IndexedHeap, LoadIndex
+    } = lib;
+
+    // Balancer randomness (e.g. probing) uses its own stream so it never shifts the workload.
+    const BALANCER_SEED_SALT = 0x5BD1E995;
+
+    // -------------------------
+    // Event Log
+    // -------------------------
+    const EVENT_TYPES = ['arrival', 'assignment', 'start', 'preemption', 'migration', 'completion',
+        'io-start', 'io-complete', 'queued', 'rejected', 'failure', 'evacuation', 'recovery', 'hot-add', 'scenario', 'tuning'];
+
+    // Every event has the same fields so the log exports as one flat table.
+    // `processor` is where it happened (the source for migrations), `target`
+    // the destination; loads are drain times in ticks at decision time and
+    // `distance` is the topology distance a migration covered.
+    function createEvent(tick, type, fields) {
+        return Object.assign({
+            tick, type, processId: null, processor: null, target: null, reason: null,
+            load: null, targetLoad: null, gap: null, threshold: null, distance: null
+        }, fields);
+    }
+
+    function roundLoad(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // -------------------------
+    // Process Class
+    // -------------------------
+    // `bursts` alternates CPU and I/O bursts ([cpu, io, cpu, ...]) for processes
+    // that do I/O; burstTime is then the total CPU work. After each CPU burst
+    // but the last the process is BLOCKED for the following I/O burst and is
+    // placed again by the balancer when it completes. `demands` ({ memory, ... })
+    // are held on whichever processor the process sits on.
+    class Process {
+        constructor(id, arrivalTime, burstTime, priority = 1, bursts = null, demands = null) {
+            this.id = id;
+            this.arrivalTime = arrivalTime;
+            this.burstTime = burstTime;
+            this.remainingTime = burstTime; // CPU work left over all bursts
+            this.bursts = bursts && bursts.length > 1 ? bursts : null;
+            this.burstIndex = 0; // position in `bursts` (even: CPU, odd: I/O)
+            this.workAfterBurst = this.bursts ? burstTime - this.bursts[0] : 0; // CPU work in later bursts
+            this.ioReadyAt = null; // tick the current I/O burst completes while BLOCKED
+            this.ioCount = 0; // I/O bursts started, including ones redone after a restart
+            this.ioTime = 0; // ticks spent BLOCKED on completed I/O bursts
+            this.ioMoves = 0; // times I/O completion placed it on a different processor
+            this.demands = normalizeResources(demands || {});
+            this.admissionWait = 0; // ticks spent PENDING because no processor had room
+            this.priority = priority;
+            this.assignedProcessor = null;
+            this.state = 'NEW';
+            this.waitingTime = 0; // ticks spent queued (READY) without running
+            this.startTime = null;
+            this.completionTime = null; // tick during which the last unit of work ran
+            this.age = 0; // ticks waited since last preempted, used for priority aging
+            this.migrations = 0;
+            this.migrationDelay = 0; // ticks spent in transfer between processors
+            this.migrationPenalty = 0; // extra work added by cache-affinity penalties
+            this.workLost = 0; // work redone after being restarted by a processor failure
+            this.origin = 'workload'; // 'scenario' for processes a scenario injected
+        }
+
+        // Work left before the process finishes or blocks for I/O.
+        get burstRemaining() {
+            return this.remainingTime - this.workAfterBurst;
+        }
+
+        // Moves past the CPU burst that just ended; returns the I/O burst length.
+        beginIo(currentTime) {
+            const io = this.bursts[this.burstIndex + 1];
+            this.burstIndex += 2;
+            this.workAfterBurst -= this.bursts[this.burstIndex];
+            this.ioReadyAt = currentTime + io + 1;
+            this.ioCount++;
+            this.state = 'BLOCKED';
+            return io;
+        }
+
+        endIo() {
+            this.ioTime += this.bursts[this.burstIndex - 1];
+            this.ioReadyAt = null;
+            this.state = 'READY';
+        }
+
+        // Back to the first CPU burst, e.g. after a restart.
+        rewindBursts() {
+            if (!this.bursts) return;
+            this.burstIndex = 0;
+            this.workAfterBurst = this.burstTime - this.bursts[0];
+        }
+    }
+
+    // -------------------------
+    // Processor Class
+    // -------------------------
+    // Load level is queued work relative to what the processor can finish in this many ticks.
+    const LOAD_HORIZON = 120;
+
+    // Accounting that survives an algorithm switch (which rebuilds the processors).
+    const PROCESSOR_COUNTERS = ['totalExecutionTime', 'busyTicks', 'idleTicks', 'downTicks', 'contextSwitches', 'preemptions'];
+    const POWER_FIELDS = ['frequency', 'powerState', 'idleStreak', 'wakeUntil', 'energy', 'stateTicks', 'wakeUps', 'lastPower'];
+
+    class Processor {
+        constructor(id, spec = {}) {
+            this.id = id;
+            this.speed = spec.speed || 1;
+            this.scheduler = normalizeScheduler(spec.scheduler);
+            this.capacity = normalizeResources(spec.capacity); // unlisted resources are unlimited
+            this.used = {}; // resources held by queued and inbound processes
+            this.processes = [];
+            this.inbound = []; // { process, arrivesAt } migrations still in transfer
+            this.currentLoad = 0;
+            this.totalExecutionTime = 0; // work units executed
+            this.busyTicks = 0;
+            this.idleTicks = 0;
+            this.downTicks = 0; // ticks spent offline after a failure
+            this.online = true;
+            this.node = 0; // topology node (socket / NUMA domain), set by the owning simulation
+            this.workCredit = 0;
+            this.running = null;
+            this.lastRunId = null;
+            this.sliceUsed = 0;
+            this.contextSwitches = 0;
+            this.preemptions = 0;
+            this.tickRuns = []; // process ids in the order they ran during the last tick
+            this.events = null; // shared event log array, set by the owning simulation
+            this.loadIndex = null; // the owning balancer's LoadIndex while online
+            this.tickBlocked = []; // processes that blocked for I/O during the last tick
+            this.power = null; // power model (see energy.js), set by the owning simulation
+            this.frequency = 1; // DVFS level, a factor of speed
+            this.powerState = 'idle'; // active, idle, sleep, or off while offline
+            this.idleStreak = 0;
+            this.wakeUntil = -1; // first tick work runs again after waking up
+            this.energy = 0; // joules, including wake-ups
+            this.stateTicks = { active: 0, idle: 0, sleep: 0 };
+            this.wakeUps = 0;
+            this.lastPower = 0; // watts drawn in the last tick
+        }
+
+        logEvent(tick, type, fields) {
+            if (this.events) this.events.push(createEvent(tick, type, Object.assign({ processor: this.id }, fields)));
+        }
+
+        addProcess(process) {
+            this.processes.push(process);
+            process.assignedProcessor = this.id;
+            process.state = 'READY';
+            this.adjustLoad(process, 1);
+        }
+
+        removeProcess(processId) {
+            const idx = this.processes.findIndex(p => p.id === processId);
+            if (idx === -1) return null;
+            const [removed] = this.processes.splice(idx, 1);
+            if (removed) {
+                removed.assignedProcessor = null;
+                if (removed === this.running) this.running = null;
+                this.adjustLoad(removed, -1);
+            }
+            return removed;
+        }
+
+        // In-transfer work counts toward the destination so balancers do not
+        // keep piling onto a processor that is about to receive it. Processes
+        // that will block for I/O only count up to the end of their CPU burst.
+        // Recomputes everything from the queues; day to day the load moves
+        // with adjustLoad().
+        updateLoad() {
+            this.currentLoad = this.processes.reduce((sum, p) => sum + (p.burstRemaining || 0), 0) +
+                this.inbound.reduce((sum, m) => sum + (m.process.burstRemaining || 0), 0);
+            this.used = this.sumResources();
+            if (this.loadIndex) this.loadIndex.update(this);
+        }
+
+        // A process joining (sign 1) or leaving (-1) the queues changes the
+        // load by its own work, so long queues are not summed on every move.
+        // Held resources are summed again (fractional demands must not drift),
+        // but only when the process demands any.
+        adjustLoad(process, sign) {
+            this.currentLoad += sign * (process.burstRemaining || 0);
+            if (Object.keys(process.demands).length) this.used = this.sumResources();
+            if (this.loadIndex) this.loadIndex.update(this);
+        }
+
+        sumResources() {
+            const used = {};
+            this.processes.forEach(p => addResources(used, p.demands));
+            this.inbound.forEach(m => addResources(used, m.process.demands));
+            return used;
+        }
+
+        fits(process) {
+            return fitsWithin(this.used, process.demands, this.capacity);
+        }
+
+        // Fraction in use of each resource with a capacity, e.g. { memory: 0.5 }.
+        getResourceLevels() {
+            return resourceLevels(this.used, this.capacity);
+        }
+
+        receiveMigration(process, arrivesAt) {
+            process.assignedProcessor = this.id;
+            process.state = 'MIGRATING';
+            this.inbound.push({ process, arrivesAt });
+            this.adjustLoad(process, 1);
+        }
+
+        deliverMigrations(currentTime) {
+            const arrived = this.inbound.filter(m => m.arrivesAt <= currentTime);
+            if (!arrived.length) return;
+            this.inbound = this.inbound.filter(m => m.arrivesAt > currentTime);
+            arrived.forEach(m => {
+                this.adjustLoad(m.process, -1);
+                this.addProcess(m.process);
+            });
+        }
+
+        getLoad() {
+            return this.currentLoad;
+        }
+
+        // Ticks needed to finish the queued work at this processor's speed.
+        getDrainTime() {
+            return this.currentLoad / this.speed;
+        }
+
+        getCapacity() {
+            return this.speed * LOAD_HORIZON;
+        }
+
+        getLoadLevel() {
+            return Math.min(this.currentLoad / this.getCapacity(), 1);
+        }
+
+        // Fraction of elapsed ticks the processor had work to do; offline ticks do not count.
+        getUtilization() {
+            const elapsed = this.busyTicks + this.idleTicks;
+            return elapsed ? this.busyTicks / elapsed : 0;
+        }
+
+        inheritCounters(other) {
+            PROCESSOR_COUNTERS.forEach(key => { this[key] = other[key]; });
+            POWER_FIELDS.forEach(key => { this[key] = other[key]; });
+            this.online = other.online;
+            this.speed = other.speed;
+        }
+
+        // Empties the processor when it fails and returns what was on it,
+        // including processes still in transfer towards it.
+        evacuate() {
+            const displaced = this.processes.concat(this.inbound.map(m => m.process));
+            this.processes = [];
+            this.inbound = [];
+            this.running = null;
+            this.workCredit = 0;
+            this.sliceUsed = 0;
+            this.tickRuns = [];
+            this.tickBlocked = [];
+            this.updateLoad();
+            return displaced;
+        }
+
+        setScheduler(spec) {
+            this.scheduler = normalizeScheduler(spec);
+            this.sliceUsed = 0;
+        }
+
+        // Asks the local scheduler for the next process, preempting the current
+        // one if the scheduler picked someone else.
+        dispatch(currentTime) {
+            const next = SCHEDULERS[this.scheduler.type].select(this, this.scheduler);
+            if (next !== this.running) {
+                if (this.running && this.running.state === 'RUNNING') {
+                    this.running.state = 'READY';
+                    this.running.age = 0;
+                    this.preemptions++;
+                    this.logEvent(currentTime, 'preemption', {
+                        processId: this.running.id,
+                        reason: `${SCHEDULERS[this.scheduler.type].label} switched to P${next.id}`
+                    });
+                }
+                this.running = next;
+                this.sliceUsed = 0;
+            }
+            if (this.lastRunId !== null && this.lastRunId !== next.id) {
+                this.contextSwitches++;
+            }
+            this.lastRunId = next.id;
+            return next;
+        }
+
+        // Wakes a sleeping processor that has work again and sets the frequency
+        // for the tick. Returns false while the processor is still waking up.
+        startTick(currentTime) {
+            if (!this.power) return true;
+            if (this.powerState === 'sleep' && this.processes.length > 0) {
+                this.wakeUps++;
+                this.energy += this.power.wakeEnergy;
+                this.wakeUntil = currentTime + this.power.wakeLatency;
+                this.powerState = 'active';
+            }
+            this.frequency = selectFrequency(this.power, this.getDrainTime());
+            return currentTime >= this.wakeUntil;
+        }
+
+        // Power state and energy of the tick just run: active while work is
+        // queued (also while waking up for it), otherwise idle until
+        // `sleepAfter` idle ticks in a row put the processor to sleep.
+        endTick() {
+            if (!this.power) return;
+            if (this.processes.length > 0 || this.tickRuns.length > 0) {
+                this.powerState = 'active';
+                this.idleStreak = 0;
+            } else {
+                this.idleStreak++;
+                const sleepAfter = this.power.sleepAfter;
+                this.powerState = sleepAfter !== null && this.idleStreak >= sleepAfter ? 'sleep' : 'idle';
+            }
+            this.lastPower = statePower(this.power, this.powerState, this.frequency, this.speed);
+            this.energy += this.lastPower;
+            this.stateTicks[this.powerState]++;
+        }
+
+        // Runs one tick: a processor of speed s at frequency f executes s × f
+        // work units, carrying fractions over as credit. A tick counts as busy
+        // whenever there is queued work, even if a slow processor is still
+        // building up credit or waking up. A process whose CPU burst ends
+        // leaves the processor BLOCKED for I/O. Returns the processes that finished.
+        execute(currentTime) {
+            const completed = [];
+            const executed = new Set();
+            this.tickRuns = [];
+            this.tickBlocked = [];
+            this.deliverMigrations(currentTime);
+            const awake = this.startTick(currentTime);
+            if (awake) this.workCredit += this.speed * this.frequency;
+            if (this.processes.length > 0) this.busyTicks++;
+            else this.idleTicks++;
+
+            while (awake && this.workCredit >= 1 && this.processes.length > 0) {
+                const runningProcess = this.dispatch(currentTime);
+                runningProcess.state = 'RUNNING';
+
+                if (runningProcess.startTime === null) {
+                    runningProcess.startTime = currentTime;
+                    this.logEvent(currentTime, 'start', {
+                        processId: runningProcess.id,
+                        reason: `first run after ${currentTime - runningProcess.arrivalTime} tick(s)`
+                    });
+                }
+
+                const before = runningProcess.burstRemaining || 0;
+                runningProcess.remainingTime = Math.max(0, runningProcess.remainingTime - 1);
+                this.currentLoad += (runningProcess.burstRemaining || 0) - before;
+                this.workCredit -= 1;
+                this.sliceUsed++;
+                this.totalExecutionTime++;
+                executed.add(runningProcess);
+                this.tickRuns.push(runningProcess.id);
+
+                if (runningProcess.remainingTime <= 0) {
+                    runningProcess.state = 'TERMINATED';
+                    runningProcess.completionTime = currentTime;
+                    this.removeProcess(runningProcess.id);
+                    runningProcess.assignedProcessor = this.id; // keep where it finished
+                    completed.push(runningProcess);
+                    this.logEvent(currentTime, 'completion', {
+                        processId: runningProcess.id,
+                        reason: `turnaround ${currentTime + 1 - runningProcess.arrivalTime} tick(s)`
+                    });
+                } else if (runningProcess.burstRemaining <= 0) {
+                    this.removeProcess(runningProcess.id);
+                    runningProcess.assignedProcessor = this.id; // keep where it blocked
+                    const io = runningProcess.beginIo(currentTime);
+                    this.tickBlocked.push(runningProcess);
+                    this.logEvent(currentTime, 'io-start', {
+                        processId: runningProcess.id,
+                        reason: `I/O burst of ${io} tick(s), ${runningProcess.remainingTime} CPU unit(s) left`
+                    });
+                }
+            }
+
+            this.processes.forEach(p => {
+                if (p !== this.running) p.age++;
+                if (p !== this.running && !executed.has(p)) p.waitingTime++;
+            });
+            // A slow processor still building credit keeps working on its current process.
+            if (!this.tickRuns.length && this.running && this.processes.includes(this.running)) {
+                this.tickRuns.push(this.running.id);
+            }
+
+            if (this.processes.length === 0) this.workCredit = 0;
+            if (this.loadIndex) this.loadIndex.update(this);
+            this.endTick();
+            return completed;
+        }
+    }
+
+    // Per-processor specs ({ speed, scheduler, capacity }); each option list repeats across processors.
+    function buildProcessorSpecs(count, options = {}) {
+        const speeds = normalizeSpeeds(options.speeds, count);
+        const schedulers = options.schedulers && options.schedulers.length ? options.schedulers : [undefined];
+        const capacities = options.capacities && options.capacities.length ? options.capacities : [undefined];
+        return speeds.map((speed, i) => ({
+            speed,
+            scheduler: normalizeScheduler(schedulers[i % schedulers.length]),
+            capacity: normalizeResources(capacities[i % capacities.length])
+        }));
+    }
+
+    function normalizeSpeeds(speeds, count) {
+        const list = speeds && speeds.length ? speeds : [1];
+        return Array.from({ length: count }, (_, i) => {
+            const speed = Number(list[i % list.length]);
+            if (!isFinite(speed) || speed <= 0) {
+                throw new Error(`Processor speed must be a positive number, got "${list[i % list.length]}"`);
+            }
+            return speed;
+        });
+    }
+
+    // -------------------------
+    // Migration Cost
+    // -------------------------
+    function normalizeMigrationCost(cost = {}) {
+        const normalized = {};
+        ['delay', 'affinityPenalty'].forEach(key => {
+            const value = cost[key] !== undefined ? Number(cost[key]) : 0;
+            if (!Number.isInteger(value) || value < 0) {
+                throw new Error(`Migration ${key} must be a non-negative integer, got "${cost[key]}"`);
+            }
+            normalized[key] = value;
+        });
+        return normalized;
+    }
+
+    // Strategies migrate when a load gap exceeds `threshold`; the balancer runs
+    // every `interval` ticks and makes up to `moves` migrations per round.
+    const DEFAULT_BALANCING = { threshold: 30, interval: 5, moves: 1 };
+
+    function normalizeBalancing(settings = {}) {
+        const threshold = settings.threshold !== undefined ? Number(settings.threshold) : DEFAULT_BALANCING.threshold;
+        const interval = settings.interval !== undefined ? Number(settings.interval) : DEFAULT_BALANCING.interval;
+        const moves = settings.moves !== undefined ? Number(settings.moves) : DEFAULT_BALANCING.moves;
+        if (!isFinite(threshold) || threshold < 0) {
+            throw new Error(`Balancing threshold must be a non-negative number, got "${settings.threshold}"`);
+        }
+        if (!Number.isInteger(interval) || interval < 1) {
+            throw new Error(`Balancing interval must be a positive integer, got "${settings.interval}"`);
+        }
+        if (!Number.isInteger(moves) || moves < 1) {
+            throw new Error(`Migrations per round must be a positive integer, got "${settings.moves}"`);
+        }
+        return { threshold, interval, moves };
+    }
+
+    // -------------------------
+    // Faults
+    // -------------------------
+    // What happens to the processes on a processor when it fails.
+    const FAILURE_POLICIES = {
+        evacuate: 'Evacuate: displaced processes keep their progress and are re-placed by the algorithm',
+        restart: 'Restart: displaced processes lose the work done so far and are re-placed from scratch'
+    };
+    const FAULT_ACTIONS = { fail: 'failure', recover: 'recovery', add: 'hot-add' }; // action -> event type
+
+    // A disturbance counts as recovered once the load std dev is back to its
+    // level before the disturbance, or under this many ticks.
+    const RECOVERY_FLOOR = 5;
+
+    function normalizeFailurePolicy(policy = 'evacuate') {
+        if (!FAILURE_POLICIES[policy]) {
+            throw new Error(`Unknown failure policy "${policy}" (expected one of: ${Object.keys(FAILURE_POLICIES).join(', ')})`);
+        }
+        return policy;
+    }
+
+    // Scheduled faults: { tick, action: 'fail', processor, policy? },
+    // { tick, action: 'recover', processor } or { tick, action: 'add', speed? }.
+    function normalizeFault(fault) {
+        if (!FAULT_ACTIONS[fault.action]) {
+            throw new Error(`Unknown fault action "${fault.action}" (expected one of: ${Object.keys(FAULT_ACTIONS).join(', ')})`);
+        }
+        const tick = Number(fault.tick);
+        if (!Number.isInteger(tick) || tick < 0) {
+            throw new Error(`Fault tick must be a non-negative integer, got "${fault.tick}"`);
+        }
+        const normalized = { tick, action: fault.action };
+        if (fault.action === 'add') {
+            normalized.speed = normalizeSpeeds([fault.speed !== undefined ? fault.speed : 1], 1)[0];
+            return normalized;
+        }
+        const processor = Number(fault.processor);
+        if (!Number.isInteger(processor) || processor < 0) {
+            throw new Error(`Fault processor must be a processor id, got "${fault.processor}"`);
+        }
+        normalized.processor = processor;
+        if (fault.action === 'fail' && fault.policy !== undefined) {
+            normalized.policy = normalizeFailurePolicy(fault.policy);
+        }
+        return normalized;
+    }
+
+    // Text form used by the page and the CLI, e.g. "fail:2@100, recover:2@300,
+    // add:1.5@150, fail:0:restart@200".
+    function parseFaults(text) {
+        return String(text).split(/[,;\n]/).map(entry => entry.trim()).filter(Boolean).map(entry => {
+            const match = /^([a-z]+)(?::([^@]*))?@(\d+)$/i.exec(entry);
+            if (!match) {
+                throw new Error(`Cannot read fault "${entry}" (expected e.g. fail:2@100, recover:2@300 or add:1.5@150)`);
+            }
+            const [, action, arg, tick] = match;
+            const args = arg ? arg.split(':') : [];
+            const fault = { action: action.toLowerCase(), tick };
+            if (fault.action === 'add') {
+                if (args[0]) fault.speed = args[0];
+            } else {
+                fault.processor = args[0];
+                if (args[1]) fault.policy = args[1];
+            }
+            return normalizeFault(fault);
+        });
+    }
+
+    function describeFault(fault) {
+        if (fault.action === 'add') return `add:${fault.speed}@${fault.tick}`;
+        return `${fault.action}:${fault.processor}${fault.policy ? `:${fault.policy}` : ''}@${fault.tick}`;
+    }
+
+    // -------------------------
+    // Scenarios
+    // -------------------------
+    // Timed changes to a run (see scenario.js for the file formats). Failures,
+    // recoveries and hot-adds take the same fields as scheduled faults.
+    const SCENARIO_ACTIONS = {
+        inject: 'Inject processes: { count, burst, priority?, demands? } arriving at the tick',
+        algorithm: 'Switch the balancing algorithm: { algorithm }',
+        threshold: 'Set the balancing threshold: { threshold }',
+        interval: 'Set the balancing interval: { interval }',
+        speed: 'Change a processor speed: { processor, speed } or { processor, factor } of its configured speed',
+        fail: 'Fail a processor: { processor, policy? }',
+        recover: 'Recover a failed processor: { processor }',
+        add: 'Hot-add a processor: { speed? }'
+    };
+
+    function normalizeScenarioEvent(event) {
+        if (!SCENARIO_ACTIONS[event.action]) {
+            throw new Error(`Unknown scenario action "${event.action}" (expected one of: ${Object.keys(SCENARIO_ACTIONS).join(', ')})`);
+        }
+        if (FAULT_ACTIONS[event.action]) return normalizeFault(event);
+        const tick = Number(event.tick);
+        if (!Number.isInteger(tick) || tick < 0) {
+            throw new Error(`Scenario tick must be a non-negative integer, got "${event.tick}"`);
+        }
+        const normalized = { tick, action: event.action };
+        const positiveInt = (key, fallback) => {
+            if (event[key] === undefined && fallback === undefined) {
+                throw new Error(`Scenario ${event.action} needs ${key}`);
+            }
+            const value = event[key] !== undefined ? Number(event[key]) : fallback;
+            if (!Number.isInteger(value) || value < 1) {
+                throw new Error(`Scenario ${event.action} ${key} must be a positive integer, got "${event[key]}"`);
+            }
+            return value;
+        };
+        switch (event.action) {
+            case 'inject':
+                normalized.count = positiveInt('count', 1);
+                normalized.burst = positiveInt('burst');
+                normalized.priority = positiveInt('priority', 1);
+                normalized.demands = normalizeResources(event.demands || {});
+                break;
+            case 'algorithm':
+                normalized.algorithm = getStrategy(event.algorithm).id;
+                break;
+            case 'threshold':
+                normalized.threshold = normalizeBalancing({ threshold: event.threshold }).threshold;
+                break;
+            case 'interval':
+                normalized.interval = normalizeBalancing({ interval: event.interval }).interval;
+                break;
+            case 'speed': {
+                const processor = Number(event.processor);
+                if (!Number.isInteger(processor) || processor < 0) {
+                    throw new Error(`Scenario speed processor must be a processor id, got "${event.processor}"`);
+                }
+                normalized.processor = processor;
+                if (event.factor !== undefined) {
+                    const factor = Number(event.factor);
+                    if (!isFinite(factor) || factor <= 0) {
+                        throw new Error(`Scenario speed factor must be a positive number, got "${event.factor}"`);
+                    }
+                    normalized.factor = factor;
+                } else {
+                    normalized.speed = normalizeSpeeds([event.speed], 1)[0];
+                }
+                break;
+            }
+        }
+        return normalized;
+    }
+
+    function describeScenarioEvent(event) {
+        switch (event.action) {
+            case 'inject': {
+                const demands = describeResources(event.demands, '');
+                return `inject ${event.count} × burst ${event.burst}, priority ${event.priority}${demands ? `, ${demands}` : ''}`;
+            }
+            case 'algorithm': return `switch algorithm to ${event.algorithm}`;
+            case 'threshold': return `set threshold to ${event.threshold}`;
+            case 'interval': return `balance every ${event.interval} ticks`;
+            case 'speed': return event.factor !== undefined
+                ? `CPU ${event.processor} to ${Math.round(event.factor * 100)}% of its speed`
+                : `CPU ${event.processor} to speed ${event.speed}`;
+            case 'add': return `hot-add a processor at speed ${event.speed}`;
+            default: return `${event.action} CPU ${event.processor}${event.policy ? ` (${event.policy})` : ''}`;
+        }
+    }
+
+    // -------------------------
+    // Load Balancer Class
+    // -------------------------
+    // Placement and rebalancing are delegated to the strategy registered under
+    // `algorithm` (see strategies.js); this class owns the processors and the
+    // mechanics strategies build on. `pool` holds every processor by id;
+    // `processors` only the online ones, so strategies never see a failed
+    // processor and their indices refer to that list. The online processors
+    // are also kept in a LoadIndex (see heap.js) that every load change
+    // updates, so the least and most loaded one are found without a scan.
+    class LoadBalancer {
+        constructor(numProcessors, algorithm = 'dynamic', processorSpecs = [], rng = null) {
+            this.pool = Array.from({ length: numProcessors }, (_, i) => new Processor(i, processorSpecs[i]));
+            this.refreshOnline();
+            this.algorithm = algorithm;
+            this.strategy = getStrategy(algorithm);
+            this.rng = rng || new Random(randomSeed());
+            this.migrationCount = 0;
+            this.threshold = DEFAULT_BALANCING.threshold;
+            this.interval = DEFAULT_BALANCING.interval;
+            this.moves = DEFAULT_BALANCING.moves;
+            this.migrationCost = normalizeMigrationCost();
+            this.migrationTimeLost = { transfer: 0, penalty: 0 };
+            this.migrationLog = []; // { time, processId, from, to, arrivesAt, distance }
+            this.topology = null; // { nodes, distances } by processor id; null means flat
+            this.departures = null; // process id -> processor ids it left, during a balancing round
+            this.events = null;
+            this.currentTime = -1;
+        }
+
+        setEventLog(events) {
+            this.events = events;
+            this.pool.forEach(p => { p.events = events; });
+        }
+
+        refreshOnline() {
+            this.processors = this.pool.filter(p => p.online);
+            this.slots = new Map(this.processors.map((p, i) => [p, i])); // processor -> index in processors
+            this.loadIndex = new LoadIndex(this.processors);
+            this.pool.forEach(p => { p.loadIndex = p.online ? this.loadIndex : null; });
+        }
+
+        addProcessor(spec) {
+            const processor = new Processor(this.pool.length, spec);
+            processor.events = this.events;
+            this.pool.push(processor);
+            this.refreshOnline();
+            return processor;
+        }
+
+        // Returns the id of the processor the process was placed on, or null
+        // when no online processor has room for its demands. If the strategy
+        // picks a processor without room, the least loaded one with room is
+        // used instead. Processes without demands fit anywhere, so only the
+        // others pay for a scan of the pool.
+        assignProcess(process, currentTime) {
+            this.currentTime = currentTime;
+            const demanding = Object.keys(process.demands).length > 0;
+            if (demanding && !this.processors.some(p => p.fits(process))) return null;
+            let idx = this.strategy.place(this, process, currentTime);
+            let reason = `${this.strategy.label} placement`;
+            if (demanding && !this.processors[idx].fits(process)) {
+                reason = `${this.strategy.label} pick CPU ${this.processors[idx].id} is full; least loaded processor with room`;
+                idx = null;
+                this.processors.forEach((p, i) => {
+                    if (p.fits(process) && (idx === null || p.getDrainTime() < this.processors[idx].getDrainTime())) idx = i;
+                });
+            }
+            const target = this.processors[idx];
+            if (this.events) {
+                const min = this.loadIndex.leastLoaded().getDrainTime();
+                const max = this.loadIndex.mostLoaded().getDrainTime();
+                this.events.push(createEvent(currentTime, 'assignment', {
+                    processId: process.id,
+                    processor: target.id,
+                    reason: `${reason} (loads min ${roundLoad(min)}, max ${roundLoad(max)})`,
+                    load: roundLoad(target.getDrainTime())
+                }));
+            }
+            target.addProcess(process);
+            return target.id;
+        }
+
+        // A round runs rebalance passes while the last pass migrated and
+        // narrowed the max−min drain-time gap, and the round has made fewer
+        // than `budget` migrations (a single pass of some strategies may move
+        // several). No process is moved back to a processor it left during the
+        // round, so passes cannot undo each other. Returns the number of
+        // migrations made.
+        balance(currentTime, budget = this.moves) {
+            this.currentTime = currentTime;
+            const start = this.migrationCount;
+            if (!this.strategy.rebalance) return 0;
+            this.departures = new Map();
+            let gap = this.loadGap();
+            let before;
+            let narrowed;
+            do {
+                before = this.migrationCount;
+                this.strategy.rebalance(this, currentTime);
+                const after = this.loadGap();
+                narrowed = after < gap;
+                gap = after;
+            } while (narrowed && this.migrationCount > before && this.migrationCount - start < budget);
+            this.departures = null;
+            return this.migrationCount - start;
+        }
+
+        // -------------------------
+        // Strategy Helpers
+        // -------------------------
+        getLoads() {
+            return this.processors.map(p => p.getLoad());
+        }
+
+        getDrainTimes() {
+            return this.processors.map(p => p.getDrainTime());
+        }
+
+        // Indices of the least and most loaded online processor by drain
+        // time, the lowest index on ties (like argMin / argMax over getDrainTimes()).
+        leastLoaded() {
+            return this.slots.get(this.loadIndex.leastLoaded());
+        }
+
+        mostLoaded() {
+            return this.slots.get(this.loadIndex.mostLoaded());
+        }
+
+        // Drain time of the most loaded online processor minus the least loaded one's.
+        loadGap() {
+            if (!this.processors.length) return 0;
+            return this.loadIndex.mostLoaded().getDrainTime() - this.loadIndex.leastLoaded().getDrainTime();
+        }
+
+        // Index of the processor that would finish the process soonest, i.e.
+        // the smallest (load + burstRemaining) / speed; only the least loaded
+        // processor of each speed can be it.
+        soonestFinish(process) {
+            let best = null;
+            let bestTime = Infinity;
+            this.loadIndex.leastLoadedPerSpeed().forEach(p => {
+                const time = (p.getLoad() + process.burstRemaining) / p.speed;
+                if (time < bestTime || (time === bestTime && p.id < best.id)) {
+                    best = p;
+                    bestTime = time;
+                }
+            });
+            return this.slots.get(best);
+        }
+
+        random() {
+            return this.rng.next();
+        }
+
+        // Topology distance between two online processors (by index, like the other helpers).
+        distance(fromIdx, toIdx) {
+            if (fromIdx === toIdx) return 0;
+            return this.topology ? this.topology.distances[this.processors[fromIdx].id][this.processors[toIdx].id] : 1;
+        }
+
+        nodeOf(idx) {
+            return this.topology ? this.topology.nodes[this.processors[idx].id] : 0;
+        }
+
+        fits(process, idx) {
+            return this.processors[idx].fits(process);
+        }
+
+        asleep(idx) {
+            return this.processors[idx].powerState === 'sleep';
+        }
+
+        // Smallest fraction of any limited resource left on the processor once
+        // the process is added (1 when the processor has no limits).
+        residual(process, idx) {
+            const processor = this.processors[idx];
+            const names = Object.keys(processor.capacity);
+            if (!names.length) return 1;
+            return Math.min(...names.map(name => {
+                const capacity = processor.capacity[name];
+                const used = (processor.used[name] || 0) + (process.demands[name] || 0);
+                return capacity > 0 ? (capacity - used) / capacity : 0;
+            }));
+        }
+
+        // Shortest remaining CPU burst on the processor; waitingOnly skips the running one.
+        pickMigrant(processor, options = {}) {
+            let migrant = null;
+            processor.processes.forEach(p => {
+                if (options.waitingOnly && p === processor.running) return;
+                if (!migrant || p.burstRemaining < migrant.burstRemaining) migrant = p;
+            });
+            return migrant;
+        }
+
+        // Moves a process between processors. With a transfer delay the process
+        // is MIGRATING (runs nowhere) for that many ticks; the affinity penalty
+        // adds work to reflect the cold cache on the destination. Both scale
+        // with the topology distance of the move. `why` is { reason, gap } from
+        // the strategy, recorded in the event log. Moves to a processor without
+        // room for the process's demands, or back to one the process left in
+        // the current balancing round, are refused.
+        migrate(process, fromIdx, toIdx, why = {}) {
+            if (fromIdx === toIdx) return false;
+            const source = this.processors[fromIdx];
+            const destination = this.processors[toIdx];
+            if (!destination.fits(process)) return false;
+            const left = this.departures && this.departures.get(process.id);
+            if (left && left.includes(destination.id)) return false;
+            const fromLoad = source.getDrainTime();
+            const toLoad = destination.getDrainTime();
+            const removed = source.removeProcess(process.id);
+            if (!removed) return false;
+
+            const distance = this.distance(fromIdx, toIdx);
+            const delay = this.migrationCost.delay * distance;
+            const affinityPenalty = this.migrationCost.affinityPenalty * distance;
+            if (this.departures) {
+                if (!left) this.departures.set(removed.id, [source.id]);
+                else left.push(source.id);
+            }
+            removed.migrations++;
+            removed.remainingTime += affinityPenalty;
+            removed.migrationPenalty += affinityPenalty;
+            removed.migrationDelay += delay;
+            this.migrationTimeLost.penalty += affinityPenalty;
+            this.migrationTimeLost.transfer += delay;
+
+            // Balancing runs after execution, so arriving at t + delay + 1 skips exactly `delay` ticks.
+            const arrivesAt = this.currentTime + delay + 1;
+            if (delay > 0) {
+                destination.receiveMigration(removed, arrivesAt);
+            } else {
+                removed.state = 'READY';
+                destination.addProcess(removed);
+            }
+            this.migrationLog.push({ time: this.currentTime, processId: removed.id, from: source.id, to: destination.id, arrivesAt, distance });
+            this.migrationCount++;
+            if (this.events) {
+                this.events.push(createEvent(this.currentTime, 'migration', {
+                    processId: removed.id,
+                    processor: source.id,
+                    target: destination.id,
+                    reason: why.reason || 'unspecified',
+                    load: roundLoad(fromLoad),
+                    targetLoad: roundLoad(toLoad),
+                    gap: why.gap !== undefined ? roundLoad(why.gap) : null,
+                    threshold: this.threshold,
+                    distance
+                }));
+            }
+            return true;
+        }
+
+        // Loads are capacity-normalized (drain time in ticks), so a fast processor
+        // holding more work than a slow one is not counted as imbalance. Only
+        // online processors count.
+        getMetrics() {
+            const loads = this.processors.map(p => p.getDrainTime());
+            const n = this.processors.length || 1;
+            const sum = loads.reduce((a, b) => a + b, 0);
+            const avgLoad = sum / n;
+            const variance = loads.reduce((acc, load) => acc + Math.pow(load - avgLoad, 2), 0) / n;
+            return {
+                avgLoad: avgLoad.toFixed(2),
+                variance: Math.sqrt(variance).toFixed(2),
+                migrations: this.migrationCount
+            };
+        }
+    }
+
+    // -------------------------
+    // Workload Helpers
+    // -------------------------
+    const DEFAULT_WORKLOAD_SIZE = 8;
+    const THROUGHPUT_WINDOW = 50;
+    const HISTORY_POINTS = 2000;
+
+    // utilization is the fraction of processors that ran work in the tick;
+    // threshold and interval are the balancing settings in force (they move
+    // when auto-tuning is on); power is the pool's draw in watts.
+    function emptyHistory() {
+        return {
+            time: [], avgLoad: [], variance: [], migrations: [], completed: [], utilization: [], queueLengths: [],
+            threshold: [], interval: [], power: [], asleep: []
+        };
+    }
+
+    function generateRandomProcess(id, arrivalTime, rng) {
+        return new Process(id, arrivalTime, rng.int(20, 60), rng.int(1, 4));
+    }
+
+    function createProcesses(records) {
+        return records.map(r => new Process(r.id, r.arrival, r.burst, r.priority, r.bursts, r.demands));
+    }
+
+    function generateRandomWorkload(count, rng, firstId = 0) {
+        const workload = [];
+        for (let i = 0; i < count; i++) {
+            workload.push(generateRandomProcess(firstId + i, rng.int(0, 5), rng));
+        }
+        return workload;
+    }
+
+    // -------------------------
+    // Simulation Class
+    // -------------------------
+    class Simulation {
+        constructor(options = {}) {
+            this.numProcessors = options.numProcessors || 4;
+            this.processorSpecs = buildProcessorSpecs(this.numProcessors, options);
+            this.rng = new Random(options.seed !== undefined ? options.seed : randomSeed());
+            this.balancerRng = new Random((this.rng.seed ^ BALANCER_SEED_SALT) >>> 0);
+            this.loadBalancer = new LoadBalancer(this.numProcessors, options.algorithm || 'dynamic',
+                this.processorSpecs, this.balancerRng);
+            this.loadBalancer.migrationCost = normalizeMigrationCost(options.migrationCost);
+            this.setBalancing({ threshold: options.threshold, interval: options.balanceInterval, moves: options.moves });
+            this.setAutoTune(options.autoTune);
+            this.topology = buildTopology(options.topology, this.numProcessors, options.hotAdded);
+            this.applyTopology();
+            this.powerModel = normalizePowerModel(options.power);
+            this.applyPowerModel();
+            // Execution segments per processor lane, every migration and the
+            // { processor, start, end } spans processors spent offline, kept for the whole run.
+            this.timeline = {
+                lanes: Array.from({ length: this.numProcessors }, () => []),
+                migrations: this.loadBalancer.migrationLog,
+                outages: []
+            };
+            this.events = [];
+            this.loadBalancer.setEventLog(this.events);
+            if (options.processes) {
+                this.processes = options.processes;
+            } else if (options.generator) {
+                this.processes = createProcesses(generateWorkload(options.generator, this.rng));
+            } else {
+                this.processes = generateRandomWorkload(DEFAULT_WORKLOAD_SIZE, this.rng);
+            }
+            this.currentTime = -1;
+            this.completedProcesses = [];
+            this.historyPoints = options.historyPoints || HISTORY_POINTS;
+            this.historyStride = 1;
+            this.history = emptyHistory();
+            this.stdDevStats = { samples: 0, sum: 0, peak: 0 };
+            this.throughputWindow = options.throughputWindow || THROUGHPUT_WINDOW;
+            this.completionsPerWindow = [];
+            this.failurePolicy = normalizeFailurePolicy(options.failurePolicy);
+            this.faults = (options.faults || []).map(normalizeFault).sort((a, b) => a.tick - b.tick);
+            // Events at the same tick apply in the order they were given.
+            this.scenario = (options.scenario || []).map(normalizeScenarioEvent).sort((a, b) => a.tick - b.tick);
+            // One entry per failure, recovery or hot-add with how the balancer coped.
+            this.disturbances = [];
+            // PENDING processes no online processor had room for, oldest first.
+            this.admissionQueue = [];
+            // Per resource, the most any one processor offers; filled as demands
+            // ask for it and cleared when the pool changes.
+            this.largestCapacity = {};
+            this.resourceStats = {}; // per resource: { samples, sum, peak } of processor levels
+            this.indexProcesses();
+        }
+
+        get algorithm() {
+            return this.loadBalancer.algorithm;
+        }
+
+        get seed() {
+            return this.rng.seed;
+        }
+
+        addProcess(process) {
+            this.track(process);
+            this.admit(process, this.currentTime);
+        }
+
+        // -------------------------
+        // Due Queues
+        // -------------------------
+        // NEW processes wait in a heap by arrival tick and BLOCKED ones in a
+        // heap by I/O completion, so a tick only touches the processes due in
+        // it instead of scanning the whole workload. Both are rebuilt from the
+        // process states, e.g. after a snapshot restore swapped the processes.
+        indexProcesses() {
+            this.order = new Map(); // process -> position in `processes`, the order due ones are handled in
+            this.arrivals = new IndexedHeap((a, b) => a.arrivalTime < b.arrivalTime ||
+                (a.arrivalTime === b.arrivalTime && this.order.get(a) < this.order.get(b)));
+            this.ioCompletions = new IndexedHeap((a, b) => a.ioReadyAt < b.ioReadyAt ||
+                (a.ioReadyAt === b.ioReadyAt && this.order.get(a) < this.order.get(b)));
+            this.terminated = 0; // finished or rejected
+            this.processes.forEach((process, i) => {
+                this.order.set(process, i);
+                if (process.state === 'NEW') this.arrivals.push(process);
+                else if (process.state === 'BLOCKED') this.ioCompletions.push(process);
+                else if (process.state === 'TERMINATED' || process.state === 'REJECTED') this.terminated++;
+            });
+        }
+
+        // Appends a process to the workload; a NEW one is admitted once it arrives.
+        track(process) {
+            this.order.set(process, this.processes.length);
+            this.processes.push(process);
+            if (process.state === 'NEW') this.arrivals.push(process);
+        }
+
+        // Arrived NEW processes and finished I/O bursts, in workload order.
+        takeDue(currentTime) {
+            const due = [];
+            while (this.arrivals.size && this.arrivals.peek().arrivalTime <= currentTime) {
+                const process = this.arrivals.pop();
+                if (process.state === 'NEW') due.push(process);
+            }
+            while (this.ioCompletions.size && this.ioCompletions.peek().ioReadyAt <= currentTime) {
+                const process = this.ioCompletions.pop();
+                if (process.state === 'BLOCKED') due.push(process);
+            }
+            return due.sort((a, b) => this.order.get(a) - this.order.get(b));
+        }
+
+        admit(process, currentTime) {
+            const demands = describeResources(process.demands, '');
+            this.events.push(createEvent(currentTime, 'arrival', {
+                processId: process.id,
+                reason: `burst ${process.burstTime}, priority ${process.priority}${demands ? `, ${demands}` : ''}`
+            }));
+            this.place(process, currentTime);
+        }
+
+        // Places a process through the balancer, or queues it for admission
+        // when no online processor has room for its demands. A process that
+        // demands more than any processor has is rejected instead, since it
+        // would wait forever.
+        place(process, currentTime) {
+            if (!this.couldEverFit(process)) {
+                this.reject(process, currentTime);
+                return null;
+            }
+            const placed = this.loadBalancer.assignProcess(process, currentTime);
+            if (placed === null) {
+                process.state = 'PENDING';
+                process.assignedProcessor = null;
+                this.admissionQueue.push(process);
+                this.events.push(createEvent(currentTime, 'queued', {
+                    processId: process.id,
+                    reason: `no online processor has room for ${describeResources(process.demands)}`
+                }));
+            }
+            return placed;
+        }
+
+        // Queued processes are retried oldest first; later ones may still fit
+        // where an earlier, larger one did not.
+        admitQueued(currentTime) {
+            this.admissionQueue = this.admissionQueue.filter(process => {
+                if (this.couldEverFit(process)) return this.loadBalancer.assignProcess(process, currentTime) === null;
+                this.reject(process, currentTime);
+                return false;
+            });
+        }
+
+        // Whether some processor in the pool could hold the process on its
+        // own. Offline processors count, as they may come back.
+        couldEverFit(process) {
+            return Object.keys(process.demands).every(name => {
+                if (!(name in this.largestCapacity)) {
+                    this.largestCapacity[name] = this.loadBalancer.pool.reduce((max, p) =>
+                        Math.max(max, name in p.capacity ? p.capacity[name] : Infinity), 0);
+                }
+                return process.demands[name] <= this.largestCapacity[name];
+            });
+        }
+
+        reject(process, currentTime) {
+            process.state = 'REJECTED';
+            process.assignedProcessor = null;
+            this.terminated++;
+            this.events.push(createEvent(currentTime, 'rejected', {
+                processId: process.id,
+                reason: `demands ${describeResources(process.demands)}, more than any processor has`
+            }));
+        }
+
+        // I/O completion: the process is placed again like a new arrival, so
+        // it may land on a different processor than the one it blocked on.
+        resumeFromIo(process, currentTime) {
+            const previous = process.assignedProcessor;
+            process.endIo();
+            process.assignedProcessor = null;
+            this.events.push(createEvent(currentTime, 'io-complete', {
+                processId: process.id,
+                processor: previous,
+                reason: `I/O done after ${process.bursts[process.burstIndex - 1]} tick(s), ${process.burstRemaining} unit(s) in the next CPU burst`
+            }));
+            const placed = this.place(process, currentTime);
+            if (placed !== null && placed !== previous) process.ioMoves++;
+        }
+
+        addRandomProcess() {
+            const arrival = this.currentTime >= 0 ? this.currentTime : 0;
+            const process = generateRandomProcess(this.nextProcessId(), arrival, this.rng);
+            this.addProcess(process);
+            return process;
+        }
+
+        nextProcessId() {
+            return this.processes.reduce((max, p) => Math.max(max, p.id), -1) + 1;
+        }
+
+        // Re-deals every process on a processor or in the admission queue onto a
+        // fresh balancer running the new algorithm; BLOCKED ones are placed
+        // when their I/O completes and NEW ones when they arrive.
+        setAlgorithm(algorithm) {
+            const newLB = new LoadBalancer(this.numProcessors, algorithm, this.processorSpecs, this.balancerRng);
+            newLB.migrationCost = this.loadBalancer.migrationCost;
+            newLB.threshold = this.loadBalancer.threshold;
+            newLB.interval = this.loadBalancer.interval;
+            newLB.moves = this.loadBalancer.moves;
+            newLB.pool.forEach((p, i) => p.inheritCounters(this.loadBalancer.pool[i]));
+            newLB.refreshOnline();
+            newLB.migrationLog = this.timeline.migrations;
+            newLB.setEventLog(this.events);
+            const active = this.processes.filter(p => !['NEW', 'TERMINATED', 'REJECTED', 'BLOCKED'].includes(p.state));
+
+            active.forEach(p => {
+                p.assignedProcessor = null;
+                if (p.state === 'RUNNING' || p.state === 'MIGRATING' || p.state === 'PENDING') p.state = 'READY';
+            });
+
+            this.loadBalancer = newLB;
+            this.applyTopology();
+            this.applyPowerModel();
+            this.admissionQueue = [];
+            active.sort((a, b) => a.id - b.id).forEach(p => {
+                this.place(p, this.currentTime);
+            });
+        }
+
+        applyTopology() {
+            this.loadBalancer.topology = this.topology;
+            this.loadBalancer.pool.forEach(p => { p.node = this.topology.nodes[p.id]; });
+        }
+
+        // Governor, sleep and wake-up changes apply from the next tick.
+        setPowerModel(spec) {
+            this.powerModel = normalizePowerModel(spec);
+            this.applyPowerModel();
+        }
+
+        applyPowerModel() {
+            this.loadBalancer.pool.forEach(p => { p.power = this.powerModel; });
+        }
+
+        get processorSpeeds() {
+            return this.processorSpecs.map(spec => spec.speed);
+        }
+
+        setMigrationCost(cost) {
+            this.loadBalancer.migrationCost = normalizeMigrationCost(cost);
+        }
+
+        // Settings left out keep their current value.
+        setBalancing(settings) {
+            const lb = this.loadBalancer;
+            const current = { threshold: lb.threshold, interval: lb.interval, moves: lb.moves };
+            Object.keys(settings).forEach(key => { if (settings[key] !== undefined) current[key] = settings[key]; });
+            const balancing = normalizeBalancing(current);
+            lb.threshold = balancing.threshold;
+            lb.interval = balancing.interval;
+            lb.moves = balancing.moves;
+        }
+
+        // Hands the threshold and interval to a feedback controller (see
+        // tuning.js): true or { targetImbalance, ... } turns it on, a falsy value
+        // off (the tuned values stay in force). The controller also sizes each
+        // round's migration budget from the load gap, in place of `moves`.
+        setAutoTune(settings) {
+            this.tuner = settings ? new AutoTuner(settings === true ? {} : settings) : null;
+        }
+
+        setScheduler(processorId, spec) {
+            const scheduler = normalizeScheduler(spec);
+            this.processorSpecs[processorId].scheduler = scheduler;
+            this.loadBalancer.pool[processorId].setScheduler(scheduler);
+        }
+
+        setFailurePolicy(policy) {
+            this.failurePolicy = normalizeFailurePolicy(policy);
+        }
+
+        // -------------------------
+        // Failures and Hot-Add
+        // -------------------------
+        // Takes a processor offline. Everything on it (including processes in
+        // transfer towards it) is re-placed by the active algorithm; with the
+        // restart policy those processes first lose the work done so far.
+        failProcessor(id, policy = this.failurePolicy) {
+            policy = normalizeFailurePolicy(policy);
+            const lb = this.loadBalancer;
+            const processor = this.getProcessor(id);
+            if (!processor.online) throw new Error(`CPU ${id} is already offline`);
+            if (lb.processors.length === 1) throw new Error('Cannot take the last online processor offline');
+
+            const disturbance = this.openDisturbance('failure', id, policy);
+            processor.online = false;
+            processor.powerState = 'off';
+            processor.lastPower = 0;
+            processor.idleStreak = 0;
+            lb.refreshOnline();
+            const displaced = processor.evacuate().sort((a, b) => a.id - b.id);
+            this.events.push(createEvent(this.currentTime, 'failure', {
+                processor: id,
+                reason: `${displaced.length} process(es) displaced, policy ${policy}`
+            }));
+
+            displaced.forEach(process => {
+                let reason = `${process.remainingTime} unit(s) of work left`;
+                if (policy === 'restart') {
+                    const lost = process.burstTime + process.migrationPenalty - process.remainingTime;
+                    process.remainingTime += lost;
+                    process.workLost += lost;
+                    process.rewindBursts();
+                    disturbance.workLost += lost;
+                    reason = `restarted, ${lost} unit(s) of work lost`;
+                }
+                process.state = 'READY';
+                process.assignedProcessor = null;
+                this.events.push(createEvent(this.currentTime, 'evacuation', { processId: process.id, processor: id, reason }));
+                this.place(process, this.currentTime);
+            });
+            disturbance.displaced = displaced.length;
+        }
+
+        // Brings a failed processor back empty; balancing refills it.
+        recoverProcessor(id) {
+            const processor = this.getProcessor(id);
+            if (processor.online) throw new Error(`CPU ${id} is already online`);
+            this.openDisturbance('recovery', id, null);
+            processor.online = true;
+            this.loadBalancer.refreshOnline();
+            this.events.push(createEvent(this.currentTime, 'recovery', { processor: id, reason: `back after ${processor.downTicks} offline tick(s) in total` }));
+        }
+
+        // Adds an empty processor mid-run; `spec` is { speed, scheduler, capacity }
+        // and the scheduler and capacity default to the ones on CPU 0.
+        addProcessor(spec = {}) {
+            const normalized = {
+                speed: normalizeSpeeds([spec.speed !== undefined ? spec.speed : 1], 1)[0],
+                scheduler: normalizeScheduler(spec.scheduler || this.processorSpecs[0].scheduler),
+                capacity: normalizeResources(spec.capacity || this.processorSpecs[0].capacity)
+            };
+            const id = this.processorSpecs.length;
+            this.openDisturbance('hot-add', id, null);
+            this.processorSpecs.push(normalized);
+            this.numProcessors = this.processorSpecs.length;
+            this.timeline.lanes.push([]);
+            this.loadBalancer.addProcessor(normalized);
+            this.largestCapacity = {};
+            this.topology = buildTopology(this.topology.spec, this.numProcessors,
+                this.disturbances.filter(d => d.type === 'hot-add').length);
+            this.applyTopology();
+            this.applyPowerModel();
+            this.events.push(createEvent(this.currentTime, 'hot-add', { processor: id, reason: `speed ${normalized.speed}×` }));
+            return id;
+        }
+
+        getProcessor(id) {
+            const processor = this.loadBalancer.pool[id];
+            if (!processor) throw new Error(`Unknown processor ${id}`);
+            return processor;
+        }
+
+        // Every scenario event is logged; one that cannot apply (e.g. an unknown
+        // processor) is logged as skipped and the run goes on.
+        applyScenarioEvent(event) {
+            const processor = event.processor !== undefined ? event.processor : null;
+            this.events.push(createEvent(this.currentTime, 'scenario', { processor, reason: describeScenarioEvent(event) }));
+            try {
+                switch (event.action) {
+                    case 'inject':
+                        this.injectProcesses(event);
+                        break;
+                    case 'algorithm':
+                        this.setAlgorithm(event.algorithm);
+                        break;
+                    case 'threshold':
+                        this.setBalancing({ threshold: event.threshold });
+                        break;
+                    case 'interval':
+                        this.setBalancing({ interval: event.interval });
+                        break;
+                    case 'speed': {
+                        const spec = this.processorSpecs[event.processor];
+                        const base = spec ? spec.speed : null;
+                        this.setProcessorSpeed(event.processor, event.factor !== undefined ? base * event.factor : event.speed);
+                        break;
+                    }
+                    default:
+                        this.applyFault(event);
+                }
+            } catch (err) {
+                this.events.push(createEvent(this.currentTime, 'scenario', { processor, reason: `skipped: ${err.message}` }));
+            }
+        }
+
+        // New processes arriving this tick; they are admitted with the tick's other arrivals.
+        injectProcesses({ count, burst, priority, demands }) {
+            const firstId = this.nextProcessId();
+            for (let i = 0; i < count; i++) {
+                const process = new Process(firstId + i, this.currentTime, burst, priority, null, demands);
+                process.origin = 'scenario';
+                this.track(process);
+            }
+        }
+
+        // Changes how fast a processor runs from now on; the configured speed
+        // (processorSpecs) is what Reset starts from.
+        setProcessorSpeed(processorId, speed) {
+            const processor = this.loadBalancer.pool[processorId];
+            if (!processor) {
+                throw new Error(`No processor ${processorId}`);
+            }
+            processor.speed = normalizeSpeeds([speed], 1)[0];
+            if (processor.loadIndex) processor.loadIndex.update(processor);
+        }
+
+        // Scheduled faults that cannot apply (e.g. failing the last online
+        // processor) are skipped and noted in the event log.
+        applyFault(fault) {
+            try {
+                if (fault.action === 'fail') this.failProcessor(fault.processor, fault.policy);
+                else if (fault.action === 'recover') this.recoverProcessor(fault.processor);
+                else this.addProcessor({ speed: fault.speed });
+            } catch (err) {
+                this.events.push(createEvent(this.currentTime, FAULT_ACTIONS[fault.action], {
+                    processor: fault.action === 'add' ? null : fault.processor,
+                    reason: `skipped: ${err.message}`
+                }));
+            }
+        }
+
+        // The baseline is the imbalance just before the disturbance.
+        openDisturbance(type, processor, policy) {
+            const baseline = parseFloat(this.loadBalancer.getMetrics().variance);
+            const disturbance = {
+                tick: this.currentTime, type, processor, policy, displaced: 0, workLost: 0,
+                baseline, peak: baseline, recoveredAt: null, recoveryTime: null,
+                startMigrations: this.loadBalancer.migrationCount, migrations: null
+            };
+            this.disturbances.push(disturbance);
+            return disturbance;
+        }
+
+        trackRecovery(stdDev) {
+            this.disturbances.forEach(d => {
+                if (d.recoveredAt !== null) return;
+                d.peak = Math.max(d.peak, stdDev);
+                if (stdDev <= Math.max(d.baseline, RECOVERY_FLOOR)) {
+                    d.recoveredAt = this.currentTime;
+                    d.recoveryTime = this.currentTime - d.tick;
+                    d.migrations = this.loadBalancer.migrationCount - d.startMigrations;
+                }
+            });
+        }
+
+        step() {
+            this.currentTime++;
+            const currentTime = this.currentTime;
+
+            this.faults.filter(f => f.tick === currentTime).forEach(f => this.applyFault(f));
+            this.scenario.filter(e => e.tick === currentTime).forEach(e => this.applyScenarioEvent(e));
+            if (this.admissionQueue.length) this.admitQueued(currentTime);
+
+            this.takeDue(currentTime).forEach(process => {
+                if (process.state === 'NEW') this.admit(process, currentTime);
+                else this.resumeFromIo(process, currentTime);
+            });
+
+            const loadBalancer = this.loadBalancer;
+            loadBalancer.pool.forEach(processor => {
+                if (!processor.online) {
+                    processor.downTicks++;
+                    this.recordOutage(processor);
+                    return;
+                }
+                const completed = processor.execute(currentTime);
+                this.recordTimeline(processor);
+                if (completed.length) this.recordCompletions(completed);
+                processor.tickBlocked.forEach(process => this.ioCompletions.push(process));
+            });
+
+            if (currentTime > 0 && currentTime % loadBalancer.interval === 0) {
+                this.balanceRound(currentTime);
+            }
+            this.admissionQueue.forEach(process => { process.admissionWait++; });
+
+            this.recordHistory();
+        }
+
+        balanceRound(currentTime) {
+            const loadBalancer = this.loadBalancer;
+            if (!this.tuner) {
+                loadBalancer.balance(currentTime);
+                return;
+            }
+            const moved = loadBalancer.balance(currentTime, this.tuner.budget(loadBalancer));
+            const reason = this.tuner.adjust(loadBalancer, moved);
+            if (reason) {
+                this.events.push(createEvent(currentTime, 'tuning', { reason, threshold: loadBalancer.threshold }));
+            }
+        }
+
+        // A tick is split evenly between the processes that ran in it (a fast
+        // processor may run several); consecutive slices of one process merge
+        // into a single { processId, start, end } segment.
+        recordTimeline(processor) {
+            const runs = processor.tickRuns;
+            const lane = this.timeline.lanes[processor.id];
+            runs.forEach((processId, i) => {
+                const start = this.currentTime + i / runs.length;
+                const end = this.currentTime + (i + 1) / runs.length;
+                const last = lane[lane.length - 1];
+                if (last && last.processId === processId && Math.abs(last.end - start) < 1e-9) {
+                    last.end = end;
+                } else {
+                    lane.push({ processId, start, end });
+                }
+            });
+        }
+
+        recordOutage(processor) {
+            const outages = this.timeline.outages;
+            const open = outages.find(o => o.processor === processor.id && o.end === this.currentTime);
+            if (open) open.end = this.currentTime + 1;
+            else outages.push({ processor: processor.id, start: this.currentTime, end: this.currentTime + 1 });
+        }
+
+        recordCompletions(completed) {
+            completed.forEach(process => this.completedProcesses.push(process));
+            if (this.tuner) completed.forEach(process => this.tuner.forget(process.id));
+            this.terminated += completed.length;
+            const window = Math.floor(this.currentTime / this.throughputWindow);
+            while (this.completionsPerWindow.length <= window) this.completionsPerWindow.push(0);
+            this.completionsPerWindow[window] += completed.length;
+        }
+
+        // History covers the whole run: one point every `historyStride` ticks.
+        // When it outgrows `historyPoints` every other point is dropped and the
+        // stride doubles, so long runs stay bounded at a coarser resolution.
+        recordHistory() {
+            const metrics = this.loadBalancer.getMetrics();
+            const stdDev = parseFloat(metrics.variance);
+            this.stdDevStats.samples++;
+            this.stdDevStats.sum += stdDev;
+            this.stdDevStats.peak = Math.max(this.stdDevStats.peak, stdDev);
+            this.trackRecovery(stdDev);
+            this.trackResources();
+
+            if (this.currentTime % this.historyStride !== 0) return;
+            const processors = this.loadBalancer.processors;
+            const history = this.history;
+            history.time.push(this.currentTime);
+            history.avgLoad.push(parseFloat(metrics.avgLoad));
+            history.variance.push(stdDev);
+            history.migrations.push(metrics.migrations);
+            history.completed.push(this.completedProcesses.length);
+            history.utilization.push(processors.filter(p => p.tickRuns.length > 0).length / processors.length);
+            history.queueLengths.push(this.loadBalancer.pool.map(p => p.processes.length + p.inbound.length));
+            history.threshold.push(this.loadBalancer.threshold);
+            history.interval.push(this.loadBalancer.interval);
+            history.power.push(round(this.loadBalancer.pool.reduce((sum, p) => sum + (p.online ? p.lastPower : 0), 0)));
+            history.asleep.push(processors.filter(p => p.powerState === 'sleep').length);
+
+            if (history.time.length > this.historyPoints) {
+                this.downsampleHistory();
+            }
+        }
+
+        // Mean and peak level of each limited resource over online processors.
+        trackResources() {
+            const levels = {};
+            this.loadBalancer.processors.forEach(processor => {
+                const processorLevels = processor.getResourceLevels();
+                Object.keys(processorLevels).forEach(name => {
+                    (levels[name] = levels[name] || []).push(processorLevels[name]);
+                });
+            });
+            Object.keys(levels).forEach(name => {
+                const stats = this.resourceStats[name] || (this.resourceStats[name] = { samples: 0, sum: 0, peak: 0 });
+                stats.samples++;
+                stats.sum += levels[name].reduce((a, b) => a + b, 0) / levels[name].length;
+                stats.peak = levels[name].reduce((a, b) => Math.max(a, b), stats.peak);
+            });
+        }
+
+        downsampleHistory() {
+            this.historyStride *= 2;
+            const keep = this.history.time.map(t => t % this.historyStride === 0);
+            Object.keys(this.history).forEach(key => {
+                this.history[key] = this.history[key].filter((_, i) => keep[i]);
+            });
+        }
+
+        // Processes a scenario injects later still count as outstanding.
+        isComplete() {
+            return this.terminated === this.processes.length &&
+                !this.scenario.some(e => e.action === 'inject' && e.tick > this.currentTime);
+        }
+
+        // Steps until every process has terminated or maxTicks ticks have elapsed.
+        run(maxTicks = Infinity) {
+            while (!this.isComplete() && this.currentTime + 1 < maxTicks) {
+                this.step();
+            }
+            return this.getSummary();
+        }
+
+        getSummary() {
+            const metrics = this.loadBalancer.getMetrics();
+            const processors = this.loadBalancer.pool;
+            const completed = this.completedProcesses;
+            const started = this.processes.filter(p => p.startTime !== null);
+            const stats = this.stdDevStats;
+            const ticks = this.currentTime + 1;
+            const utilizations = processors.map(p => p.getUtilization());
+            const makespan = this.isComplete() && completed.length
+                ? completed.reduce((m, p) => Math.max(m, p.completionTime + 1), 0) -
+                    this.processes.reduce((m, p) => Math.min(m, p.arrivalTime), Infinity)
+                : null;
+
+            return {
+                algorithm: this.algorithm,
+                seed: this.seed,
+                processors: this.numProcessors,
+                online: this.loadBalancer.processors.length,
+                topology: Object.assign({ nodes: this.topology.nodes }, this.topology.spec),
+                speeds: this.processorSpeeds,
+                schedulers: this.processorSpecs.map(spec => spec.scheduler),
+                ticks: this.currentTime + 1,
+                processes: this.processes.length,
+                completed: this.completedProcesses.length,
+                allCompleted: this.isComplete(),
+                migrations: metrics.migrations,
+                migrationCost: this.loadBalancer.migrationCost,
+                balancing: {
+                    threshold: this.loadBalancer.threshold,
+                    interval: this.loadBalancer.interval,
+                    moves: this.loadBalancer.moves,
+                    autoTune: this.tuner ? Object.assign({ settings: this.tuner.settings }, this.tuner.getState()) : null
+                },
+                migrationDistance: summarizeDistances(this.timeline.migrations),
+                migrationTimeLost: Object.assign({
+                    total: this.loadBalancer.migrationTimeLost.transfer + this.loadBalancer.migrationTimeLost.penalty
+                }, this.loadBalancer.migrationTimeLost),
+                contextSwitches: processors.reduce((sum, p) => sum + p.contextSwitches, 0),
+                preemptions: processors.reduce((sum, p) => sum + p.preemptions, 0),
+                loadStdDev: {
+                    final: parseFloat(metrics.variance),
+                    mean: stats.samples ? round(stats.sum / stats.samples) : 0,
+                    peak: stats.peak
+                },
+                makespan,
+                turnaround: summarize(completed.map(turnaroundTime)),
+                waiting: summarize(completed.map(p => p.waitingTime)),
+                response: summarize(started.map(responseTime)),
+                utilization: {
+                    mean: round(utilizations.reduce((a, b) => a + b, 0) / (utilizations.length || 1)),
+                    perProcessor: utilizations.map(round)
+                },
+                busyTicks: processors.map(p => p.busyTicks),
+                idleTicks: processors.map(p => p.idleTicks),
+                downTicks: processors.map(p => p.downTicks),
+                throughput: {
+                    overall: ticks > 0 ? round(completed.length / ticks) : 0,
+                    window: this.throughputWindow,
+                    recent: ticks > 0 ? round(this.recentCompletions() / Math.min(ticks, this.throughputWindow)) : 0,
+                    perWindow: this.completionsPerWindow.slice()
+                },
+                fairness: {
+                    processes: jainIndex(completed.map(p => p.burstTime / turnaroundTime(p))),
+                    processors: jainIndex(processors.map(p => p.busyTicks))
+                },
+                io: this.getIoSummary(),
+                resources: this.getResourceSummary(),
+                recovery: this.getRecoverySummary(),
+                energy: this.getEnergySummary(makespan)
+            };
+        }
+
+        // The energy-delay product weighs energy by the makespan, or by the
+        // ticks elapsed so far while the run is still going.
+        getEnergySummary(makespan) {
+            const processors = this.loadBalancer.pool;
+            const ticks = this.currentTime + 1;
+            const total = processors.reduce((sum, p) => sum + p.energy, 0);
+            const stateTicks = {};
+            POWER_STATES.forEach(state => {
+                stateTicks[state] = processors.reduce((sum, p) => sum + p.stateTicks[state], 0);
+            });
+            return {
+                model: this.powerModel,
+                total: round(total),
+                meanPower: ticks > 0 ? round(total / ticks) : 0,
+                edp: round(total * (makespan !== null ? makespan : Math.max(ticks, 0))),
+                perProcessor: processors.map(p => round(p.energy)),
+                stateTicks,
+                wakeUps: processors.reduce((sum, p) => sum + p.wakeUps, 0)
+            };
+        }
+
+        // Per limited resource: mean level and spread across online processors
+        // now, the mean level over the run and the fullest any processor got.
+        getResourceSummary() {
+            const processors = this.loadBalancer.processors;
+            const levels = {};
+            Object.keys(this.resourceStats).forEach(name => {
+                const current = processors.filter(p => name in p.capacity).map(p => p.getResourceLevels()[name]);
+                const mean = current.length ? current.reduce((a, b) => a + b, 0) / current.length : 0;
+                const stats = this.resourceStats[name];
+                levels[name] = {
+                    final: round(mean),
+                    stdDev: round(Math.sqrt(current.reduce((acc, l) => acc + Math.pow(l - mean, 2), 0) / (current.length || 1))),
+                    mean: round(stats.sum / stats.samples),
+                    peak: round(stats.peak)
+                };
+            });
+            const waits = this.processes.filter(p => p.admissionWait > 0).map(p => p.admissionWait);
+            const rejected = this.processes.filter(p => p.state === 'REJECTED').length;
+            return {
+                capacities: this.processorSpecs.map(spec => spec.capacity),
+                levels,
+                admission: {
+                    queued: this.admissionQueue.length,
+                    rejected,
+                    delayed: waits.length,
+                    meanWait: waits.length ? round(waits.reduce((a, b) => a + b, 0) / waits.length) : null,
+                    maxWait: waits.length ? waits.reduce((a, b) => Math.max(a, b)) : null
+                }
+            };
+        }
+
+        // `bursts` counts I/O bursts started, `time` the ticks spent in completed ones.
+        getIoSummary() {
+            const io = this.processes.filter(p => p.bursts);
+            return {
+                processes: io.length,
+                bursts: io.reduce((sum, p) => sum + p.ioCount, 0),
+                blocked: io.filter(p => p.state === 'BLOCKED').length,
+                time: io.reduce((sum, p) => sum + p.ioTime, 0),
+                moved: io.reduce((sum, p) => sum + p.ioMoves, 0)
+            };
+        }
+
+        // Recovery times only cover disturbances the balancer has recovered from.
+        getRecoverySummary() {
+            const recovered = this.disturbances.filter(d => d.recoveredAt !== null);
+            const times = recovered.map(d => d.recoveryTime);
+            return {
+                failurePolicy: this.failurePolicy,
+                disturbances: this.disturbances.length,
+                recovered: recovered.length,
+                meanTime: times.length ? round(times.reduce((a, b) => a + b, 0) / times.length) : null,
+                maxTime: times.length ? times.reduce((a, b) => Math.max(a, b)) : null,
+                displaced: this.disturbances.reduce((sum, d) => sum + d.displaced, 0),
+                workLost: this.processes.reduce((sum, p) => sum + p.workLost, 0),
+                events: this.disturbances.map(d => ({
+                    tick: d.tick, type: d.type, processor: d.processor, policy: d.policy,
+                    displaced: d.displaced, workLost: d.workLost, baseline: d.baseline, peak: d.peak,
+                    recoveredAt: d.recoveredAt, recoveryTime: d.recoveryTime, migrations: d.migrations
+                }))
+            };
+        }
+
+        // Completions in the most recent (possibly partial) throughput window.
+        recentCompletions() {
+            if (this.currentTime < 0) return 0;
+            const window = Math.floor(this.currentTime / this.throughputWindow);
+            return this.completionsPerWindow[window] || 0;
+        }
+    }
+
+    // -------------------------
+    // Metrics
+    // -------------------------
+    // A process finishing during tick t has been in the system through the end of t.
+    function turnaroundTime(process) {
+        return process.completionTime + 1 - process.arrivalTime;
+    }
+
+    function responseTime(process) {
+        return process.startTime - process.arrivalTime;
+    }
+
+    // Jain's fairness index: 1 when all values are equal, 1/n when one takes everything.
+    function jainIndex(values) {
+        const sum = values.reduce((a, b) => a + b, 0);
+        const squares = values.reduce((a, b) => a + b * b, 0);
+        return squares > 0 ? round((sum * sum) / (values.length * squares)) : 1;
+    }
+
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    function summarize(values) {
+        return {
+            mean: values.length ? round(values.reduce((a, b) => a + b, 0) / values.length) : 0,
+            max: values.length ? values.reduce((a, b) => Math.max(a, b), 0) : 0
+        };
+    }
+
+    // Moves within a node have distance 1 or less.
+    function summarizeDistances(migrations) {
+        const distances = migrations.map(m => (m.distance !== undefined ? m.distance : 1));
+        return {
+            mean: distances.length ? round(distances.reduce((a, b) => a + b, 0) / distances.length) : 0,
+            local: distances.filter(d => d <= 1).length,
+            remote: distances.filter(d => d > 1).length
+        };
+    }
+
+    // Plain records of a workload's original parameters, for cloning it into other runs.
+    function toRecords(processes) {
+        return processes.map(p => {
+            const record = { id: p.id, arrival: p.arrivalTime, burst: p.burstTime, priority: p.priority };
+            if (p.bursts) record.bursts = p.bursts.slice();
+            if (Object.keys(p.demands).length) record.demands = Object.assign({}, p.demands);
+            return record;
+        });
+    }
+
+    return { LOAD_HORIZON, THROUGHPUT_WINDOW, EVENT_TYPES, FAILURE_POLICIES, Process, Processor, LoadBalancer, Simulation, buildProcessorSpecs, normalizeSpeeds, normalizeMigrationCost, DEFAULT_BALANCING, normalizeBalancing, normalizeFailurePolicy, normalizeFault, parseFaults, describeFault, SCENARIO_ACTIONS, normalizeScenarioEvent, describeScenarioEvent, createProcesses, toRecords, turnaroundTime, responseTime, jainIndex, generateRandomProcess, generateRandomWorkload };
+}));
@@ -0,0 +1,306 @@
+// Versioned snapshots: the complete state of a Simulation as plain JSON, so a
+// run can be saved, shared and resumed from the exact tick it was taken at.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./simulation'));
+    } else {
+        root.SimEngine = Object.assign(root.SimEngine || {}, factory(root.SimEngine));
+    }
+}(typeof self !== 'undefined' ? self : this, function (lib) {
+    'use strict';
+
+    const { Process, Simulation } = lib;
+
+    const SNAPSHOT_FORMAT = 'load-balancing-simulator/snapshot';
+    // Version 2 added the power, tuning, resource, topology and scenario state;
+    // version 1 snapshots lack it and are refused.
+    const SNAPSHOT_VERSION = 2;
+    // Characters of JSON allowed per kept checkpoint when no `maxSize` is given;
+    // a default run's snapshot is about 35k.
+    const CHECKPOINT_SIZE_EACH = 100e3;
+
+    // Processor fields copied as-is; queues and the running process are stored as ids.
+    const PROCESSOR_FIELDS = [
+        'workCredit', 'totalExecutionTime', 'busyTicks', 'idleTicks', 'downTicks', 'online', 'lastRunId',
+        'sliceUsed', 'contextSwitches', 'preemptions', 'tickRuns', 'speed',
+        'frequency', 'powerState', 'idleStreak', 'wakeUntil', 'energy', 'stateTicks', 'wakeUps', 'lastPower'
+    ];
+
+    // -------------------------
+    // SnapshotError Class
+    // -------------------------
+    class SnapshotError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'SnapshotError';
+        }
+    }
+
+    // -------------------------
+    // Saving
+    // -------------------------
+    // `meta` is free-form context from the caller (e.g. a workload description).
+    // With options.logs === false the append-only logs (history, timeline,
+    // events) are left out; restoring such a snapshot needs them passed in.
+    function createSnapshot(simulation, meta = {}, options = {}) {
+        const lb = simulation.loadBalancer;
+        const snapshot = {
+            format: SNAPSHOT_FORMAT,
+            version: SNAPSHOT_VERSION,
+            savedAt: new Date().toISOString(),
+            meta,
+            simulation: {
+                currentTime: simulation.currentTime,
+                processorSpecs: simulation.processorSpecs,
+                rng: { seed: simulation.rng.seed, state: simulation.rng.state },
+                balancerRng: { seed: simulation.balancerRng.seed, state: simulation.balancerRng.state },
+                processes: simulation.processes.map(p => Object.assign({}, p)),
+                completedProcesses: simulation.completedProcesses.map(p => p.id),
+                historyPoints: simulation.historyPoints,
+                historyStride: simulation.historyStride,
+                history: simulation.history,
+                stdDevStats: simulation.stdDevStats,
+                throughputWindow: simulation.throughputWindow,
+                completionsPerWindow: simulation.completionsPerWindow,
+                failurePolicy: simulation.failurePolicy,
+                faults: simulation.faults,
+                scenario: simulation.scenario,
+                tuner: simulation.tuner,
+                power: simulation.powerModel,
+                topology: simulation.topology.spec,
+                disturbances: simulation.disturbances,
+                admissionQueue: simulation.admissionQueue.map(p => p.id),
+                resourceStats: simulation.resourceStats,
+                timeline: simulation.timeline,
+                events: simulation.events
+            },
+            loadBalancer: {
+                algorithm: lb.algorithm,
+                threshold: lb.threshold,
+                interval: lb.interval,
+                moves: lb.moves,
+                migrationCount: lb.migrationCount,
+                migrationCost: lb.migrationCost,
+                migrationTimeLost: lb.migrationTimeLost,
+                currentTime: lb.currentTime
+            },
+            processors: lb.pool.map(processor => {
+                const saved = {
+                    id: processor.id,
+                    queue: processor.processes.map(p => p.id),
+                    inbound: processor.inbound.map(m => ({ processId: m.process.id, arrivesAt: m.arrivesAt })),
+                    running: processor.running ? processor.running.id : null
+                };
+                PROCESSOR_FIELDS.forEach(key => { saved[key] = processor[key]; });
+                return saved;
+            })
+        };
+        if (options.logs === false) {
+            delete snapshot.simulation.history;
+            delete snapshot.simulation.timeline;
+            delete snapshot.simulation.events;
+        }
+        return snapshot;
+    }
+
+    // -------------------------
+    // Restoring
+    // -------------------------
+    // Accepts a snapshot object or its JSON text and returns a Simulation that
+    // continues exactly where the saved one stopped. options.logs supplies
+    // { history, timeline, events } for snapshots saved without them.
+    function restoreSnapshot(input, options = {}) {
+        // Objects are copied too, so the restored run never shares state with the source.
+        let data;
+        try {
+            data = JSON.parse(typeof input === 'string' ? input : JSON.stringify(input));
+        } catch (err) {
+            throw new SnapshotError(`Invalid snapshot JSON: ${err.message}`);
+        }
+        validateSnapshot(data);
+
+        const saved = data.simulation;
+        const logs = options.logs || saved;
+        if (!logs.history || !logs.timeline) {
+            throw new SnapshotError('Snapshot has no history or timeline');
+        }
+        const processes = saved.processes.map(p => Object.assign(new Process(p.id, p.arrivalTime, p.burstTime, p.priority), p));
+        const byId = new Map(processes.map(p => [p.id, p]));
+        const lookup = id => {
+            if (!byId.has(id)) throw new SnapshotError(`Snapshot refers to unknown process ${id}`);
+            return byId.get(id);
+        };
+
+        let simulation;
+        try {
+            simulation = new Simulation({
+                numProcessors: saved.processorSpecs.length,
+                speeds: saved.processorSpecs.map(spec => spec.speed),
+                schedulers: saved.processorSpecs.map(spec => spec.scheduler),
+                capacities: saved.processorSpecs.map(spec => spec.capacity),
+                algorithm: data.loadBalancer.algorithm,
+                seed: saved.rng.seed,
+                processes,
+                migrationCost: data.loadBalancer.migrationCost,
+                historyPoints: saved.historyPoints,
+                throughputWindow: saved.throughputWindow,
+                failurePolicy: saved.failurePolicy,
+                faults: saved.faults,
+                scenario: saved.scenario,
+                autoTune: saved.tuner ? saved.tuner.settings : null,
+                power: saved.power,
+                topology: saved.topology,
+                hotAdded: saved.disturbances.filter(d => d.type === 'hot-add').length
+            });
+        } catch (err) {
+            throw new SnapshotError(`Snapshot cannot be restored: ${err.message}`);
+        }
+
+        simulation.currentTime = saved.currentTime;
+        simulation.rng.state = saved.rng.state;
+        simulation.balancerRng.seed = saved.balancerRng.seed;
+        simulation.balancerRng.state = saved.balancerRng.state;
+        simulation.completedProcesses = saved.completedProcesses.map(lookup);
+        simulation.historyStride = saved.historyStride;
+        simulation.history = logs.history;
+        simulation.stdDevStats = saved.stdDevStats;
+        simulation.completionsPerWindow = saved.completionsPerWindow;
+        simulation.disturbances = saved.disturbances;
+        simulation.admissionQueue = saved.admissionQueue.map(lookup);
+        simulation.resourceStats = saved.resourceStats;
+        if (saved.tuner) Object.assign(simulation.tuner, saved.tuner);
+        simulation.timeline = logs.timeline;
+        simulation.events = logs.events || [];
+
+        const lb = simulation.loadBalancer;
+        lb.threshold = data.loadBalancer.threshold;
+        lb.interval = data.loadBalancer.interval;
+        lb.moves = data.loadBalancer.moves;
+        lb.migrationCount = data.loadBalancer.migrationCount;
+        lb.migrationTimeLost = data.loadBalancer.migrationTimeLost;
+        lb.currentTime = data.loadBalancer.currentTime;
+        lb.migrationLog = simulation.timeline.migrations;
+        lb.setEventLog(simulation.events);
+
+        data.processors.forEach((savedProcessor, i) => {
+            const processor = lb.pool[i];
+            processor.processes = savedProcessor.queue.map(lookup);
+            processor.inbound = savedProcessor.inbound.map(m => ({ process: lookup(m.processId), arrivesAt: m.arrivesAt }));
+            processor.running = savedProcessor.running === null ? null : lookup(savedProcessor.running);
+            PROCESSOR_FIELDS.forEach(key => { processor[key] = savedProcessor[key]; });
+            processor.updateLoad();
+        });
+        lb.refreshOnline();
+
+        return simulation;
+    }
+
+    // -------------------------
+    // Rewind Checkpoints
+    // -------------------------
+    // Keeps snapshots without logs every `interval` ticks (the most recent
+    // `limit` of them, plus the very first). Large runs make large snapshots,
+    // so older ones are also dropped while the kept JSON exceeds `maxSize`
+    // characters (by default 100k per allowed checkpoint); the first and the
+    // latest always stay. Rewinding restores the latest checkpoint at or before
+    // the target, trims the live logs back to it and replays forward; the
+    // engine is deterministic, so the replayed ticks match the original run.
+    // Hand-made changes mid-run are only kept if they were captured with
+    // `force`. With `spacing` s, a checkpoint that took d ms is followed by at
+    // least s × d ms without one, so large runs spend at most about 1/(s + 1)
+    // of their time on checkpoints.
+    class Checkpoints {
+        constructor(options = {}) {
+            this.interval = options.interval || 10;
+            this.limit = options.limit || 50;
+            this.maxSize = options.maxSize || this.limit * CHECKPOINT_SIZE_EACH;
+            this.spacing = options.spacing || 0;
+            this.saved = []; // { tick, text }, oldest first
+            this.size = 0; // characters of JSON kept
+            this.nextAt = 0; // Date.now() before which interval checkpoints are skipped
+        }
+
+        get oldestTick() {
+            return this.saved.length ? this.saved[0].tick : null;
+        }
+
+        capture(simulation, force = false) {
+            const tick = simulation.currentTime;
+            if (!force && tick !== -1 && (tick % this.interval !== 0 || Date.now() < this.nextAt)) return;
+            const started = Date.now();
+            this.keep(this.saved.filter(c => c.tick < tick));
+            const text = JSON.stringify(createSnapshot(simulation, {}, { logs: false }));
+            this.saved.push({ tick, text });
+            this.size += text.length;
+            while (this.saved.length > 2 && (this.saved.length > this.limit || this.size > this.maxSize)) {
+                this.size -= this.saved.splice(1, 1)[0].text.length;
+            }
+            this.nextAt = Date.now() + (Date.now() - started) * this.spacing;
+        }
+
+        keep(saved) {
+            this.saved = saved;
+            this.size = saved.reduce((sum, c) => sum + c.text.length, 0);
+        }
+
+        rewind(simulation, tick) {
+            const checkpoint = this.saved.slice().reverse().find(c => c.tick <= tick);
+            if (!checkpoint) {
+                throw new SnapshotError(`Cannot rewind to tick ${tick}; the oldest checkpoint is tick ${this.oldestTick}`);
+            }
+            const restored = restoreSnapshot(checkpoint.text, { logs: trimLogs(simulation, checkpoint.tick) });
+            // History downsampled since the checkpoint stays at the coarser stride.
+            restored.historyStride = Math.max(restored.historyStride, simulation.historyStride);
+            // Processors hot-added after the checkpoint are gone again.
+            restored.timeline.lanes = restored.timeline.lanes.slice(0, restored.numProcessors);
+            this.keep(this.saved.filter(c => c.tick <= checkpoint.tick));
+            while (restored.currentTime < tick) {
+                restored.step();
+                this.capture(restored);
+            }
+            return restored;
+        }
+    }
+
+    // Copies of the append-only logs as they were at the end of `tick`.
+    function trimLogs(simulation, tick) {
+        const keep = simulation.history.time.map(t => t <= tick);
+        const history = {};
+        Object.keys(simulation.history).forEach(key => {
+            history[key] = simulation.history[key].filter((_, i) => keep[i]);
+        });
+        const lanes = simulation.timeline.lanes.map(lane => lane
+            .filter(segment => segment.start < tick + 1)
+            .map(segment => Object.assign({}, segment, { end: Math.min(segment.end, tick + 1) })));
+        const outages = simulation.timeline.outages
+            .filter(o => o.start < tick + 1)
+            .map(o => Object.assign({}, o, { end: Math.min(o.end, tick + 1) }));
+        return {
+            history,
+            timeline: { lanes, migrations: simulation.timeline.migrations.filter(m => m.time <= tick), outages },
+            events: simulation.events.filter(e => e.tick <= tick)
+        };
+    }
+
+    function validateSnapshot(data) {
+        if (!data || typeof data !== 'object' || data.format !== SNAPSHOT_FORMAT) {
+            throw new SnapshotError('Not a simulator snapshot');
+        }
+        if (data.version < SNAPSHOT_VERSION) {
+            throw new SnapshotError(`Snapshot version ${data.version} comes from an older build and lacks the power, ` +
+                `tuning, resource, topology and scenario state this one resumes (it reads version ${SNAPSHOT_VERSION})`);
+        }
+        if (data.version !== SNAPSHOT_VERSION) {
+            throw new SnapshotError(`Unsupported snapshot version ${data.version} (this build reads version ${SNAPSHOT_VERSION})`);
+        }
+        const saved = data.simulation;
+        if (!saved || !Array.isArray(saved.processes) || !Array.isArray(saved.processorSpecs) ||
+            !Array.isArray(saved.disturbances) ||
+            !data.loadBalancer || !Array.isArray(data.processors) ||
+            data.processors.length !== saved.processorSpecs.length) {
+            throw new SnapshotError('Snapshot is incomplete or corrupted');
+        }
+    }
+
+    return { SNAPSHOT_VERSION, SnapshotError, createSnapshot, restoreSnapshot, Checkpoints };
+}));
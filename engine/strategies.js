@@ -0,0 +1,421 @@
+// Balancing strategies. A strategy decides where a new process is placed and,
+// optionally, which processes migrate during a balancing round. Strategies only
+// talk to the LoadBalancer through its public helpers (getDrainTimes,
+// leastLoaded, mostLoaded, soonestFinish, pickMigrant, migrate, random,
+// distance, nodeOf, fits, residual, asleep), so new ones can be registered
+// without touching the core classes. leastLoaded, mostLoaded and
+// soonestFinish answer from a heap instead of scanning every processor, which
+// matters with large pools. Processor indices refer
+// to balancer.processors, which only lists online processors. Loads count each
+// queued process's burstRemaining, the work it has left before it finishes or
+// blocks for I/O. A placement where the process's resource demands do not fit
+// falls back to the least loaded processor with room, and migrate() refuses
+// such moves. The built-in strategies only migrate a process that takes less
+// time than the load gap the move is meant to narrow. migrate() takes an
+// optional { reason, gap } that ends up in the event log:
+//
+//     SimEngine.registerStrategy({
+//         id: 'least-count',
+//         label: 'Least Count',
+//         description: 'Places each process on the processor with the fewest processes.',
+//         place(balancer, process) {
+//             const counts = balancer.processors.map(p => p.processes.length);
+//             return counts.indexOf(Math.min(...counts));
+//         }
+//     });
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SimEngine = Object.assign(root.SimEngine || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const STRATEGIES = {};
+    const PROBE_LIMIT = 3;
+
+    // -------------------------
+    // Registry
+    // -------------------------
+    function registerStrategy(strategy) {
+        if (!strategy || typeof strategy.id !== 'string' || !strategy.id) {
+            throw new Error('Strategy needs a non-empty string id');
+        }
+        if (typeof strategy.place !== 'function') {
+            throw new Error(`Strategy "${strategy.id}" needs a place(balancer, process, currentTime) function`);
+        }
+        if (strategy.rebalance !== undefined && typeof strategy.rebalance !== 'function') {
+            throw new Error(`Strategy "${strategy.id}": rebalance must be a function if given`);
+        }
+        STRATEGIES[strategy.id] = Object.assign({ label: strategy.id, description: '' }, strategy);
+        return STRATEGIES[strategy.id];
+    }
+
+    function getStrategy(id) {
+        const strategy = STRATEGIES[id];
+        if (!strategy) {
+            throw new Error(`Unknown algorithm "${id}" (expected one of: ${Object.keys(STRATEGIES).join(', ')})`);
+        }
+        return strategy;
+    }
+
+    function listStrategies() {
+        return Object.keys(STRATEGIES).map(id => STRATEGIES[id]);
+    }
+
+    // -------------------------
+    // Shared Helpers
+    // -------------------------
+    function argMin(values) {
+        let best = 0;
+        values.forEach((v, i) => {
+            if (v < values[best]) best = i;
+        });
+        return best;
+    }
+
+    function argMax(values) {
+        let best = 0;
+        values.forEach((v, i) => {
+            if (v > values[best]) best = i;
+        });
+        return best;
+    }
+
+    function homeProcessor(balancer, process) {
+        return process.id % balancer.processors.length;
+    }
+
+    function mean(values) {
+        return values.reduce((a, b) => a + b, 0) / (values.length || 1);
+    }
+
+    // Distinct random processor indices, excluding `skip`. Draws the same
+    // picks as splicing them out of a list of every candidate index, without
+    // building that list: the k-th remaining candidate is found by stepping
+    // over the indices already taken.
+    function probe(balancer, count, skip) {
+        const taken = skip >= 0 && skip < balancer.processors.length ? [skip] : [];
+        const picked = [];
+        while (picked.length < count && taken.length < balancer.processors.length) {
+            let idx = Math.floor(balancer.random() * (balancer.processors.length - taken.length));
+            taken.forEach(t => { if (t <= idx) idx++; });
+            picked.push(idx);
+            taken.push(idx);
+            taken.sort((a, b) => a - b);
+        }
+        return picked;
+    }
+
+    // Whether moving `migrant` off `source` narrows a drain-time gap to the
+    // target. A process that takes as long as the gap would only swap which
+    // processor is the busy one, and with migration costs could be moved on
+    // and on without ever running, so the migrating strategies skip such moves.
+    function narrowsGap(migrant, source, gap) {
+        return migrant.burstRemaining / source.speed < gap;
+    }
+
+    // The original rule: move the shortest job from the most to the least
+    // loaded processor when the gap exceeds the threshold.
+    function maxToMinRebalance(balancer) {
+        const maxIdx = balancer.mostLoaded();
+        const minIdx = balancer.leastLoaded();
+        const source = balancer.processors[maxIdx];
+        const gap = source.getDrainTime() - balancer.processors[minIdx].getDrainTime();
+        if (gap <= balancer.threshold) return;
+
+        const migrant = balancer.pickMigrant(source);
+        if (migrant && narrowsGap(migrant, source, gap)) {
+            balancer.migrate(migrant, maxIdx, minIdx, { reason: 'max−min load gap above threshold', gap });
+        }
+    }
+
+    // -------------------------
+    // Built-in Strategies
+    // -------------------------
+    registerStrategy({
+        id: 'static',
+        label: 'Static (Round Robin)',
+        description: 'Processes are assigned in a circular order. No dynamic load balancing or process migration occurs.',
+        place: homeProcessor
+    });
+
+    registerStrategy({
+        id: 'dynamic',
+        label: 'Dynamic (Min Load)',
+        description: 'Processes are assigned to the processor that would finish them soonest. ' +
+            'The shortest job migrates from the busiest to the idlest processor when the imbalance exceeds the threshold.',
+        place(balancer, process) {
+            return balancer.soonestFinish(process);
+        },
+        rebalance: maxToMinRebalance
+    });
+
+    registerStrategy({
+        id: 'adaptive',
+        label: 'Adaptive (Smart)',
+        description: 'Assignment considers both current load and process count. ' +
+            'Migrates like Dynamic when the imbalance exceeds the threshold.',
+        place(balancer) {
+            return argMin(balancer.processors.map(p => (p.getLoad() + p.processes.length * 5) / p.speed));
+        },
+        rebalance: maxToMinRebalance
+    });
+
+    registerStrategy({
+        id: 'work-stealing',
+        label: 'Work Stealing',
+        description: 'Processes start on their home processor (round robin). ' +
+            'Every idle processor steals the most recently queued waiting process from the busiest one.',
+        place: homeProcessor,
+        rebalance(balancer) {
+            balancer.processors.forEach((thief, thiefIdx) => {
+                if (thief.processes.length > 0) return;
+                const victimIdx = balancer.mostLoaded();
+                const victim = balancer.processors[victimIdx];
+                if (victimIdx === thiefIdx || victim.processes.length < 2) return;
+
+                const waiting = victim.processes.filter(p => p !== victim.running);
+                if (waiting.length) {
+                    balancer.migrate(waiting[waiting.length - 1], victimIdx, thiefIdx,
+                        { reason: 'idle processor stole from the busiest one', gap: victim.getDrainTime() - thief.getDrainTime() });
+                }
+            });
+        }
+    });
+
+    registerStrategy({
+        id: 'power-of-two',
+        label: 'Power of Two Choices',
+        description: 'Each process samples two random processors and joins the less loaded one. No migration.',
+        place(balancer) {
+            if (balancer.processors.length === 1) return 0;
+            const [a, b] = probe(balancer, 2, -1);
+            return balancer.processors[a].getDrainTime() <= balancer.processors[b].getDrainTime() ? a : b;
+        }
+    });
+
+    registerStrategy({
+        id: 'sender-initiated',
+        label: 'Sender-Initiated',
+        description: `Overloaded processors (above average + threshold/2) probe up to ${PROBE_LIMIT} random ` +
+            'processors and push a waiting process to the first one that is below average.',
+        place(balancer, process) {
+            const home = homeProcessor(balancer, process);
+            const loads = balancer.getDrainTimes();
+            if (loads[home] <= mean(loads) + balancer.threshold / 2) return home;
+            const target = probe(balancer, PROBE_LIMIT, home).find(i => loads[i] < mean(loads));
+            return target !== undefined ? target : home;
+        },
+        rebalance(balancer) {
+            const loads = balancer.getDrainTimes();
+            const avg = mean(loads);
+            balancer.processors.forEach((sender, senderIdx) => {
+                if (loads[senderIdx] <= avg + balancer.threshold / 2) return;
+                const target = probe(balancer, PROBE_LIMIT, senderIdx).find(i => loads[i] < avg);
+                const migrant = balancer.pickMigrant(sender, { waitingOnly: true });
+                if (target === undefined || !migrant || !narrowsGap(migrant, sender, loads[senderIdx] - loads[target])) return;
+                const why = { reason: 'sender above average + threshold/2 pushed to a probed processor below average', gap: loads[senderIdx] - avg };
+                if (balancer.migrate(migrant, senderIdx, target, why)) {
+                    loads[senderIdx] = balancer.processors[senderIdx].getDrainTime();
+                    loads[target] = balancer.processors[target].getDrainTime();
+                }
+            });
+        }
+    });
+
+    registerStrategy({
+        id: 'receiver-initiated',
+        label: 'Receiver-Initiated',
+        description: `Underloaded processors (below average - threshold/2, or idle) probe up to ${PROBE_LIMIT} random ` +
+            'processors and pull a waiting process from the first one that is above average.',
+        place: homeProcessor,
+        rebalance(balancer) {
+            const loads = balancer.getDrainTimes();
+            const avg = mean(loads);
+            balancer.processors.forEach((receiver, receiverIdx) => {
+                const underloaded = receiver.processes.length === 0 || loads[receiverIdx] < avg - balancer.threshold / 2;
+                if (!underloaded) return;
+                const sourceIdx = probe(balancer, PROBE_LIMIT, receiverIdx).find(i => loads[i] > avg);
+                if (sourceIdx === undefined) return;
+                const source = balancer.processors[sourceIdx];
+                const gap = loads[sourceIdx] - loads[receiverIdx];
+                const migrant = balancer.pickMigrant(source, { waitingOnly: true });
+                if (!migrant || !narrowsGap(migrant, source, gap)) return;
+                const why = { reason: 'underloaded receiver pulled from a probed processor above average', gap };
+                if (balancer.migrate(migrant, sourceIdx, receiverIdx, why)) {
+                    loads[sourceIdx] = balancer.processors[sourceIdx].getDrainTime();
+                    loads[receiverIdx] = receiver.getDrainTime();
+                }
+            });
+        }
+    });
+
+    registerStrategy({
+        id: 'diffusion',
+        label: 'Diffusion (Gradient)',
+        description: 'Processors are arranged in a ring. Each one hands a waiting process to a lighter neighbour ' +
+            'when their load gap exceeds the threshold, so work flows down the load gradient.',
+        place: homeProcessor,
+        rebalance(balancer) {
+            const n = balancer.processors.length;
+            if (n < 2) return;
+            const loads = balancer.getDrainTimes();
+            for (let i = 0; i < n; i++) {
+                const neighbours = n === 2 ? [(i + 1) % n] : [(i + n - 1) % n, (i + 1) % n];
+                const j = neighbours.reduce((best, k) => (loads[k] < loads[best] ? k : best));
+                const gap = loads[i] - loads[j];
+                if (gap <= balancer.threshold) continue;
+
+                // Move the waiting process that brings the pair closest to even.
+                const source = balancer.processors[i];
+                const waiting = source.processes.filter(p => p !== source.running);
+                if (!waiting.length) continue;
+                const migrant = waiting.reduce((best, p) =>
+                    Math.abs(p.burstRemaining / source.speed - gap / 2) < Math.abs(best.burstRemaining / source.speed - gap / 2) ? p : best);
+                if (!narrowsGap(migrant, source, gap)) continue;
+                if (balancer.migrate(migrant, i, j, { reason: 'neighbour load gap above threshold', gap })) {
+                    loads[i] = source.getDrainTime();
+                    loads[j] = balancer.processors[j].getDrainTime();
+                }
+            }
+        }
+    });
+
+    registerStrategy({
+        id: 'topology-aware',
+        label: 'Topology-Aware (Local First)',
+        description: 'Places each process on the least loaded node, then on that node\'s least loaded processor. ' +
+            'A processor sheds work only when its gap to the target exceeds threshold × distance, ' +
+            'and takes the nearest such target, so moves stay local unless a remote imbalance is large.',
+        place(balancer, process) {
+            const loads = balancer.getDrainTimes();
+            const nodes = {};
+            loads.forEach((load, i) => {
+                const node = balancer.nodeOf(i);
+                nodes[node] = nodes[node] || [];
+                nodes[node].push(i);
+            });
+            const members = Object.keys(nodes).map(node => nodes[node]);
+            const best = members[argMin(members.map(list => mean(list.map(i => loads[i]))))];
+            return best[argMin(best.map(i => loads[i] + process.burstRemaining / balancer.processors[i].speed))];
+        },
+        rebalance(balancer) {
+            const loads = balancer.getDrainTimes();
+            const order = loads.map((_, i) => i).sort((a, b) => loads[b] - loads[a]);
+            order.forEach(sourceIdx => {
+                let target = null;
+                loads.forEach((load, i) => {
+                    const distance = balancer.distance(sourceIdx, i);
+                    if (i === sourceIdx || loads[sourceIdx] - load <= balancer.threshold * distance) return;
+                    if (target === null || distance < target.distance ||
+                        (distance === target.distance && load < loads[target.idx])) {
+                        target = { idx: i, distance };
+                    }
+                });
+                if (target === null) return;
+
+                const source = balancer.processors[sourceIdx];
+                const gap = loads[sourceIdx] - loads[target.idx];
+                const migrant = balancer.pickMigrant(source, { waitingOnly: true });
+                if (!migrant || !narrowsGap(migrant, source, gap)) return;
+                const why = {
+                    reason: target.distance <= 1
+                        ? 'local move: gap above threshold'
+                        : `remote move: gap above threshold × distance ${target.distance}`,
+                    gap
+                };
+                if (balancer.migrate(migrant, sourceIdx, target.idx, why)) {
+                    loads[sourceIdx] = balancer.processors[sourceIdx].getDrainTime();
+                    loads[target.idx] = balancer.processors[target.idx].getDrainTime();
+                }
+            });
+        }
+    });
+
+    registerStrategy({
+        id: 'first-fit',
+        label: 'First Fit (Bin Packing)',
+        description: 'Places each process on the lowest-numbered processor with room for its resource demands, ' +
+            'packing work onto as few processors as possible. No migration.',
+        place(balancer, process) {
+            const idx = balancer.processors.findIndex((_, i) => balancer.fits(process, i));
+            return idx === -1 ? 0 : idx;
+        }
+    });
+
+    registerStrategy({
+        id: 'best-fit',
+        label: 'Best Fit (Bin Packing)',
+        description: 'Places each process where it leaves the least room free on its tightest resource, ' +
+            'ties going to the least loaded processor, so large gaps stay open for large processes. ' +
+            'Migrates like Dynamic when the imbalance exceeds the threshold and the target has room.',
+        place(balancer, process) {
+            const loads = balancer.getDrainTimes();
+            let best = null;
+            balancer.processors.forEach((_, i) => {
+                if (!balancer.fits(process, i)) return;
+                const residual = balancer.residual(process, i);
+                if (best === null || residual < best.residual || (residual === best.residual && loads[i] < loads[best.idx])) {
+                    best = { idx: i, residual };
+                }
+            });
+            return best ? best.idx : 0;
+        },
+        rebalance: maxToMinRebalance
+    });
+
+    // Consolidation reads the threshold as the drain time (ticks) a processor
+    // may hold: raising it packs harder and lets more processors sleep,
+    // lowering it spreads work like Dynamic and cuts delay.
+    registerStrategy({
+        id: 'consolidate',
+        label: 'Consolidation (Energy-Aware)',
+        description: 'Packs work onto as few processors as possible so the rest can sleep: each process joins the ' +
+            'busiest awake processor whose drain time stays within the threshold, and a sleeping or empty one only ' +
+            'when none has room. Balancing sheds work from processors above the threshold and drains the lightest ' +
+            'busy processor onto the others while they stay within it.',
+        place(balancer, process) {
+            const loads = balancer.getDrainTimes();
+            const target = packingTarget(balancer, loads, process, -1);
+            return target !== null ? target : argMin(loads);
+        },
+        rebalance(balancer) {
+            const loads = balancer.getDrainTimes();
+            const sourceIdx = argMax(loads);
+            if (loads[sourceIdx] > balancer.threshold) {
+                const migrant = balancer.pickMigrant(balancer.processors[sourceIdx], { waitingOnly: true });
+                if (!migrant) return;
+                const target = packingTarget(balancer, loads, migrant, sourceIdx);
+                const targetIdx = target !== null ? target : argMin(loads);
+                balancer.migrate(migrant, sourceIdx, targetIdx,
+                    { reason: 'drain time above threshold: spilled to the busiest processor with room', gap: loads[sourceIdx] - loads[targetIdx] });
+                return;
+            }
+            const busy = loads.map((_, i) => i).filter(i => balancer.processors[i].processes.length > 0);
+            if (busy.length < 2) return;
+            const lightIdx = busy.reduce((best, i) => (loads[i] < loads[best] ? i : best));
+            const migrant = balancer.pickMigrant(balancer.processors[lightIdx], { waitingOnly: true });
+            const target = migrant ? packingTarget(balancer, loads, migrant, lightIdx) : null;
+            if (target !== null && loads[target] >= loads[lightIdx]) {
+                balancer.migrate(migrant, lightIdx, target,
+                    { reason: 'consolidating the lightest busy processor so it can sleep', gap: loads[target] - loads[lightIdx] });
+            }
+        }
+    });
+
+    // Busiest awake processor (other than `skip`) with room for the process
+    // whose drain time stays within the threshold once it is added, or null.
+    function packingTarget(balancer, loads, process, skip) {
+        let best = null;
+        balancer.processors.forEach((processor, i) => {
+            if (i === skip || balancer.asleep(i) || !balancer.fits(process, i)) return;
+            if (loads[i] + process.burstRemaining / processor.speed > balancer.threshold) return;
+            if (best === null || loads[i] > loads[best]) best = i;
+        });
+        return best;
+    }
+
+    return { STRATEGIES, registerStrategy, getStrategy, listStrategies };
+}));
@@ -0,0 +1,251 @@
+// Parameter sweeps: every value of one parameter is run under each algorithm
+// for N seeded trials. Trial k uses seed + k at every point, so all points and
+// algorithms see the same workloads, and each metric is reported as mean,
+// standard deviation and a 95% confidence interval over the trials.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./random'), require('./workload'),
+            require('./simulation'), require('./strategies'), require('./comparison')));
+    } else {
+        root.SimEngine = Object.assign(root.SimEngine || {}, factory(root.SimEngine));
+    }
+}(typeof self !== 'undefined' ? self : this, function (lib) {
+    'use strict';
+
+    const {
+        normalizeSeed, randomSeed, DEFAULT_GENERATOR, scaleLoad, Simulation, createProcesses, toRecords, getStrategy, COMPARISON_METRICS
+    } = lib;
+
+    const DEFAULT_TRIALS = 10;
+    const DEFAULT_SWEEP_TICKS = 10000;
+
+    // -------------------------
+    // Parameters
+    // -------------------------
+    // `apply` returns the Simulation options for one value of the parameter.
+    // The load level multiplies the arrival intensity of the generator (the
+    // default one when the workload is not generated), so it cannot sweep a trace.
+    const SWEEP_PARAMETERS = {
+        threshold: {
+            label: 'Threshold',
+            values: [10, 20, 30, 45, 60],
+            min: 0,
+            apply: (options, value) => Object.assign({}, options, { threshold: value })
+        },
+        interval: {
+            label: 'Balancing interval (ticks)',
+            values: [1, 2, 5, 10, 20],
+            min: 1,
+            integer: true,
+            apply: (options, value) => Object.assign({}, options, { balanceInterval: value })
+        },
+        processors: {
+            label: 'Processors',
+            values: [2, 4, 8, 16],
+            min: 1,
+            integer: true,
+            apply: (options, value) => Object.assign({}, options, { numProcessors: value })
+        },
+        load: {
+            label: 'Load level (× arrival rate)',
+            values: [0.5, 1, 1.5, 2],
+            min: 0,
+            exclusive: true,
+            apply(options, value) {
+                if (options.processes) {
+                    throw new Error('Load level sweeps need a generated workload, not a trace');
+                }
+                return Object.assign({}, options, { generator: scaleLoad(options.generator || DEFAULT_GENERATOR, value) });
+            }
+        }
+    };
+
+    const SWEEP_METRICS = ['meanTurnaround', 'makespan', 'migrations', 'loadStdDev', 'energy']
+        .map(key => COMPARISON_METRICS.find(m => m.key === key));
+
+    // -------------------------
+    // Config Handling
+    // -------------------------
+    function normalizeSweepValues(parameter, values) {
+        const entry = SWEEP_PARAMETERS[parameter];
+        if (!entry) {
+            throw new Error(`Unknown sweep parameter "${parameter}" (expected one of: ${Object.keys(SWEEP_PARAMETERS).join(', ')})`);
+        }
+        if (values === undefined || values === '') return entry.values.slice();
+        const list = typeof values === 'string' ? values.split(/[,\s]+/).filter(Boolean) : values;
+        if (list.length === 0) {
+            throw new Error(`Sweep of ${parameter} needs at least one value`);
+        }
+        return list.map(v => {
+            const value = Number(v);
+            const valid = isFinite(value) && (entry.exclusive ? value > entry.min : value >= entry.min) &&
+                (!entry.integer || Number.isInteger(value));
+            if (!valid) {
+                const kind = entry.integer ? 'an integer' : 'a number';
+                throw new Error(`Sweep values for ${parameter} must be ${kind} ${entry.exclusive ? 'above' : 'of at least'} ${entry.min}, got "${v}"`);
+            }
+            return value;
+        });
+    }
+
+    // Parses "parameter=v1,v2,..." e.g. "threshold=10,20,40"; a bare parameter
+    // name sweeps its default values.
+    function parseSweepSpec(text) {
+        const [parameter, values] = String(text).split('=', 2);
+        return { parameter: parameter.trim(), values: normalizeSweepValues(parameter.trim(), values) };
+    }
+
+    // -------------------------
+    // Statistics
+    // -------------------------
+    // Two-sided 95% Student t critical values for 1..30 degrees of freedom.
+    const T_95 = [
+        12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+        2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+        2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+    ];
+
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // Mean, sample standard deviation and 95% confidence interval of the mean;
+    // null values (e.g. the makespan of a run that hit the tick limit) are skipped.
+    function summarizeSample(values) {
+        const sample = values.filter(v => v !== null && v !== undefined);
+        const n = sample.length;
+        if (n === 0) return { n, mean: null, stdDev: null, ci95: null };
+        const mean = sample.reduce((a, b) => a + b, 0) / n;
+        const stdDev = n > 1 ? Math.sqrt(sample.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (n - 1)) : 0;
+        const margin = n > 1 ? (T_95[n - 2] || 1.96) * stdDev / Math.sqrt(n) : 0;
+        return { n, mean: round(mean), stdDev: round(stdDev), ci95: [round(mean - margin), round(mean + margin)] };
+    }
+
+    // -------------------------
+    // Sweep Class
+    // -------------------------
+    class Sweep {
+        // `config` is { parameter, values, algorithms, trials, maxTicks }; `options`
+        // are the Simulation options every run starts from.
+        constructor(config, options = {}) {
+            this.parameter = config.parameter;
+            this.values = normalizeSweepValues(config.parameter, config.values);
+            if (!config.algorithms || config.algorithms.length === 0) {
+                throw new Error('Select at least one algorithm to sweep');
+            }
+            this.algorithms = config.algorithms.slice();
+            this.algorithms.forEach(getStrategy);
+            this.trials = config.trials !== undefined ? Number(config.trials) : DEFAULT_TRIALS;
+            if (!Number.isInteger(this.trials) || this.trials < 1) {
+                throw new Error(`Trials must be a positive integer, got "${config.trials}"`);
+            }
+            this.maxTicks = config.maxTicks || DEFAULT_SWEEP_TICKS;
+            this.seed = options.seed !== undefined ? normalizeSeed(options.seed) : randomSeed();
+            // Traces are cloned per run; each point's options are checked up front.
+            this.records = options.processes ? toRecords(options.processes) : null;
+            this.pointOptions = this.values.map(value => {
+                const pointOptions = SWEEP_PARAMETERS[this.parameter].apply(options, value);
+                new Simulation(Object.assign({}, pointOptions, { processes: [] }));
+                return pointOptions;
+            });
+
+            // Trial-major order, so every point has results early on.
+            this.jobs = [];
+            for (let trial = 0; trial < this.trials; trial++) {
+                this.values.forEach((_, point) => {
+                    this.algorithms.forEach((_, a) => this.jobs.push({ trial, point, algorithm: a }));
+                });
+            }
+            this.next = 0;
+            this.samples = this.values.map(() => this.algorithms.map(() => ({ runs: 0, incomplete: 0, metrics: {} })));
+        }
+
+        get totalRuns() {
+            return this.jobs.length;
+        }
+
+        get completedRuns() {
+            return this.next;
+        }
+
+        isComplete() {
+            return this.next >= this.jobs.length;
+        }
+
+        trialSeed(trial) {
+            return (this.seed + trial) >>> 0;
+        }
+
+        // Runs the next simulation to completion (or the tick limit).
+        runNext() {
+            if (this.isComplete()) return;
+            const job = this.jobs[this.next++];
+            const simulation = new Simulation(Object.assign({}, this.pointOptions[job.point], {
+                algorithm: this.algorithms[job.algorithm],
+                seed: this.trialSeed(job.trial),
+                processes: this.records ? createProcesses(this.records) : undefined
+            }));
+            const summary = simulation.run(this.maxTicks);
+            const sample = this.samples[job.point][job.algorithm];
+            sample.runs++;
+            if (!summary.allCompleted) sample.incomplete++;
+            SWEEP_METRICS.forEach(m => {
+                (sample.metrics[m.key] = sample.metrics[m.key] || []).push(m.value(summary));
+            });
+        }
+
+        run() {
+            while (!this.isComplete()) this.runNext();
+            return this.getResults();
+        }
+
+        // One row per (value, algorithm) with the statistics of every swept metric.
+        getResults() {
+            const points = [];
+            this.values.forEach((value, p) => {
+                this.algorithms.forEach((algorithm, a) => {
+                    const sample = this.samples[p][a];
+                    const metrics = {};
+                    SWEEP_METRICS.forEach(m => { metrics[m.key] = summarizeSample(sample.metrics[m.key] || []); });
+                    points.push({
+                        value, algorithm, label: getStrategy(algorithm).label,
+                        runs: sample.runs, incomplete: sample.incomplete, metrics
+                    });
+                });
+            });
+            return {
+                parameter: this.parameter,
+                label: SWEEP_PARAMETERS[this.parameter].label,
+                values: this.values,
+                algorithms: this.algorithms,
+                trials: this.trials,
+                seed: this.seed,
+                seeds: [this.trialSeed(0), this.trialSeed(this.trials - 1)],
+                completedRuns: this.completedRuns,
+                totalRuns: this.totalRuns,
+                points
+            };
+        }
+    }
+
+    // Flat { columns, rows } of sweep results, for the CSV export (see export.js toCsv).
+    function sweepTable(results) {
+        const columns = [results.parameter, 'algorithm', 'runs', 'incomplete'];
+        SWEEP_METRICS.forEach(m => {
+            columns.push(`${m.key}_mean`, `${m.key}_std`, `${m.key}_ci95_low`, `${m.key}_ci95_high`);
+        });
+        const rows = results.points.map(point => {
+            const row = [point.value, point.algorithm, point.runs, point.incomplete];
+            SWEEP_METRICS.forEach(m => {
+                const stats = point.metrics[m.key];
+                row.push(stats.mean, stats.stdDev, stats.ci95 ? stats.ci95[0] : null, stats.ci95 ? stats.ci95[1] : null);
+            });
+            return row;
+        });
+        return { columns, rows };
+    }
+
+    return {
+        SWEEP_PARAMETERS, SWEEP_METRICS, DEFAULT_TRIALS, normalizeSweepValues, parseSweepSpec, summarizeSample, Sweep, sweepTable
+    };
+}));
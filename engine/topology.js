@@ -0,0 +1,182 @@
+// Processor topology: processors are grouped into nodes (sockets / NUMA
+// domains) and every pair of processors has a distance. Moves inside a node
+// have distance 1, as does every move on the flat default; migration cost is
+// scaled by the distance and the topology-aware strategy prefers short moves.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SimEngine = Object.assign(root.SimEngine || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // -------------------------
+    // Topologies
+    // -------------------------
+    // Nodes hold `nodeSize` consecutive processors. Between nodes the distance
+    // is `remote` per hop, where hops depend on how the nodes are arranged.
+    const TOPOLOGIES = {
+        flat: {
+            label: 'Flat (uniform)',
+            params: {},
+            node: () => 0,
+            hops: () => 0
+        },
+        numa: {
+            label: 'NUMA sockets',
+            params: { nodeSize: 4, remote: 2 },
+            node: (i, p) => Math.floor(i / p.nodeSize),
+            hops: () => 1
+        },
+        ring: {
+            label: 'Ring',
+            params: { nodeSize: 1, remote: 1 },
+            node: (i, p) => Math.floor(i / p.nodeSize),
+            hops: (a, b, nodeCount) => Math.min(Math.abs(a - b), nodeCount - Math.abs(a - b))
+        },
+        mesh: {
+            label: '2D Mesh',
+            params: { nodeSize: 1, remote: 1, columns: 4 },
+            node: (i, p) => Math.floor(i / p.nodeSize),
+            hops: (a, b, nodeCount, p) =>
+                Math.abs(Math.floor(a / p.columns) - Math.floor(b / p.columns)) + Math.abs(a % p.columns - b % p.columns)
+        },
+        // Distances given per processor pair; nodes are the groups joined by distance <= 1.
+        matrix: {
+            label: 'Distance matrix',
+            params: { distances: '' }
+        }
+    };
+
+    const DEFAULT_TOPOLOGY = { type: 'flat' };
+
+    // -------------------------
+    // Config Handling
+    // -------------------------
+    // With `count`, a distance matrix must list exactly that many processors.
+    function normalizeTopology(spec = DEFAULT_TOPOLOGY, count) {
+        const entry = TOPOLOGIES[spec.type];
+        if (!entry) {
+            throw new Error(`Unknown topology "${spec.type}" (expected one of: ${Object.keys(TOPOLOGIES).join(', ')})`);
+        }
+        const normalized = { type: spec.type };
+        Object.keys(spec).forEach(key => {
+            if (key !== 'type' && !(key in entry.params)) {
+                throw new Error(`Unknown topology parameter "${key}" for ${spec.type}`);
+            }
+        });
+        if (spec.type === 'matrix') {
+            normalized.distances = typeof spec.distances === 'string' ? parseDistanceMatrix(spec.distances) : spec.distances;
+            validateDistanceMatrix(normalized.distances);
+            if (count !== undefined && normalized.distances.length !== count) {
+                throw new Error(`Distance matrix lists ${normalized.distances.length} processors but the pool has ${count}`);
+            }
+            return normalized;
+        }
+        Object.keys(entry.params).forEach(key => {
+            const value = spec[key] !== undefined ? Number(spec[key]) : entry.params[key];
+            if (!Number.isInteger(value) || value < 1) {
+                throw new Error(`Topology parameter ${spec.type}.${key} must be a positive integer, got "${spec[key]}"`);
+            }
+            normalized[key] = value;
+        });
+        return normalized;
+    }
+
+    // Rows separated by ";" or new lines, values by commas or spaces, e.g. "0,1,2; 1,0,1; 2,1,0".
+    function parseDistanceMatrix(text) {
+        return String(text).split(/[;\n]/).map(row => row.trim()).filter(Boolean)
+            .map(row => row.split(/[\s,]+/).filter(Boolean).map(Number));
+    }
+
+    // Distances are whole numbers, like the presets' `remote`, so the
+    // migration delay and affinity penalty they scale stay whole ticks, and
+    // symmetric, since a move costs the same either way.
+    function validateDistanceMatrix(matrix) {
+        if (!Array.isArray(matrix) || matrix.length === 0) {
+            throw new Error('Distance matrix needs at least one row');
+        }
+        matrix.forEach((row, i) => {
+            if (!Array.isArray(row) || row.length !== matrix.length) {
+                throw new Error(`Distance matrix must be square: row ${i} has ${Array.isArray(row) ? row.length : 0} values, expected ${matrix.length}`);
+            }
+        });
+        matrix.forEach((row, i) => {
+            row.forEach((value, j) => {
+                if (!Number.isInteger(value) || value < 0) {
+                    throw new Error(`Distance ${i}→${j} must be a non-negative integer, got "${value}"`);
+                }
+                if (i === j && value !== 0) {
+                    throw new Error(`Distance ${i}→${i} must be 0`);
+                }
+                if (value !== matrix[j][i]) {
+                    throw new Error(`Distance ${i}→${j} (${value}) must equal ${j}→${i} (${matrix[j][i]})`);
+                }
+            });
+        });
+    }
+
+    // -------------------------
+    // Building
+    // -------------------------
+    // Returns { spec, nodes, distances } for `count` processors: nodes[i] is
+    // processor i's node and distances[i][j] the distance between i and j.
+    // A distance matrix covers the pool the run started with; the last
+    // `hotAdded` processors sit at its largest distance from every other one.
+    function buildTopology(spec, count, hotAdded = 0) {
+        const topology = normalizeTopology(spec, count - hotAdded);
+        if (topology.type === 'matrix') {
+            const matrix = topology.distances;
+            const far = matrix.reduce((max, row) => row.reduce((m, d) => Math.max(m, d), max), 1);
+            const distances = Array.from({ length: count }, (_, i) => Array.from({ length: count }, (_, j) => {
+                if (i === j) return 0;
+                return i < matrix.length && j < matrix.length ? matrix[i][j] : far;
+            }));
+            return { spec: topology, nodes: groupByDistance(distances), distances };
+        }
+
+        const entry = TOPOLOGIES[topology.type];
+        const nodes = Array.from({ length: count }, (_, i) => entry.node(i, topology));
+        const nodeCount = nodes.reduce((max, node) => Math.max(max, node + 1), 0);
+        const distances = nodes.map((a, i) => nodes.map((b, j) => {
+            if (i === j) return 0;
+            if (a === b) return 1;
+            return topology.remote * entry.hops(a, b, nodeCount, topology);
+        }));
+        return { spec: topology, nodes, distances };
+    }
+
+    // Node ids for a distance matrix: processors linked by distance <= 1 share a node.
+    function groupByDistance(distances) {
+        const nodes = distances.map(() => -1);
+        let next = 0;
+        nodes.forEach((_, start) => {
+            if (nodes[start] !== -1) return;
+            const stack = [start];
+            nodes[start] = next;
+            while (stack.length) {
+                const i = stack.pop();
+                distances[i].forEach((d, j) => {
+                    if (nodes[j] === -1 && d <= 1) {
+                        nodes[j] = next;
+                        stack.push(j);
+                    }
+                });
+            }
+            next++;
+        });
+        return nodes;
+    }
+
+    function describeTopology(spec) {
+        const entry = TOPOLOGIES[spec.type];
+        if (spec.type === 'matrix') return `${entry.label} (${spec.distances.length}×${spec.distances.length})`;
+        const params = Object.keys(entry.params).map(key => `${key}=${spec[key]}`);
+        return params.length ? `${entry.label} (${params.join(', ')})` : entry.label;
+    }
+
+    return {
+        TOPOLOGIES, DEFAULT_TOPOLOGY, normalizeTopology, parseDistanceMatrix, buildTopology, describeTopology
+    };
+}));
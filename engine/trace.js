@@ -0,0 +1,220 @@
+// Workload traces: parses and validates CSV or JSON process lists so recorded
+// job logs can be replayed through any balancer.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./resources'));
+    } else {
+        root.SimEngine = Object.assign(root.SimEngine || {}, factory(root.SimEngine));
+    }
+}(typeof self !== 'undefined' ? self : this, function (lib) {
+    'use strict';
+
+    const { normalizeResources } = lib;
+
+    // Accepted column / property names for each field (compared case-insensitively).
+    const FIELD_ALIASES = {
+        id: ['id', 'pid', 'process', 'processid', 'process_id'],
+        arrival: ['arrival', 'arrivaltime', 'arrival_time'],
+        burst: ['burst', 'bursttime', 'burst_time'],
+        priority: ['priority'],
+        bursts: ['bursts', 'io_pattern'],
+        memory: ['memory', 'mem'],
+        demands: ['demands', 'resources']
+    };
+
+    const FIELD_RULES = {
+        id: { min: 0, required: true },
+        arrival: { min: 0, required: true },
+        burst: { min: 1, required: true },
+        priority: { min: 1, required: false, fallback: 1 }
+    };
+
+    // -------------------------
+    // TraceError Class
+    // -------------------------
+    class TraceError extends Error {
+        constructor(message, errors = []) {
+            super(errors.length ? `${message}\n  ${errors.join('\n  ')}` : message);
+            this.name = 'TraceError';
+            this.summary = message;
+            this.errors = errors;
+        }
+    }
+
+    // -------------------------
+    // Parsing
+    // -------------------------
+    function detectFormat(text, name = '') {
+        const ext = name.toLowerCase().split('.').pop();
+        if (ext === 'json' || ext === 'csv') return ext;
+        const first = text.trimStart()[0];
+        return first === '[' || first === '{' ? 'json' : 'csv';
+    }
+
+    // Returns plain { id, arrival, burst, priority } records; throws a TraceError
+    // listing every bad row if any row fails validation. An optional `bursts`
+    // field alternates CPU and I/O bursts ("8 20 5": 8 CPU, 20 I/O, 5 CPU);
+    // `burst` may then be left out and defaults to the CPU total. `memory` and
+    // `demands` ("gpu=1 disk=20", or an object in JSON) become the record's
+    // resource demands.
+    function parseTrace(text, options = {}) {
+        const format = options.format || detectFormat(text, options.name);
+        const rows = format === 'json' ? readJsonRows(text) : readCsvRows(text);
+        if (rows.length === 0) {
+            throw new TraceError('Trace contains no processes');
+        }
+
+        const errors = [];
+        const seenIds = new Map();
+        const records = [];
+
+        rows.forEach(({ label, values }) => {
+            const record = {};
+            const rowErrors = [];
+
+            const bursts = readBursts(values.bursts, rowErrors);
+            Object.keys(FIELD_RULES).forEach(field => {
+                const rule = FIELD_RULES[field];
+                const raw = values[field];
+                if (raw === undefined || raw === null || raw === '') {
+                    if (field === 'burst' && bursts) record.burst = cpuTotal(bursts);
+                    else if (rule.required) rowErrors.push(`missing ${field}`);
+                    else record[field] = rule.fallback;
+                    return;
+                }
+                const n = Number(raw);
+                if (!Number.isInteger(n) || n < rule.min) {
+                    rowErrors.push(`${field} must be an integer >= ${rule.min}, got "${raw}"`);
+                    return;
+                }
+                record[field] = n;
+            });
+            if (bursts && record.burst !== undefined && record.burst !== cpuTotal(bursts)) {
+                rowErrors.push(`burst ${record.burst} does not match the ${cpuTotal(bursts)} CPU units in bursts`);
+            }
+            if (bursts && bursts.length > 1) record.bursts = bursts;
+            const demands = readDemands(values, rowErrors);
+            if (demands) record.demands = demands;
+
+            if (record.id !== undefined) {
+                if (seenIds.has(record.id)) {
+                    rowErrors.push(`duplicate id ${record.id} (first seen in ${seenIds.get(record.id)})`);
+                } else {
+                    seenIds.set(record.id, label);
+                }
+            }
+
+            if (rowErrors.length) {
+                errors.push(`${label}: ${rowErrors.join('; ')}`);
+            } else {
+                records.push(record);
+            }
+        });
+
+        if (errors.length) {
+            throw new TraceError(`${errors.length} invalid row(s) in trace`, errors);
+        }
+        return records;
+    }
+
+    function readJsonRows(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new TraceError(`Invalid JSON: ${err.message}`);
+        }
+        if (data && !Array.isArray(data) && Array.isArray(data.processes)) {
+            data = data.processes;
+        }
+        if (!Array.isArray(data)) {
+            throw new TraceError('JSON trace must be an array of processes or { "processes": [...] }');
+        }
+
+        return data.map((item, i) => {
+            const label = `Entry ${i + 1}`;
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                return { label, values: {} };
+            }
+            const keys = {};
+            Object.keys(item).forEach(key => { keys[key.toLowerCase()] = item[key]; });
+            return { label, values: pickFields(keys) };
+        });
+    }
+
+    function readCsvRows(text) {
+        const lines = text.split(/\r?\n/)
+            .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+            .filter(({ line }) => line !== '' && !line.startsWith('#'));
+        if (lines.length === 0) return [];
+
+        const header = splitCsvLine(lines[0].line).map(h => h.toLowerCase());
+        const columns = {};
+        Object.keys(FIELD_ALIASES).forEach(field => {
+            const idx = header.findIndex(h => FIELD_ALIASES[field].includes(h));
+            if (idx !== -1) columns[field] = idx;
+        });
+        const missing = Object.keys(FIELD_RULES).filter(f => FIELD_RULES[f].required && columns[f] === undefined &&
+            !(f === 'burst' && columns.bursts !== undefined));
+        if (missing.length) {
+            throw new TraceError(`CSV header (line ${lines[0].number}) is missing column(s): ${missing.join(', ')}`);
+        }
+
+        return lines.slice(1).map(({ line, number }) => {
+            const cells = splitCsvLine(line);
+            const values = {};
+            Object.keys(columns).forEach(field => { values[field] = cells[columns[field]]; });
+            return { label: `Line ${number}`, values };
+        });
+    }
+
+    function splitCsvLine(line) {
+        return line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+    }
+
+    // Bursts are an array (JSON) or a list separated by spaces, ';' or '/'.
+    // Returns null when absent; problems are added to `rowErrors`.
+    function readBursts(raw, rowErrors) {
+        if (raw === undefined || raw === null || raw === '') return null;
+        const list = Array.isArray(raw) ? raw : String(raw).split(/[\s;/]+/).filter(Boolean);
+        const bursts = list.map(Number);
+        if (bursts.length === 0 || bursts.some(n => !Number.isInteger(n) || n < 1)) {
+            rowErrors.push(`bursts must be positive integers, got "${list.join(' ')}"`);
+            return null;
+        }
+        if (bursts.length % 2 === 0) {
+            rowErrors.push(`bursts must start and end with a CPU burst (odd count), got ${bursts.length} value(s)`);
+            return null;
+        }
+        return bursts;
+    }
+
+    function readDemands(values, rowErrors) {
+        const demands = {};
+        const present = raw => raw !== undefined && raw !== null && raw !== '';
+        try {
+            if (present(values.demands)) Object.assign(demands, normalizeResources(values.demands));
+            if (present(values.memory)) Object.assign(demands, normalizeResources({ memory: values.memory }));
+        } catch (err) {
+            rowErrors.push(err.message);
+            return null;
+        }
+        return Object.keys(demands).length ? demands : null;
+    }
+
+    // CPU bursts sit at even positions.
+    function cpuTotal(bursts) {
+        return bursts.reduce((sum, n, i) => (i % 2 === 0 ? sum + n : sum), 0);
+    }
+
+    function pickFields(keys) {
+        const values = {};
+        Object.keys(FIELD_ALIASES).forEach(field => {
+            const alias = FIELD_ALIASES[field].find(a => a in keys);
+            if (alias !== undefined) values[field] = keys[alias];
+        });
+        return values;
+    }
+
+    return { TraceError, parseTrace };
+}));
@@ -0,0 +1,209 @@
+// Self-tuning balancing: a feedback controller that runs after every
+// balancing round and adjusts the threshold and interval from what it
+// observed. Imbalance is the coefficient of variation of the processors'
+// drain times (std dev / mean), churn the migrations per round per processor,
+// where a process migrated again within repeatWindow ticks of its previous
+// migration counts as a whole unit; both are smoothed over rounds. Imbalance
+// no migration can remove never tightens the settings. Rounds may also move
+// several processes: one per threshold the max−min load gap spans, up to maxMoves.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SimEngine = Object.assign(root.SimEngine || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_TUNING = {
+        targetImbalance: 0.25, // acceptable imbalance after a round
+        targetChurn: 0.2, // acceptable migrations per round per processor
+        gain: 0.2, // fraction the threshold moves per adjustment
+        smoothing: 0.3, // weight of the newest round in the smoothed signals
+        minThreshold: 2,
+        maxThreshold: 200,
+        minInterval: 1,
+        maxInterval: 20,
+        maxMoves: 8,
+        repeatWindow: 20 // ticks within which migrating a process again counts as churn
+    };
+
+    const INTEGER_SETTINGS = ['minInterval', 'maxInterval', 'maxMoves', 'repeatWindow'];
+    const FRACTION_SETTINGS = ['gain', 'smoothing'];
+
+    // -------------------------
+    // Config Handling
+    // -------------------------
+    // Accepts true (defaults), an object of overrides or "key=value,key=value".
+    function normalizeTuning(spec = {}) {
+        const overrides = spec === true ? {} : typeof spec === 'string' ? parseTuning(spec) : spec;
+        const settings = {};
+        Object.keys(overrides).forEach(key => {
+            if (!(key in DEFAULT_TUNING)) {
+                throw new Error(`Unknown auto-tune setting "${key}" (expected one of: ${Object.keys(DEFAULT_TUNING).join(', ')})`);
+            }
+        });
+        Object.keys(DEFAULT_TUNING).forEach(key => {
+            const value = overrides[key] !== undefined ? Number(overrides[key]) : DEFAULT_TUNING[key];
+            const valid = isFinite(value) && value >= 0 &&
+                (!INTEGER_SETTINGS.includes(key) || (Number.isInteger(value) && value >= 1)) &&
+                (!FRACTION_SETTINGS.includes(key) || (value > 0 && value <= 1));
+            if (!valid) {
+                throw new Error(`Auto-tune setting ${key} is out of range, got "${overrides[key]}"`);
+            }
+            settings[key] = value;
+        });
+        if (settings.minThreshold > settings.maxThreshold || settings.minInterval > settings.maxInterval) {
+            throw new Error('Auto-tune minimums must not exceed their maximums');
+        }
+        return settings;
+    }
+
+    // "on" or "" for the defaults, otherwise e.g. "targetImbalance=0.2,maxMoves=4".
+    function parseTuning(text) {
+        const trimmed = String(text).trim();
+        if (trimmed === '' || trimmed === 'on') return {};
+        const overrides = {};
+        trimmed.split(',').filter(Boolean).forEach(pair => {
+            const [key, value] = pair.split('=').map(s => s.trim());
+            if (!key || value === undefined || value === '') {
+                throw new Error(`Malformed auto-tune setting "${pair}" (expected key=value)`);
+            }
+            overrides[key] = value;
+        });
+        return overrides;
+    }
+
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // -------------------------
+    // AutoTuner Class
+    // -------------------------
+    // Plain fields only, so snapshots can store and restore it as-is.
+    class AutoTuner {
+        constructor(settings = {}) {
+            this.settings = normalizeTuning(settings);
+            this.imbalance = null; // smoothed; null before the first round
+            this.churn = 0;
+            this.rounds = 0;
+            this.adjustments = 0;
+            this.action = 'observing';
+            this.budgetUsed = null; // migrations allowed in the latest round
+            this.lastMoved = {}; // process id -> tick of its latest migration, until it completes
+        }
+
+        // Migrations allowed in the coming round.
+        budget(balancer) {
+            const processors = balancer.processors;
+            const gap = processors[balancer.mostLoaded()].getDrainTime() - processors[balancer.leastLoaded()].getDrainTime();
+            this.budgetUsed = Math.min(this.settings.maxMoves, Math.max(1, Math.floor(gap / Math.max(balancer.threshold, 1))));
+            return this.budgetUsed;
+        }
+
+        // Called after a round that made `moved` migrations. Still imbalanced
+        // without churning: lower the threshold and balance more often. Churning
+        // while balanced: raise the threshold and balance less often. Both at
+        // once means migrating is not helping, so nothing changes; balanced and
+        // quiet stretches the interval to save balancing work. Irreducible
+        // imbalance counts as balanced when churning and otherwise changes
+        // nothing. Returns a reason when the threshold or interval changed,
+        // otherwise null.
+        adjust(balancer, moved) {
+            const s = this.settings;
+            const loads = balancer.getDrainTimes();
+            const mean = loads.reduce((a, b) => a + b, 0) / (loads.length || 1);
+            const stdDev = Math.sqrt(loads.reduce((acc, l) => acc + (l - mean) * (l - mean), 0) / (loads.length || 1));
+            const imbalance = mean > 0 ? stdDev / mean : 0;
+            const churn = moved / (loads.length || 1) + this.countRepeats(balancer, moved);
+            this.imbalance = this.imbalance === null ? imbalance : s.smoothing * imbalance + (1 - s.smoothing) * this.imbalance;
+            this.churn = s.smoothing * churn + (1 - s.smoothing) * this.churn;
+            this.rounds++;
+
+            const irreducible = this.imbalance > s.targetImbalance && this.irreducible(balancer);
+            const imbalanced = this.imbalance > s.targetImbalance && !irreducible;
+            const churning = this.churn > s.targetChurn;
+            let threshold = balancer.threshold;
+            let interval = balancer.interval;
+            if (imbalanced && !churning) {
+                this.action = 'tighten';
+                threshold = Math.max(s.minThreshold, threshold * (1 - s.gain));
+                interval = Math.max(s.minInterval, interval - 1);
+            } else if (churning && !imbalanced) {
+                this.action = 'relax';
+                threshold = Math.min(s.maxThreshold, threshold * (1 + s.gain));
+                interval = Math.min(s.maxInterval, interval + 1);
+            } else if (churning) {
+                this.action = 'hold';
+            } else if (irreducible) {
+                this.action = 'irreducible';
+            } else if (this.imbalance < s.targetImbalance / 2) {
+                this.action = 'slow down';
+                interval = Math.min(s.maxInterval, interval + 1);
+            } else {
+                this.action = 'steady';
+            }
+            threshold = Math.max(s.minThreshold, Math.min(s.maxThreshold, round(threshold)));
+            interval = Math.max(s.minInterval, Math.min(s.maxInterval, interval));
+            if (threshold === balancer.threshold && interval === balancer.interval) return null;
+
+            const reason = `${this.action}: imbalance ${round(this.imbalance)} (target ${s.targetImbalance}), ` +
+                `churn ${round(this.churn)} (target ${s.targetChurn}); threshold ${balancer.threshold} → ${threshold}, ` +
+                `interval ${balancer.interval} → ${interval}`;
+            balancer.threshold = threshold;
+            balancer.interval = interval;
+            this.adjustments++;
+            return reason;
+        }
+
+        // Moves among the round's last `moved` that migrated a process again
+        // within repeatWindow ticks, e.g. back where it came from or on
+        // around a ring. Such moves shuffle work without balancing anything,
+        // however few processors they touch.
+        countRepeats(balancer, moved) {
+            let repeats = 0;
+            balancer.migrationLog.slice(balancer.migrationLog.length - moved).forEach(m => {
+                const last = this.lastMoved[m.processId];
+                if (last !== undefined && m.time - last <= this.settings.repeatWindow) repeats++;
+                this.lastMoved[m.processId] = m.time;
+            });
+            return repeats;
+        }
+
+        // Called when a process completes.
+        forget(processId) {
+            delete this.lastMoved[processId];
+        }
+
+        // Whether no migration can narrow the gap: fewer processes are waiting
+        // than there are processors (a lone process is imbalance wherever it
+        // runs), or even the shortest waiting process on the most loaded
+        // processor takes at least as long as the max−min gap.
+        irreducible(balancer) {
+            const processors = balancer.processors;
+            let waiting = 0;
+            for (let i = 0; i < processors.length && waiting < processors.length; i++) {
+                const p = processors[i];
+                waiting += p.processes.length - (p.running && p.processes.includes(p.running) ? 1 : 0);
+            }
+            if (waiting < processors.length) return true;
+            const source = processors[balancer.mostLoaded()];
+            const migrant = balancer.pickMigrant(source, { waitingOnly: true });
+            return !migrant || migrant.burstRemaining / source.speed >= balancer.loadGap();
+        }
+
+        getState() {
+            return {
+                imbalance: this.imbalance !== null ? round(this.imbalance) : null,
+                churn: round(this.churn),
+                action: this.action,
+                budget: this.budgetUsed,
+                rounds: this.rounds,
+                adjustments: this.adjustments
+            };
+        }
+    }
+
+    return { DEFAULT_TUNING, normalizeTuning, parseTuning, AutoTuner };
+}));
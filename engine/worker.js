@@ -0,0 +1,253 @@
+// Background worker: holds the simulation off the page's main thread, so
+// large pools keep the page responsive. The page loads a snapshot into it
+// once; from then on the worker steps it, keeps the rewind checkpoints and
+// posts render frames (frame.js), and the page only takes the simulation back
+// (as a snapshot) to change it. Snapshots travel as JSON text, which crosses
+// threads much faster than the object would.
+//
+// Messages in:
+//   { type: 'load', runId, lineage, snapshot, checkpoints, request }   checkpoints: Checkpoints options
+//   { type: 'run', clock, target, delay }   target is a tick (an earlier one rewinds), Infinity or null
+//   { type: 'clock', delay }                a new clock speed
+//   { type: 'stop' }                        pauses the clock
+//   { type: 'step' }
+//   { type: 'rewind', tick }
+//   { type: 'stepBack' }                    rewinds one tick from wherever the simulation is
+//   { type: 'view', request, refresh }      what frames should cover; also acknowledges the last frame.
+//                                           With refresh a paused simulation posts a frame for it
+//   { type: 'snapshot', meta }              a copy of the simulation, e.g. for a download
+//   { type: 'handBack', release }           sends the simulation back; release also sends the checkpoints
+//   { type: 'release' }                     sends the checkpoints and forgets them
+//   { type: 'discard' }                     forgets the simulation (e.g. on reset)
+// Messages out:
+//   { type: 'frame', runId, frame, oldestTick }
+//   { type: 'paused', runId, clock, reason, frame, oldestTick }   the clock stopped by itself: complete or target
+//   { type: 'snapshot', runId, text, tick, algorithm }
+//   { type: 'stopped', runId, snapshot, rewindTo }   rewindTo: a tick older than the checkpoints here, which the
+//                                                    page rewinds to from its own copy (snapshot is then null)
+//   { type: 'checkpoints', lineage, saved }
+//   { type: 'error', runId, message }
+importScripts(
+    'random.js', 'workload.js', 'schedulers.js', 'strategies.js', 'topology.js', 'resources.js',
+    'tuning.js', 'energy.js', 'heap.js', 'simulation.js', 'snapshot.js', 'frame.js'
+);
+
+const { createSnapshot, restoreSnapshot, Checkpoints, createFrame, frameTransferables } = self.SimEngine;
+
+// Same batching as the page's clock: delay 0 and runs to a target step for
+// this long between frames.
+const BATCH_BUDGET_MS = 30;
+// The run summary is recomputed at most this often.
+const SUMMARY_INTERVAL_MS = 250;
+
+// { runId, simulation, request, awaiting, summarizedAt } while the worker holds a simulation
+let held = null;
+// { lineage, checkpoints }; kept while the page takes the simulation back to
+// change it, since it loads the same run again afterwards
+let store = null;
+// { id, target, delay, timer } while the clock runs
+let clock = null;
+
+self.onmessage = event => {
+    const message = event.data;
+    try {
+        if (message.type === 'load') {
+            load(message);
+        } else if (message.type === 'release') {
+            release();
+        } else if (!held) {
+            return;
+        } else if (message.type === 'run') {
+            run(message);
+        } else if (message.type === 'clock') {
+            if (clock) {
+                clock.delay = message.delay;
+                schedule();
+            }
+        } else if (message.type === 'stop') {
+            stopClock();
+            postFrame(true);
+        } else if (message.type === 'step') {
+            stopClock();
+            step();
+            postFrame(true);
+        } else if (message.type === 'rewind') {
+            stopClock();
+            if (rewind(message.tick)) postFrame(true);
+        } else if (message.type === 'stepBack') {
+            stopClock();
+            if (rewind(held.simulation.currentTime - 1)) postFrame(true);
+        } else if (message.type === 'view') {
+            held.request = message.request;
+            held.awaiting = false;
+            if (message.refresh && !clock) postFrame(true);
+        } else if (message.type === 'snapshot') {
+            const simulation = held.simulation;
+            self.postMessage({
+                type: 'snapshot',
+                runId: held.runId,
+                text: JSON.stringify(createSnapshot(simulation, message.meta)),
+                tick: simulation.currentTime,
+                algorithm: simulation.algorithm
+            });
+        } else if (message.type === 'handBack') {
+            handBack(null);
+            if (message.release) release();
+        } else if (message.type === 'discard') {
+            stopClock();
+            held = null;
+        }
+    } catch (err) {
+        fail(err);
+    }
+};
+
+// Checkpoints from an earlier load of the same run are kept up to the
+// loaded tick; the loaded state itself, with any changes the page made,
+// becomes the latest one.
+function load({ runId, lineage, snapshot, checkpoints, request }) {
+    stopClock();
+    held = { runId, simulation: null, request, awaiting: false, summarizedAt: -Infinity };
+    if (!store || store.lineage !== lineage) store = { lineage, checkpoints: new Checkpoints(checkpoints) };
+    // Set apart so a snapshot that fails to restore is reported for this run.
+    held.simulation = restoreSnapshot(snapshot);
+    store.checkpoints.capture(held.simulation, true);
+    postFrame(true);
+}
+
+function release() {
+    if (!store) return;
+    self.postMessage({ type: 'checkpoints', lineage: store.lineage, saved: store.checkpoints.saved });
+    store = null;
+}
+
+// -------------------------
+// Clock
+// -------------------------
+function run({ clock: id, target, delay }) {
+    stopClock();
+    if (target !== null && target < held.simulation.currentTime) {
+        if (rewind(target)) postPaused(id, 'target');
+        return;
+    }
+    clock = { id, target, delay, timer: null };
+    const reason = stopReason();
+    if (reason) {
+        clock = null;
+        postPaused(id, reason);
+        return;
+    }
+    schedule();
+}
+
+function stopClock() {
+    if (!clock) return;
+    clearTimeout(clock.timer);
+    clock = null;
+}
+
+function schedule() {
+    clearTimeout(clock.timer);
+    clock.timer = setTimeout(batch, clock.target !== null ? 0 : clock.delay);
+}
+
+// Ticks keep running while the page is still drawing the last frame; the
+// next frame goes out once it asks for one.
+function batch() {
+    clock.timer = null;
+    try {
+        if (clock.target !== null || clock.delay === 0) {
+            const deadline = performance.now() + BATCH_BUDGET_MS;
+            do {
+                step();
+            } while (!stopReason() && performance.now() < deadline);
+        } else {
+            step();
+        }
+
+        const reason = stopReason();
+        if (reason) {
+            const id = clock.id;
+            clock = null;
+            postPaused(id, reason);
+            return;
+        }
+        if (!held.awaiting) postFrame(false);
+        schedule();
+    } catch (err) {
+        fail(err);
+    }
+}
+
+function step() {
+    held.simulation.step();
+    store.checkpoints.capture(held.simulation);
+}
+
+function stopReason() {
+    const simulation = held.simulation;
+    if (simulation.isComplete()) return 'complete';
+    if (clock.target !== null && simulation.currentTime >= clock.target) return 'target';
+    return null;
+}
+
+// Ticks older than the checkpoints here are only in the page's own
+// checkpoints, so the page rewinds its own copy for those, which is still at
+// the tick it was last loaded from. Returns whether the worker still holds
+// the simulation.
+function rewind(tick) {
+    const target = Math.max(tick, -1);
+    if (target < store.checkpoints.oldestTick) {
+        handBack(target);
+        return false;
+    }
+    held.simulation = store.checkpoints.rewind(held.simulation, target);
+    return true;
+}
+
+function oldestTick() {
+    return store.checkpoints.oldestTick;
+}
+
+// -------------------------
+// Frames
+// -------------------------
+// Frames the page asked for (`force`) always carry a fresh summary.
+function frame(force) {
+    const now = performance.now();
+    const summary = force || now - held.summarizedAt >= SUMMARY_INTERVAL_MS;
+    if (summary) held.summarizedAt = now;
+    held.awaiting = true;
+    return createFrame(held.simulation, Object.assign({}, held.request, { summary }));
+}
+
+function postFrame(force) {
+    const next = frame(force);
+    self.postMessage({ type: 'frame', runId: held.runId, frame: next, oldestTick: oldestTick() }, frameTransferables(next));
+}
+
+function postPaused(clockId, reason) {
+    const next = frame(true);
+    self.postMessage({ type: 'paused', runId: held.runId, clock: clockId, reason, frame: next, oldestTick: oldestTick() },
+        frameTransferables(next));
+}
+
+// -------------------------
+// Hand-back
+// -------------------------
+function handBack(rewindTo) {
+    stopClock();
+    const { runId, simulation } = held;
+    held = null;
+    const snapshot = rewindTo === null ? JSON.stringify(createSnapshot(simulation)) : null;
+    self.postMessage({ type: 'stopped', runId, snapshot, rewindTo });
+}
+
+// The page falls back to its own copy of the simulation.
+function fail(err) {
+    const runId = held ? held.runId : null;
+    stopClock();
+    held = null;
+    store = null;
+    self.postMessage({ type: 'error', runId, message: err.message });
+}
@@ -0,0 +1,313 @@
+// Synthetic workload generators: an arrival process decides when processes
+// show up over the whole run, a burst distribution decides how long they run,
+// an I/O pattern decides which of them alternate CPU and I/O bursts and a
+// memory distribution how much memory each one holds.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SimEngine = Object.assign(root.SimEngine || {}, factory());
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MAX_GENERATED_PROCESSES = 100000;
+
+    // -------------------------
+    // Sampling Helpers
+    // -------------------------
+    function sampleExponential(rng, mean) {
+        return -mean * Math.log(1 - rng.next());
+    }
+
+    // Arrival times of a Poisson process with the given rate over [start, end),
+    // at most `limit` of them.
+    function poissonTimes(rng, rate, start, end, limit) {
+        const times = [];
+        if (rate <= 0) return times;
+        let t = start + sampleExponential(rng, 1 / rate);
+        while (t < end && times.length < limit) {
+            times.push(Math.floor(t));
+            t += sampleExponential(rng, 1 / rate);
+        }
+        return times;
+    }
+
+    // -------------------------
+    // Arrival Processes
+    // -------------------------
+    // `times` returns at most `limit` arrival times, in order, and stops
+    // sampling there. `scale` returns the parameters for `factor` times as many
+    // arrivals (see scaleLoad).
+    const ARRIVAL_PROCESSES = {
+        poisson: {
+            label: 'Poisson',
+            params: { rate: 0.2 },
+            times(p, duration, rng, limit) {
+                return poissonTimes(rng, p.rate, 0, duration, limit);
+            },
+            scale: (p, factor) => ({ rate: p.rate * factor })
+        },
+        periodic: {
+            label: 'Periodic',
+            params: { period: 10, batch: 2 },
+            times(p, duration, rng, limit) {
+                const times = [];
+                for (let t = 0; t < duration && times.length < limit; t += p.period) {
+                    for (let i = 0; i < p.batch && times.length < limit; i++) times.push(t);
+                }
+                return times;
+            },
+            scale: (p, factor) => ({ period: Math.max(1, Math.round(p.period / factor)) })
+        },
+        onoff: {
+            label: 'On/Off Bursty',
+            params: { onRate: 1, offRate: 0.02, onLength: 20, offLength: 80 },
+            times(p, duration, rng, limit) {
+                const times = [];
+                let t = 0;
+                let on = true;
+                while (t < duration && times.length < limit) {
+                    const length = on ? p.onLength : p.offLength;
+                    const end = Math.min(t + length, duration);
+                    times.push(...poissonTimes(rng, on ? p.onRate : p.offRate, t, end, limit - times.length));
+                    t = end;
+                    on = !on;
+                }
+                return times;
+            },
+            scale: (p, factor) => ({ onRate: p.onRate * factor, offRate: p.offRate * factor })
+        },
+        uniform: {
+            label: 'Uniform Batch',
+            params: { count: 8, window: 5 },
+            times(p, duration, rng, limit) {
+                const times = [];
+                for (let i = 0; i < Math.min(p.count, limit); i++) times.push(rng.int(0, Math.min(p.window, duration)));
+                return times.sort((a, b) => a - b);
+            },
+            scale: (p, factor) => ({ count: Math.round(p.count * factor) })
+        }
+    };
+
+    // -------------------------
+    // Burst Distributions
+    // -------------------------
+    const BURST_DISTRIBUTIONS = {
+        uniform: {
+            label: 'Uniform',
+            params: { min: 20, max: 59 },
+            sample(p, rng) {
+                return rng.int(p.min, p.max + 1);
+            }
+        },
+        exponential: {
+            label: 'Exponential',
+            params: { mean: 40 },
+            sample(p, rng) {
+                return sampleExponential(rng, p.mean);
+            }
+        },
+        pareto: {
+            label: 'Pareto (heavy-tailed)',
+            params: { alpha: 1.5, min: 10, max: 1000 },
+            sample(p, rng) {
+                return Math.min(p.max, p.min / Math.pow(1 - rng.next(), 1 / p.alpha));
+            }
+        },
+        bimodal: {
+            label: 'Bimodal short/long',
+            params: { short: 10, long: 150, longFraction: 0.2 },
+            sample(p, rng) {
+                const mean = rng.next() < p.longFraction ? p.long : p.short;
+                return mean * (0.75 + rng.next() * 0.5);
+            }
+        }
+    };
+
+    // -------------------------
+    // I/O Patterns
+    // -------------------------
+    // An I/O-bound process splits its total CPU work into short CPU bursts
+    // (exponential, mean `cpu`) separated by I/O waits (exponential, mean
+    // `wait`); `fraction` of the generated processes are I/O-bound.
+    const IO_PATTERNS = {
+        none: {
+            label: 'CPU-bound only',
+            params: {}
+        },
+        alternating: {
+            label: 'Alternating CPU / I/O',
+            params: { fraction: 0.5, cpu: 8, wait: 20 },
+            split(p, work, rng) {
+                const bursts = [];
+                let left = work;
+                while (left > 0) {
+                    const cpu = Math.min(left, Math.max(1, Math.round(sampleExponential(rng, p.cpu))));
+                    bursts.push(cpu);
+                    left -= cpu;
+                    if (left > 0) bursts.push(Math.max(1, Math.round(sampleExponential(rng, p.wait))));
+                }
+                return bursts;
+            }
+        }
+    };
+
+    // -------------------------
+    // Memory Demands
+    // -------------------------
+    // Same shapes as the burst distributions, in memory units (e.g. MB).
+    const MEMORY_DEMANDS = {
+        none: {
+            label: 'No memory demand',
+            params: {}
+        },
+        uniform: {
+            label: 'Uniform',
+            params: { min: 256, max: 2048 },
+            sample: BURST_DISTRIBUTIONS.uniform.sample
+        },
+        exponential: {
+            label: 'Exponential',
+            params: { mean: 1024 },
+            sample: BURST_DISTRIBUTIONS.exponential.sample
+        },
+        bimodal: {
+            label: 'Bimodal small/large',
+            params: { short: 256, long: 4096, longFraction: 0.2 },
+            sample: BURST_DISTRIBUTIONS.bimodal.sample
+        }
+    };
+
+    const DEFAULT_GENERATOR = {
+        duration: 500,
+        arrival: { type: 'poisson' },
+        burst: { type: 'uniform' },
+        io: { type: 'none' },
+        memory: { type: 'none' }
+    };
+
+    // -------------------------
+    // Config Handling
+    // -------------------------
+    function normalizeDistribution(spec, table, kind) {
+        const entry = table[spec.type];
+        if (!entry) {
+            throw new Error(`Unknown ${kind} type "${spec.type}" (expected one of: ${Object.keys(table).join(', ')})`);
+        }
+        const normalized = { type: spec.type };
+        Object.keys(spec).forEach(key => {
+            if (key !== 'type' && !(key in entry.params)) {
+                throw new Error(`Unknown ${kind} parameter "${key}" for ${spec.type}`);
+            }
+        });
+        Object.keys(entry.params).forEach(key => {
+            const value = spec[key] !== undefined ? Number(spec[key]) : entry.params[key];
+            if (!isFinite(value) || value < 0) {
+                throw new Error(`${kind} parameter ${spec.type}.${key} must be a non-negative number, got "${spec[key]}"`);
+            }
+            normalized[key] = value;
+        });
+        return normalized;
+    }
+
+    function normalizeGeneratorConfig(config = {}) {
+        const duration = config.duration !== undefined ? Number(config.duration) : DEFAULT_GENERATOR.duration;
+        if (!Number.isInteger(duration) || duration < 1) {
+            throw new Error(`Generator duration must be a positive integer, got "${config.duration}"`);
+        }
+        const arrival = normalizeDistribution(config.arrival || DEFAULT_GENERATOR.arrival, ARRIVAL_PROCESSES, 'arrival');
+        const burst = normalizeDistribution(config.burst || DEFAULT_GENERATOR.burst, BURST_DISTRIBUTIONS, 'burst');
+        const io = normalizeDistribution(config.io || DEFAULT_GENERATOR.io, IO_PATTERNS, 'io');
+        const memory = normalizeDistribution(config.memory || DEFAULT_GENERATOR.memory, MEMORY_DEMANDS, 'memory');
+        if (arrival.type === 'periodic' && arrival.period < 1) {
+            throw new Error('arrival parameter periodic.period must be at least 1');
+        }
+        if (arrival.type === 'onoff' && arrival.onLength + arrival.offLength < 1) {
+            throw new Error('arrival parameters onoff.onLength + offLength must be at least 1');
+        }
+        if ((burst.type === 'uniform' || burst.type === 'pareto') && burst.min > burst.max) {
+            throw new Error(`burst parameter ${burst.type}.min must not exceed max`);
+        }
+        if (memory.type === 'uniform' && memory.min > memory.max) {
+            throw new Error('memory parameter uniform.min must not exceed max');
+        }
+        if (burst.type === 'pareto' && burst.alpha === 0) {
+            throw new Error('burst parameter pareto.alpha must be greater than 0');
+        }
+        if (io.type === 'alternating' && io.fraction > 1) {
+            throw new Error('io parameter alternating.fraction must be between 0 and 1');
+        }
+        if (io.type === 'alternating' && (io.cpu < 1 || io.wait < 1)) {
+            throw new Error('io parameters alternating.cpu and wait must be at least 1');
+        }
+        return { duration, arrival, burst, io, memory };
+    }
+
+    // The generator config with its arrival intensity multiplied by `factor`,
+    // e.g. 2 for twice the offered load with the same burst distribution.
+    function scaleLoad(config, factor) {
+        const value = Number(factor);
+        if (!isFinite(value) || value <= 0) {
+            throw new Error(`Load factor must be a positive number, got "${factor}"`);
+        }
+        const normalized = normalizeGeneratorConfig(config);
+        const arrival = normalized.arrival;
+        return Object.assign(normalized, {
+            arrival: Object.assign({}, arrival, ARRIVAL_PROCESSES[arrival.type].scale(arrival, value))
+        });
+    }
+
+    // Parses "type" or "type:key=value,key=value", e.g. "pareto:alpha=1.2,min=5".
+    function parseDistributionSpec(text) {
+        const [type, params = ''] = String(text).split(':', 2);
+        const spec = { type: type.trim() };
+        params.split(',').filter(Boolean).forEach(pair => {
+            const [key, value] = pair.split('=').map(s => s.trim());
+            if (!key || value === undefined) {
+                throw new Error(`Malformed parameter "${pair}" in "${text}" (expected key=value)`);
+            }
+            spec[key] = value;
+        });
+        return spec;
+    }
+
+    // -------------------------
+    // Generation
+    // -------------------------
+    // Returns plain { id, arrival, burst, priority } records ordered by arrival;
+    // I/O-bound ones also carry `bursts`, their CPU / I/O alternation, and with
+    // a memory distribution every record has `demands: { memory }`.
+    function generateWorkload(config, rng, firstId = 0) {
+        const { duration, arrival, burst, io, memory } = normalizeGeneratorConfig(config);
+        const times = ARRIVAL_PROCESSES[arrival.type].times(arrival, duration, rng, MAX_GENERATED_PROCESSES);
+
+        return times.map((time, i) => {
+            const record = {
+                id: firstId + i,
+                arrival: time,
+                burst: Math.max(1, Math.round(BURST_DISTRIBUTIONS[burst.type].sample(burst, rng))),
+                priority: rng.int(1, 4)
+            };
+            if (io.type !== 'none' && rng.next() < io.fraction) {
+                record.bursts = IO_PATTERNS[io.type].split(io, record.burst, rng);
+            }
+            if (memory.type !== 'none') {
+                record.demands = { memory: Math.max(1, Math.round(MEMORY_DEMANDS[memory.type].sample(memory, rng))) };
+            }
+            return record;
+        });
+    }
+
+    return {
+        ARRIVAL_PROCESSES,
+        BURST_DISTRIBUTIONS,
+        IO_PATTERNS,
+        MEMORY_DEMANDS,
+        DEFAULT_GENERATOR,
+        normalizeGeneratorConfig,
+        scaleLoad,
+        parseDistributionSpec,
+        generateWorkload
+    };
+}));
@@ -1,556 +1,2883 @@
 // -------------------------
-// Process Class
+// Engine (engine/*.js)
 // -------------------------
-class Process {
-    constructor(id, arrivalTime, burstTime, priority = 1) {
-        this.id = id;
-        this.arrivalTime = arrivalTime;
-        this.burstTime = burstTime;
-        this.remainingTime = burstTime;
-        this.priority = priority;
-        this.assignedProcessor = null;
-        this.state = 'NEW';
-        this.waitingTime = 0;
-        this.startTime = null;
-        this.completionTime = null;
+const {
+    Simulation, normalizeSeed, normalizeSpeeds, randomSeed, parseTrace, createProcesses,
+    ARRIVAL_PROCESSES, BURST_DISTRIBUTIONS, IO_PATTERNS, MEMORY_DEMANDS, DEFAULT_GENERATOR, normalizeGeneratorConfig,
+    SCHEDULERS, describeScheduler, listStrategies, Comparison, COMPARISON_METRICS,
+    turnaroundTime, responseTime, toRecords, createSnapshot, restoreSnapshot, Checkpoints,
+    EXPORT_DATASETS, exportTable, toCsv, exportJson, EVENT_TYPES,
+    FAILURE_POLICIES, parseFaults, describeFault, TOPOLOGIES, normalizeTopology, describeTopology,
+    GOVERNORS, normalizePowerModel, describePowerModel,
+    parseCapacities, describeResources, parseScenario, formatScenario, describeScenarioEvent, SWEEP_PARAMETERS, SWEEP_METRICS, DEFAULT_TRIALS, Sweep, sweepTable,
+    POWER_CODES, createFrame, describeProcessor, processPage, eventPage, timelineWindow, firstSegmentEndingAfter, mergeHistory
+} = SimEngine;
+
+// -------------------------
+// Global State
+// -------------------------
+const MAX_PROCESSORS = 1024;
+const CAPACITIES_HINT = 'Resource capacities per processor separated by ";", repeated across processors, e.g. memory=4096;memory=2048 (empty: unlimited)';
+let simulation = null;
+let importedTrace = null; // { name, records } while a trace file replaces the random workload
+let generatorConfig = null; // normalized generator config while a synthetic workload is selected
+let isRunning = false;
+
+let chart = null;
+
+// -------------------------
+// Initialize Chart
+// -------------------------
+// Each panel has its own y-axis; all panels share the time axis, zoom and hover.
+const CHART_PANELS = [
+    {
+        id: 'load', label: 'Load (ticks)', enabled: true,
+        series: [
+            { label: 'Avg Load', color: '#60a5fa', value: (h, i) => h.avgLoad[i] },
+            { label: 'Load Std Dev', color: '#a78bfa', value: (h, i) => h.variance[i] }
+        ]
+    },
+    {
+        id: 'migrations', label: 'Migrations (cumulative)', enabled: false,
+        series: [{ label: 'Migrations', color: '#34d399', value: (h, i) => h.migrations[i] }]
+    },
+    {
+        id: 'completions', label: 'Completed (cumulative)', enabled: false,
+        series: [{ label: 'Completed', color: '#fbbf24', value: (h, i) => h.completed[i] }]
+    },
+    {
+        id: 'utilization', label: 'Processors busy (%)', enabled: false, max: 100,
+        series: [{ label: 'Utilization', color: '#f472b6', value: (h, i) => h.utilization[i] * 100 }]
+    },
+    {
+        id: 'queues', label: 'Queue length per processor', enabled: false,
+        // One series per processor, built from the history on demand; hot-added
+        // processors read as empty before they existed. Larger pools show the
+        // shortest, mean and longest queue instead.
+        series: h => {
+            const cpus = (h.queueLengths[h.queueLengths.length - 1] || []).length;
+            if (cpus > QUEUE_SERIES_LIMIT) {
+                return [
+                    { label: 'Shortest', color: '#34d399', value: (hist, i) => queueStats(hist.queueLengths[i]).min },
+                    { label: 'Mean', color: '#60a5fa', value: (hist, i) => queueStats(hist.queueLengths[i]).mean },
+                    { label: 'Longest', color: '#f87171', value: (hist, i) => queueStats(hist.queueLengths[i]).max }
+                ];
+            }
+            return Array.from({ length: cpus }, (_, cpu) => ({
+                label: `CPU ${cpu}`, color: processColor(cpu), value: (hist, i) => hist.queueLengths[i][cpu] || 0
+            }));
+        }
+    },
+    {
+        id: 'balancing', label: 'Balancing settings', enabled: false,
+        series: [
+            { label: 'Threshold', color: '#38bdf8', value: (h, i) => h.threshold[i] },
+            { label: 'Interval (ticks)', color: '#fb923c', value: (h, i) => h.interval[i] }
+        ]
+    },
+    {
+        id: 'power', label: 'Power draw (W)', enabled: false,
+        series: [{ label: 'Power', color: '#4ade80', value: (h, i) => h.power[i] }]
+    },
+    {
+        id: 'asleep', label: 'Processors asleep', enabled: false,
+        series: [{ label: 'Asleep', color: '#93c5fd', value: (h, i) => h.asleep[i] }]
+    }
+];
+const CHART_PANEL_HEIGHT = 150;
+const QUEUE_SERIES_LIMIT = 16;
+const queueStatsCache = new WeakMap(); // history row -> { min, mean, max }
+const CHART_PADDING = { left: 55, right: 20, top: 10, bottom: 30 };
+
+let chartView = null; // { start, end } in ticks while zoomed; null shows the whole run
+let chartHoverTime = null;
+let chartDrag = null;
+
+function initializeChart() {
+    const canvas = document.getElementById('performanceChart');
+    const ctx = canvas.getContext('2d');
+    
+    chart = {
+        canvas: canvas,
+        ctx: ctx
+    };
+
+    initializeChartToggles();
+    setupChartInteraction();
+    drawChart();
+}
+
+function initializeChartToggles() {
+    const container = document.getElementById('chartToggles');
+    CHART_PANELS.forEach(panel => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = panel.enabled;
+        checkbox.onchange = () => {
+            panel.enabled = checkbox.checked;
+            drawChart();
+        };
+        label.append(checkbox, ` ${panel.label}`);
+        container.appendChild(label);
+    });
+}
+
+// Wheel zooms around the cursor, dragging pans, double-click shows the whole run.
+function setupChartInteraction() {
+    const canvas = chart.canvas;
+
+    canvas.addEventListener('wheel', event => {
+        const bounds = historyBounds(chartHistory());
+        if (!bounds) return;
+        event.preventDefault();
+        const view = chartView || bounds;
+        const anchor = chartTimeAt(event.offsetX, view);
+        zoomChart(event.deltaY < 0 ? 0.8 : 1.25, anchor);
+    }, { passive: false });
+
+    canvas.addEventListener('mousedown', event => {
+        const bounds = historyBounds(chartHistory());
+        if (!bounds) return;
+        chartDrag = { x: event.offsetX, view: chartView || bounds };
+    });
+
+    canvas.addEventListener('mousemove', event => {
+        if (chartDrag) {
+            const { view } = chartDrag;
+            const ticksPerPx = (view.end - view.start) / chartPlotWidth();
+            const shift = (chartDrag.x - event.offsetX) * ticksPerPx;
+            setChartView(view.start + shift, view.end + shift);
+        } else {
+            const bounds = historyBounds(chartHistory());
+            chartHoverTime = bounds ? chartTimeAt(event.offsetX, chartView || bounds) : null;
+        }
+        drawChart();
+    });
+
+    window.addEventListener('mouseup', () => { chartDrag = null; });
+
+    canvas.addEventListener('mouseleave', () => {
+        chartHoverTime = null;
+        drawChart();
+    });
+
+    canvas.addEventListener('dblclick', resetChartZoom);
+}
+
+function zoomChart(factor, anchor) {
+    const bounds = historyBounds(chartHistory());
+    if (!bounds) return;
+    const view = chartView || bounds;
+    if (anchor === undefined) anchor = (view.start + view.end) / 2;
+    const span = Math.max((view.end - view.start) * factor, 10);
+    const ratio = (anchor - view.start) / (view.end - view.start || 1);
+    setChartView(anchor - span * ratio, anchor + span * (1 - ratio));
+    drawChart();
+}
+
+function resetChartZoom() {
+    chartView = null;
+    drawChart();
+}
+
+// Clamps the view to the recorded run; a view covering all of it follows the run again.
+function setChartView(start, end) {
+    const bounds = historyBounds(chartHistory());
+    const span = end - start;
+    if (span >= bounds.end - bounds.start) {
+        chartView = null;
+        return;
+    }
+    if (start < bounds.start) start = bounds.start;
+    if (start + span > bounds.end) start = bounds.end - span;
+    chartView = { start, end: start + span };
+}
+
+function historyBounds(history) {
+    if (history.time.length === 0) return null;
+    const start = history.time[0];
+    return { start, end: Math.max(history.time[history.time.length - 1], start + 10) };
+}
+
+function chartPlotWidth() {
+    return chart.canvas.width - CHART_PADDING.left - CHART_PADDING.right;
+}
+
+function chartTimeAt(offsetX, view) {
+    const ratio = (offsetX - CHART_PADDING.left) / chartPlotWidth();
+    return view.start + Math.min(Math.max(ratio, 0), 1) * (view.end - view.start);
+}
+
+// Roughly `count` axis ticks at 1/2/5 × 10^k steps.
+function niceTicks(min, max, count) {
+    const rough = (max - min) / count || 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+    const ticks = [];
+    for (let t = Math.ceil(min / step) * step; t <= max + 1e-9; t += step) {
+        ticks.push(Number(t.toFixed(6)));
+    }
+    return ticks;
+}
+
+// First index whose time is >= t (history.time is sorted).
+function historyIndexAt(times, t) {
+    let lo = 0;
+    let hi = times.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (times[mid] < t) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+// -------------------------
+// Draw Chart
+// -------------------------
+// While the worker holds the run, its history arrives with the frames.
+function chartHistory() {
+    return liveRun ? liveRun.history : simulation.history;
+}
+
+function drawChart() {
+    if (!chart) return;
+    const panels = CHART_PANELS.filter(p => p.enabled);
+    const stride = liveRun ? liveRun.historyStride : simulation.historyStride;
+    drawHistoryChart(chart.canvas, chart.ctx, chartHistory(), {
+        panels: panels.length ? panels : [CHART_PANELS[0]],
+        view: chartView,
+        hoverTime: chartDrag ? null : chartHoverTime
+    });
+    document.getElementById('chartResolution').textContent = stride > 1
+        ? `One point every ${stride} ticks`
+        : 'One point per tick';
+}
+
+function drawHistoryChart(canvas, ctx, data, options = {}) {
+    const panels = options.panels || [CHART_PANELS[0]];
+    const pad = CHART_PADDING;
+    const panelHeight = options.panelHeight || CHART_PANEL_HEIGHT;
+
+    // Set canvas size
+    canvas.width = canvas.offsetWidth;
+    canvas.height = panels.length * panelHeight + pad.bottom;
+    
+    const width = canvas.width;
+    const height = canvas.height;
+    const graphWidth = width - pad.left - pad.right;
+    
+    // Clear canvas
+    ctx.clearRect(0, 0, width, height);
+    
+    // No data yet
+    const bounds = historyBounds(data);
+    if (!bounds) {
+        ctx.fillStyle = '#9ca3af';
+        ctx.font = '14px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('Start simulation to see performance metrics...', width / 2, height / 2);
+        return;
+    }
+
+    const view = options.view || bounds;
+    const x = t => pad.left + ((t - view.start) / (view.end - view.start)) * graphWidth;
+
+    // Visible points plus one on each side so lines reach the edges; thinned to about one per pixel.
+    const first = Math.max(historyIndexAt(data.time, view.start) - 1, 0);
+    const last = Math.min(historyIndexAt(data.time, view.end) + 1, data.time.length);
+    const stride = Math.max(1, Math.ceil((last - first) / Math.max(graphWidth, 1)));
+    const indices = [];
+    for (let i = first; i < last; i += stride) indices.push(i);
+    if (indices[indices.length - 1] !== last - 1) indices.push(last - 1);
+
+    const hoverIdx = options.hoverTime !== null && options.hoverTime !== undefined
+        ? nearestHistoryIndex(data.time, options.hoverTime)
+        : null;
+    const readout = [];
+
+    panels.forEach((panel, p) => {
+        const top = p * panelHeight + pad.top;
+        const graphHeight = panelHeight - pad.top - 10;
+        const series = typeof panel.series === 'function' ? panel.series(data) : panel.series;
+        const visibleMax = series.reduce((m, s) =>
+            indices.reduce((mm, i) => Math.max(mm, s.value(data, i)), m), 0);
+        const yTicks = niceTicks(0, panel.max || Math.max(visibleMax, 1), 4);
+        const yMax = panel.max || yTicks[yTicks.length - 1];
+        const y = v => top + graphHeight - (v / yMax) * graphHeight;
+
+        // Grid lines and y-axis values
+        ctx.strokeStyle = '#4b5563';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#9ca3af';
+        ctx.font = '11px Arial';
+        ctx.textAlign = 'right';
+        yTicks.forEach(v => {
+            ctx.beginPath();
+            ctx.moveTo(pad.left, y(v));
+            ctx.lineTo(width - pad.right, y(v));
+            ctx.stroke();
+            ctx.fillText(v, pad.left - 6, y(v) + 4);
+        });
+
+        // Axes
+        ctx.strokeStyle = '#6b7280';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(pad.left, top);
+        ctx.lineTo(pad.left, top + graphHeight);
+        ctx.lineTo(width - pad.right, top + graphHeight);
+        ctx.stroke();
+
+        // Series lines, clipped to the plot area
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(pad.left, top - 2, graphWidth, graphHeight + 4);
+        ctx.clip();
+        series.forEach(s => {
+            ctx.strokeStyle = s.color;
+            ctx.lineWidth = series.length > 8 ? 1 : 2;
+            ctx.beginPath();
+            indices.forEach((i, n) => {
+                if (n === 0) ctx.moveTo(x(data.time[i]), y(s.value(data, i)));
+                else ctx.lineTo(x(data.time[i]), y(s.value(data, i)));
+            });
+            ctx.stroke();
+        });
+        ctx.restore();
+
+        // Panel title and legend
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#d1d5db';
+        ctx.font = '12px Arial';
+        ctx.fillText(panel.label, pad.left + 8, top + 12);
+        if (series.length > 1 && series.length <= 8) {
+            let legendX = width - pad.right;
+            ctx.textAlign = 'right';
+            series.slice().reverse().forEach(s => {
+                ctx.fillStyle = '#ffffff';
+                ctx.fillText(s.label, legendX, top + 12);
+                legendX -= ctx.measureText(s.label).width + 6;
+                ctx.fillStyle = s.color;
+                ctx.fillRect(legendX - 10, top + 3, 10, 10);
+                legendX -= 22;
+            });
+        }
+
+        if (hoverIdx !== null) {
+            if (series.length > 8) {
+                const values = series.map(s => s.value(data, hoverIdx));
+                readout.push(`${panel.label}: min ${values.reduce((a, b) => Math.min(a, b))}, max ${values.reduce((a, b) => Math.max(a, b))}`);
+            } else {
+                series.forEach(s => readout.push(`${s.label}: ${formatChartValue(s.value(data, hoverIdx))}`));
+            }
+        }
+    });
+
+    // Time axis
+    const axisY = panels.length * panelHeight;
+    ctx.fillStyle = '#9ca3af';
+    ctx.font = '11px Arial';
+    ctx.textAlign = 'center';
+    niceTicks(view.start, view.end, Math.max(2, Math.floor(graphWidth / 80))).forEach(t => {
+        ctx.fillText(t, x(t), axisY + 14);
+    });
+    ctx.fillText('Time →', pad.left + graphWidth / 2, axisY + 27);
+
+    // Hover crosshair and readout
+    if (hoverIdx !== null) {
+        const hx = x(data.time[hoverIdx]);
+        ctx.strokeStyle = '#f9fafb';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(hx, pad.top);
+        ctx.lineTo(hx, axisY);
+        ctx.stroke();
+
+        const lines = [`t = ${data.time[hoverIdx]}`, ...readout];
+        ctx.font = '12px Arial';
+        const boxWidth = lines.reduce((w, l) => Math.max(w, ctx.measureText(l).width), 0) + 16;
+        const boxHeight = lines.length * 16 + 8;
+        const boxX = hx + boxWidth + 12 > width ? hx - boxWidth - 12 : hx + 12;
+        ctx.fillStyle = 'rgba(17, 24, 39, 0.92)';
+        ctx.fillRect(boxX, pad.top + 20, boxWidth, boxHeight);
+        ctx.fillStyle = '#f9fafb';
+        ctx.textAlign = 'left';
+        lines.forEach((line, i) => ctx.fillText(line, boxX + 8, pad.top + 36 + i * 16));
+    }
+}
+
+function nearestHistoryIndex(times, t) {
+    const idx = historyIndexAt(times, t);
+    if (idx === 0) return 0;
+    if (idx >= times.length) return times.length - 1;
+    return t - times[idx - 1] <= times[idx] - t ? idx - 1 : idx;
+}
+
+function queueStats(lengths) {
+    let stats = queueStatsCache.get(lengths);
+    if (!stats) {
+        stats = { min: Infinity, mean: 0, max: 0 };
+        lengths.forEach(n => {
+            stats.min = Math.min(stats.min, n);
+            stats.max = Math.max(stats.max, n);
+            stats.mean += n / lengths.length;
+        });
+        if (!lengths.length) stats.min = 0;
+        queueStatsCache.set(lengths, stats);
+    }
+    return stats;
+}
+
+function formatChartValue(value) {
+    return Number.isInteger(value) ? value : value.toFixed(2);
+}
+
+// -------------------------
+// Initialize System
+// -------------------------
+function initializeSystem() {
+    simulation = new Simulation(buildSimulationOptions());
+    document.getElementById('seedInput').value = simulation.seed;
+    resetCheckpoints();
+    if (!document.getElementById('scenarioInput').classList.contains('invalid')) renderScenarioStatus();
+
+    updateUI();
+    if (!chart) initializeChart();
+    else drawChart();
+}
+
+// Simulation options from the current toolbar settings; also used by comparison mode.
+function buildSimulationOptions() {
+    const pool = readProcessorPool();
+    const balancing = readBalancing();
+    return {
+        numProcessors: pool.count,
+        speeds: pool.speeds,
+        capacities: pool.capacities,
+        topology: readTopology(pool.count),
+        schedulers: [readSchedulerSpec(document.getElementById('schedulerSelect').value)],
+        migrationCost: readMigrationCost(),
+        threshold: balancing.threshold,
+        balanceInterval: balancing.interval,
+        moves: balancing.moves,
+        autoTune: balancing.autoTune,
+        power: readPowerModel(),
+        failurePolicy: document.getElementById('failurePolicySelect').value,
+        faults: readFaultSchedule(),
+        scenario: readScenario(),
+        algorithm: document.getElementById('algorithmSelect').value,
+        seed: readSeed(),
+        processes: importedTrace ? createProcesses(importedTrace.records) : undefined,
+        generator: generatorConfig || undefined
+    };
+}
+
+// Processor count is clamped to 1..MAX_PROCESSORS; the speed list repeats across
+// processors and falls back to uniform 1x speed if it does not parse. Capacities
+// that do not parse fall back to unlimited.
+function readProcessorPool() {
+    const countInput = document.getElementById('processorCountInput');
+    const speedsInput = document.getElementById('speedsInput');
+    const count = Math.min(MAX_PROCESSORS, Math.max(1, Math.floor(Number(countInput.value)) || 1));
+    countInput.value = count;
+
+    let speeds = speedsInput.value.split(',').map(v => v.trim()).filter(Boolean);
+    try {
+        normalizeSpeeds(speeds, count);
+        speedsInput.classList.remove('invalid');
+        speedsInput.title = 'Comma-separated speed factors, repeated across processors';
+    } catch (err) {
+        speedsInput.classList.add('invalid');
+        speedsInput.title = `${err.message} (using 1x for all processors)`;
+        speeds = [1];
+    }
+    return { count, speeds, capacities: readCapacities() };
+}
+
+function readCapacities() {
+    const input = document.getElementById('capacitiesInput');
+    try {
+        const capacities = parseCapacities(input.value);
+        input.classList.remove('invalid');
+        input.title = CAPACITIES_HINT;
+        return capacities;
+    } catch (err) {
+        input.classList.add('invalid');
+        input.title = `${err.message} (using unlimited capacity)`;
+        return [];
+    }
+}
+
+// Builds a scheduler spec for the given policy from the shared quantum / aging inputs.
+function readSchedulerSpec(type) {
+    const spec = { type: type };
+    const params = SCHEDULERS[type].params;
+    const quantum = Math.max(1, Math.floor(Number(document.getElementById('quantumInput').value)) || params.quantum || 1);
+    const aging = Math.max(1, Math.floor(Number(document.getElementById('agingInput').value)) || params.agingInterval || 1);
+    if ('quantum' in params) spec.quantum = quantum;
+    if ('agingInterval' in params) spec.agingInterval = aging;
+    return spec;
+}
+
+function readMigrationCost() {
+    const delayInput = document.getElementById('migrationDelayInput');
+    const penaltyInput = document.getElementById('affinityPenaltyInput');
+    const cost = {
+        delay: Math.max(0, Math.floor(Number(delayInput.value)) || 0),
+        affinityPenalty: Math.max(0, Math.floor(Number(penaltyInput.value)) || 0)
+    };
+    delayInput.value = cost.delay;
+    penaltyInput.value = cost.affinityPenalty;
+    return cost;
+}
+
+function readBalancing() {
+    const thresholdInput = document.getElementById('thresholdInput');
+    const intervalInput = document.getElementById('balanceIntervalInput');
+    const movesInput = document.getElementById('movesInput');
+    const balancing = {
+        threshold: Math.max(0, Number(thresholdInput.value) || 0),
+        interval: Math.max(1, Math.floor(Number(intervalInput.value)) || 1),
+        moves: Math.max(1, Math.floor(Number(movesInput.value)) || 1),
+        autoTune: document.getElementById('autoTuneCheckbox').checked
+    };
+    thresholdInput.value = balancing.threshold;
+    intervalInput.value = balancing.interval;
+    movesInput.value = balancing.moves;
+    return balancing;
+}
+
+// An unreadable schedule is flagged on the input and ignored until fixed.
+function readFaultSchedule() {
+    const input = document.getElementById('faultsInput');
+    try {
+        const faults = parseFaults(input.value);
+        input.classList.remove('invalid');
+        input.title = '';
+        return faults;
+    } catch (err) {
+        input.classList.add('invalid');
+        input.title = `${err.message} (no faults scheduled)`;
+        return [];
+    }
+}
+
+// -------------------------
+// Scenario
+// -------------------------
+// A scenario that does not parse is reported in the panel and ignored until fixed.
+function readScenario() {
+    const input = document.getElementById('scenarioInput');
+    try {
+        const events = parseScenario(input.value);
+        input.classList.remove('invalid');
+        return events;
+    } catch (err) {
+        input.classList.add('invalid');
+        renderScenarioStatus(err);
+        return [];
+    }
+}
+
+function applyScenario() {
+    resetSimulation();
+}
+
+function loadScenarioFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        document.getElementById('scenarioInput').value = reader.result;
+        applyScenario();
+    };
+    reader.onerror = () => renderScenarioStatus(new Error(`Could not read ${file.name}`));
+    reader.readAsText(file);
+}
+
+function clearScenario() {
+    document.getElementById('scenarioInput').value = '';
+    applyScenario();
+}
+
+// Lists the running simulation's events; applied ones are ticked off by updateScenarioProgress.
+function renderScenarioStatus(error) {
+    const status = document.getElementById('scenarioStatus');
+    status.innerHTML = '';
+    status.className = 'workload-status';
+    if (error) {
+        status.classList.add('error');
+        const title = document.createElement('div');
+        title.textContent = `❌ ${error.summary || error.message} (no scenario applied)`;
+        status.appendChild(title);
+        const list = document.createElement('ul');
+        (error.errors || []).slice(0, MAX_TRACE_ERRORS_SHOWN).forEach(msg => {
+            const item = document.createElement('li');
+            item.textContent = msg;
+            list.appendChild(item);
+        });
+        if (list.children.length) status.appendChild(list);
+        return;
+    }
+    const events = simulation.scenario;
+    if (events.length === 0) {
+        status.textContent = 'No scenario: the run is shaped by the workload alone.';
+        return;
+    }
+    const list = document.createElement('ul');
+    list.className = 'scenario-events';
+    events.forEach(event => {
+        const item = document.createElement('li');
+        item.dataset.tick = event.tick;
+        item.textContent = `@${event.tick} ${describeScenarioEvent(event)}`;
+        list.appendChild(item);
+    });
+    status.append(`${events.length} scenario event(s), applied after every Reset:`, list);
+}
+
+function updateScenarioProgress(currentTime) {
+    document.querySelectorAll('#scenarioStatus .scenario-events li').forEach(item => {
+        item.classList.toggle('applied', Number(item.dataset.tick) <= currentTime);
+    });
+}
+
+// -------------------------
+// Topology Controls
+// -------------------------
+function initializeTopologyControls() {
+    const select = document.getElementById('topologySelect');
+    Object.keys(TOPOLOGIES).forEach(type => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = TOPOLOGIES[type].label;
+        select.appendChild(option);
+    });
+    select.value = 'flat';
+    renderTopologyParams();
+}
+
+function renderTopologyParams(spec = {}) {
+    const type = document.getElementById('topologySelect').value;
+    const container = document.getElementById('topologyParams');
+    container.innerHTML = '';
+
+    Object.keys(TOPOLOGIES[type].params).forEach(name => {
+        const label = document.createElement('label');
+        label.textContent = name;
+        const input = document.createElement('input');
+        if (name === 'distances') {
+            input.type = 'text';
+            input.className = 'faults-input';
+            input.placeholder = '0,1,2; 1,0,1; 2,1,0';
+            input.value = spec.distances ? spec.distances.map(row => row.join(',')).join('; ') : '';
+        } else {
+            input.type = 'number';
+            input.min = '1';
+            input.step = '1';
+            input.value = spec[name] !== undefined ? spec[name] : TOPOLOGIES[type].params[name];
+        }
+        input.dataset.param = name;
+        input.onchange = () => resetSimulation();
+        label.appendChild(input);
+        container.appendChild(label);
+    });
+}
+
+function changeTopology() {
+    renderTopologyParams();
+    resetSimulation();
+}
+
+// An invalid topology is flagged on the select and replaced by the flat one until fixed.
+function readTopology(count) {
+    const select = document.getElementById('topologySelect');
+    const spec = { type: select.value };
+    document.querySelectorAll('#topologyParams input').forEach(input => {
+        spec[input.dataset.param] = input.value;
+    });
+    try {
+        const topology = normalizeTopology(spec, count);
+        select.classList.remove('invalid');
+        select.title = '';
+        return topology;
+    } catch (err) {
+        select.classList.add('invalid');
+        select.title = `${err.message} (using a flat topology)`;
+        return { type: 'flat' };
+    }
+}
+
+// -------------------------
+// Power Controls
+// -------------------------
+function initializePowerControls() {
+    const select = document.getElementById('governorSelect');
+    Object.keys(GOVERNORS).forEach(governor => {
+        const option = document.createElement('option');
+        option.value = governor;
+        option.textContent = GOVERNORS[governor].label;
+        select.appendChild(option);
+    });
+    select.value = 'performance';
+}
+
+// Settings the toolbar does not show (frequency levels, power draw) carry
+// over from the current run. Invalid input is flagged and the previous model kept.
+function readPowerModel() {
+    const base = simulation ? simulation.powerModel : {};
+    const sleepInput = document.getElementById('sleepAfterInput');
+    const wakeInput = document.getElementById('wakeLatencyInput');
+    try {
+        const model = normalizePowerModel(Object.assign({}, base, {
+            governor: document.getElementById('governorSelect').value,
+            sleepAfter: sleepInput.value.trim() === '' ? null : sleepInput.value,
+            wakeLatency: wakeInput.value.trim() === '' ? 0 : wakeInput.value
+        }));
+        [sleepInput, wakeInput].forEach(input => { input.classList.remove('invalid'); input.title = ''; });
+        return model;
+    } catch (err) {
+        [sleepInput, wakeInput].forEach(input => { input.classList.add('invalid'); input.title = err.message; });
+        return normalizePowerModel(base);
+    }
+}
+
+// Governor, sleep and wake-up changes apply from the next tick.
+function applyPower() {
+    withSimulation(() => {
+        simulation.setPowerModel(readPowerModel());
+        checkpointManualChange();
+        updateUI();
+    });
+}
+
+function formatEnergy(joules) {
+    return joules >= 10000 ? `${(joules / 1000).toFixed(1)} kJ` : `${joules.toFixed(0)} J`;
+}
+
+function initializeFailureControls() {
+    const select = document.getElementById('failurePolicySelect');
+    Object.keys(FAILURE_POLICIES).forEach(policy => {
+        const option = document.createElement('option');
+        option.value = policy;
+        option.textContent = policy[0].toUpperCase() + policy.slice(1);
+        option.title = FAILURE_POLICIES[policy];
+        select.appendChild(option);
+    });
+    select.value = 'evacuate';
+}
+
+function applyFailurePolicy() {
+    withSimulation(() => {
+        simulation.setFailurePolicy(document.getElementById('failurePolicySelect').value);
+        checkpointManualChange();
+    });
+}
+
+function toggleProcessorOnline(id) {
+    withSimulation(() => {
+        try {
+            if (simulation.loadBalancer.pool[id].online) simulation.failProcessor(id);
+            else simulation.recoverProcessor(id);
+        } catch (err) {
+            renderSnapshotStatus(`❌ ${err.message}`, true);
+            return;
+        }
+        checkpointManualChange();
+        updateUI();
+        drawChart();
+    });
+}
+
+function hotAddProcessor() {
+    withSimulation(() => {
+        if (simulation.numProcessors >= MAX_PROCESSORS) {
+            renderSnapshotStatus(`❌ The pool is limited to ${MAX_PROCESSORS} processors`, true);
+            return;
+        }
+        const input = document.getElementById('hotAddSpeedInput');
+        try {
+            simulation.addProcessor({
+                speed: input.value,
+                scheduler: readSchedulerSpec(document.getElementById('schedulerSelect').value)
+            });
+        } catch (err) {
+            renderSnapshotStatus(`❌ ${err.message}`, true);
+            return;
+        }
+        checkpointManualChange();
+        updateUI();
+        drawChart();
+    });
+}
+
+// Threshold and interval changes apply from the next balancing round; with
+// auto-tune on the controller carries on from the values entered.
+function applyBalancing() {
+    withSimulation(() => {
+        const balancing = readBalancing();
+        simulation.setBalancing({ threshold: balancing.threshold, interval: balancing.interval, moves: balancing.moves });
+        if (balancing.autoTune !== Boolean(simulation.tuner)) simulation.setAutoTune(balancing.autoTune);
+        checkpointManualChange();
+        updateUI();
+    });
+}
+
+// Migration cost changes apply to future migrations without restarting the run.
+function applyMigrationCost() {
+    withSimulation(() => {
+        simulation.setMigrationCost(readMigrationCost());
+        checkpointManualChange();
+    });
+}
+
+// Applies the toolbar scheduler to every processor without restarting the run.
+function applySchedulerToAll() {
+    withSimulation(() => {
+        const spec = readSchedulerSpec(document.getElementById('schedulerSelect').value);
+        simulation.loadBalancer.pool.forEach(processor => simulation.setScheduler(processor.id, spec));
+        checkpointManualChange();
+        updateUI();
+    });
+}
+
+function changeProcessorScheduler(processorId, type) {
+    withSimulation(() => {
+        simulation.setScheduler(processorId, readSchedulerSpec(type));
+        checkpointManualChange();
+        updateUI();
+    });
+}
+
+// Fills the algorithm dropdown from the strategy registry, so strategies
+// registered by extra <script> tags show up without editing the page.
+function initializeAlgorithmSelect() {
+    const select = document.getElementById('algorithmSelect');
+    listStrategies().forEach(strategy => {
+        const option = document.createElement('option');
+        option.value = strategy.id;
+        option.textContent = strategy.label;
+        option.title = strategy.description;
+        select.appendChild(option);
+    });
+    select.value = 'dynamic';
+}
+
+function initializeSchedulerSelect() {
+    const select = document.getElementById('schedulerSelect');
+    Object.keys(SCHEDULERS).forEach(type => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = SCHEDULERS[type].label;
+        select.appendChild(option);
+    });
+    document.getElementById('quantumInput').value = SCHEDULERS.rr.params.quantum;
+    document.getElementById('agingInput').value = SCHEDULERS.priority.params.agingInterval;
+}
+
+// Blank or invalid input falls back to a fresh random seed.
+function readSeed() {
+    const input = document.getElementById('seedInput');
+    try {
+        return input.value.trim() === '' ? randomSeed() : normalizeSeed(input.value);
+    } catch (err) {
+        return randomSeed();
+    }
+}
+
+// -------------------------
+// Simulation Clock
+// -------------------------
+// Each speed is the delay between ticks. Delay 0 runs as many ticks as fit in
+// FRAME_BUDGET_MS and redraws once per batch; runs to a target tick always do.
+const CLOCK_SPEEDS = [
+    { label: '1 tick/s', delay: 1000 },
+    { label: '2 ticks/s', delay: 500 },
+    { label: '5 ticks/s', delay: 200 },
+    { label: '10 ticks/s', delay: 100 },
+    { label: '25 ticks/s', delay: 40 },
+    { label: '60 ticks/s', delay: 16 },
+    { label: 'As fast as possible', delay: 0 }
+];
+const DEFAULT_CLOCK_SPEED = 2;
+const FRAME_BUDGET_MS = 30;
+// Rewind checkpoints every 10 ticks, at most 100 of them and 10M characters of
+// JSON (the Checkpoints default for that limit); large runs leave
+// 9× the time the last one took before the next, so checkpoints take at most
+// a tenth of the run.
+const CHECKPOINT_OPTIONS = { interval: 10, limit: 100, spacing: 9 };
+
+let clockTimer = null;
+let runTarget = null; // tick to stop at while running to a target; Infinity runs until complete
+let checkpoints = null;
+
+function initializeClockControls() {
+    const slider = document.getElementById('speedSlider');
+    slider.max = CLOCK_SPEEDS.length - 1;
+    slider.value = DEFAULT_CLOCK_SPEED;
+    renderClockSpeed();
+}
+
+function clockSpeed() {
+    return CLOCK_SPEEDS[Number(document.getElementById('speedSlider').value)] || CLOCK_SPEEDS[DEFAULT_CLOCK_SPEED];
+}
+
+// A new speed applies straight away instead of after the pending (possibly long) delay.
+function renderClockSpeed() {
+    document.getElementById('speedLabel').textContent = clockSpeed().label;
+    if (isRunning && runTarget === null) {
+        if (liveRun) {
+            engineWorker.postMessage({ type: 'clock', delay: clockSpeed().delay });
+        } else {
+            clearTimeout(clockTimer);
+            scheduleClockTick();
+        }
+    }
+}
+
+function resetCheckpoints() {
+    checkpoints = new Checkpoints(CHECKPOINT_OPTIONS);
+    checkpoints.capture(simulation, true);
+}
+
+// Changes made by hand mid-run are checkpointed so rewinding to a later tick keeps them.
+function checkpointManualChange() {
+    checkpoints.capture(simulation, true);
+}
+
+// One tick without redrawing.
+function advanceClock() {
+    simulation.step();
+    checkpoints.capture(simulation);
+    if (autosaveEnabled() && simulation.currentTime % AUTOSAVE_INTERVAL === 0) autosave();
+}
+
+function simulateStep() {
+    advanceClock();
+    updateUI();
+    drawChart();
+}
+
+function scheduleClockTick() {
+    clockTimer = setTimeout(clockTick, runTarget !== null ? 0 : clockSpeed().delay);
+}
+
+function clockTick() {
+    clockTimer = null;
+    if (runTarget !== null || clockSpeed().delay === 0) {
+        const deadline = performance.now() + FRAME_BUDGET_MS;
+        do {
+            advanceClock();
+        } while (!clockShouldStop() && performance.now() < deadline);
+    } else {
+        advanceClock();
+    }
+    updateUI();
+    drawChart();
+
+    if (clockShouldStop()) {
+        pauseSimulation();
+    } else {
+        scheduleClockTick();
+    }
+}
+
+function clockShouldStop() {
+    return simulation.isComplete() || (runTarget !== null && simulation.currentTime >= runTarget);
+}
+
+// With the background worker on, the worker runs the clock; the simulation
+// moves to it the first time.
+function startClock(target = null) {
+    if (liveRun && liveRun.pulling) {
+        withSimulation(() => startClock(target), false);
+        return;
+    }
+    stopClock();
+    isRunning = true;
+    runTarget = target;
+    renderStartButton();
+    if (liveRun || (workerEnabled() && parkSimulation())) {
+        runInWorker(target);
+        return;
+    }
+    scheduleClockTick();
+}
+
+function stopClock() {
+    isRunning = false;
+    runTarget = null;
+    if (clockTimer) {
+        clearTimeout(clockTimer);
+        clockTimer = null;
+    }
+    if (liveRun && liveRun.running) {
+        liveRun.running = false;
+        engineWorker.postMessage({ type: 'stop' });
+    }
+    renderStartButton();
+}
+
+function pauseSimulation() {
+    stopClock();
+    if (autosaveEnabled()) autosave();
+}
+
+function renderStartButton() {
+    const btn = document.getElementById('startPauseBtn');
+    btn.innerHTML = isRunning ? '<span>⏸</span> Pause' : '<span>▶</span> Start';
+    btn.className = isRunning ? 'btn-pause' : 'btn-start';
+}
+
+function stepForward() {
+    if (isRunning) pauseSimulation();
+    if (workerHolds()) engineWorker.postMessage({ type: 'step' });
+    else withSimulation(simulateStep, false);
+}
+
+// From the tick the worker is at, which may be ahead of the last frame.
+function stepBack() {
+    if (isRunning) pauseSimulation();
+    if (workerHolds()) engineWorker.postMessage({ type: 'stepBack' });
+    else withSimulation(() => rewindTo(simulation.currentTime - 1), false);
+}
+
+// Later ticks run to the target as fast as possible; earlier ones are rewound.
+function goToTick() {
+    const input = document.getElementById('goToTickInput');
+    const target = Math.max(0, Math.floor(Number(input.value)) || 0);
+    input.value = target;
+    if (workerHolds()) {
+        // The worker rewinds to a target behind it.
+        if (isRunning || target !== currentTick()) startClock(target);
+        return;
+    }
+    withSimulation(() => {
+        if (target > simulation.currentTime) {
+            startClock(target);
+        } else if (target < simulation.currentTime) {
+            rewindTo(target);
+        }
+    }, false);
+}
+
+// The worker pauses straight away on a complete run.
+function runToCompletion() {
+    if (workerHolds()) {
+        startClock(Infinity);
+        return;
+    }
+    withSimulation(() => {
+        if (!simulation.isComplete()) startClock(Infinity);
+    }, false);
+}
+
+function rewindTo(tick) {
+    if (isRunning) pauseSimulation();
+    if (workerHolds()) {
+        engineWorker.postMessage({ type: 'rewind', tick: Math.max(tick, -1) });
+        return;
+    }
+    withSimulation(() => {
+        rewindOnPage(Math.max(tick, -1));
+        updateUI();
+        drawChart();
+    }, false);
+}
+
+function rewindOnPage(tick) {
+    try {
+        simulation = checkpoints.rewind(simulation, tick);
+    } catch (err) {
+        renderSnapshotStatus(`❌ ${err.message}`, true);
+        return;
+    }
+    syncToolbar();
+}
+
+// -------------------------
+// Background Worker
+// -------------------------
+// With "Background worker" on, the simulation moves into engine/worker.js
+// when the clock first starts and stays there: the worker runs it, keeps the
+// rewind checkpoints from then on and posts the frames the page draws, so
+// pausing, stepping, rewinding and saving never move the whole simulation
+// between threads. The page's own `simulation` stays at the tick it was
+// handed over at; anything that changes it, or needs all of it, goes through
+// withSimulation(), which takes it back as a snapshot and hands it over again
+// afterwards. Ticks older than the worker's checkpoints rewind on the page,
+// from the page's own. If the worker cannot run (e.g. the page was opened
+// from a file, or a strategy registered on the page is unknown to it), the
+// clock falls back to the page.
+let engineWorker = null;
+// { runId, frame, history, historyStride, running, clock, pulling, resume, snapshotRequests }
+// while the worker holds the simulation
+let liveRun = null;
+let afterHandBack = []; // actions waiting for the worker to hand the simulation back
+let nextRunId = 1;
+let workerLineage = 1; // names the run the worker's checkpoints belong to; a reset or loaded snapshot starts a new one
+let frameRendering = false;
+
+function workerEnabled() {
+    return typeof Worker !== 'undefined' && document.getElementById('workerToggle').checked;
+}
+
+// Whether the worker holds the simulation and is not handing it back.
+function workerHolds() {
+    return Boolean(liveRun) && !liveRun.pulling;
+}
+
+// Hands the page's simulation to the worker; false if the worker cannot be used.
+function parkSimulation() {
+    try {
+        if (!engineWorker) {
+            engineWorker = new Worker('engine/worker.js');
+            engineWorker.onmessage = onWorkerMessage;
+            engineWorker.onerror = event => {
+                event.preventDefault();
+                workerFailed(event.message || 'it could not be started');
+            };
+        }
+        const history = {};
+        Object.keys(simulation.history).forEach(key => { history[key] = simulation.history[key].slice(); });
+        liveRun = {
+            runId: nextRunId++,
+            frame: null,
+            history,
+            historyStride: simulation.historyStride,
+            running: false,
+            clock: 0,
+            pulling: false,
+            resume: null,
+            snapshotRequests: []
+        };
+        engineWorker.postMessage({
+            type: 'load',
+            runId: liveRun.runId,
+            lineage: workerLineage,
+            snapshot: JSON.stringify(createSnapshot(simulation, snapshotMeta())),
+            checkpoints: CHECKPOINT_OPTIONS,
+            request: viewRequest()
+        });
+        return true;
+    } catch (err) {
+        liveRun = null;
+        disableWorker(err.message);
+        return false;
+    }
+}
+
+// Each run of the clock has its own id, so a pause the worker reports for
+// an earlier one is ignored.
+function runInWorker(target) {
+    liveRun.running = true;
+    liveRun.clock++;
+    engineWorker.postMessage({ type: 'run', clock: liveRun.clock, target, delay: clockSpeed().delay });
+}
+
+// Asks for a frame of what is now on screen (e.g. after scrolling); a
+// running worker sends one soon anyway.
+function refreshWorkerFrame() {
+    if (!liveRun.running) engineWorker.postMessage({ type: 'view', request: viewRequest(), refresh: true });
+}
+
+// Runs `action` against the page's simulation: straight away, or once the
+// worker handed it back. A run stopped for it carries on afterwards unless
+// `resume` is false.
+function withSimulation(action, resume = true) {
+    if (!liveRun) {
+        action();
+        return;
+    }
+    if (!resume) liveRun.resume = null;
+    else if (isRunning) liveRun.resume = { target: runTarget };
+    afterHandBack.push(action);
+    takeBack(false);
+}
+
+// With `release` the worker also sends its checkpoints and keeps no copy.
+function takeBack(release) {
+    if (liveRun.pulling) {
+        if (release) engineWorker.postMessage({ type: 'release' });
+        return;
+    }
+    stopClock();
+    liveRun.pulling = true;
+    engineWorker.postMessage({ type: 'handBack', release });
+}
+
+// Calls use(text, tick, algorithm) with the simulation as snapshot JSON,
+// which the worker writes itself while it holds the simulation.
+function snapshotText(use) {
+    if (workerHolds()) {
+        liveRun.snapshotRequests.push(use);
+        engineWorker.postMessage({ type: 'snapshot', meta: snapshotMeta() });
+        return;
+    }
+    withSimulation(() => use(JSON.stringify(createSnapshot(simulation, snapshotMeta())),
+        simulation.currentTime, simulation.algorithm));
+}
+
+// Throws away the worker's simulation and checkpoints when they are no
+// longer wanted (reset, snapshot load).
+function discardWorkerRun() {
+    workerLineage++;
+    if (!liveRun) return;
+    engineWorker.postMessage({ type: 'discard' });
+    liveRun = null;
+    afterHandBack = [];
+}
+
+// Messages from discarded runs are ignored.
+function onWorkerMessage(event) {
+    const message = event.data;
+    if (message.type === 'checkpoints') {
+        if (message.lineage === workerLineage) adoptCheckpoints(message.saved);
+        return;
+    }
+    if (!liveRun || message.runId !== liveRun.runId) return;
+    if (message.type === 'frame') {
+        showWorkerFrame(message.frame);
+    } else if (message.type === 'paused') {
+        showWorkerFrame(message.frame);
+        if (message.clock === liveRun.clock && liveRun.running) {
+            liveRun.running = false;
+            pauseSimulation();
+        }
+    } else if (message.type === 'snapshot') {
+        liveRun.snapshotRequests.shift()(message.text, message.tick, message.algorithm);
+    } else if (message.type === 'stopped') {
+        handBack(message.snapshot !== null ? restoreSnapshot(message.snapshot) : simulation, message.rewindTo);
+    } else if (message.type === 'error') {
+        workerFailed(message.message);
     }
 }
 
+function showWorkerFrame(frame) {
+    if (!frame.summary) frame.summary = liveRun.frame.summary;
+    liveRun.history = mergeHistory(liveRun.history, frame.history);
+    liveRun.historyStride = frame.history.stride;
+    liveRun.frame = frame;
+    if (!frameRendering) {
+        frameRendering = true;
+        requestAnimationFrame(renderWorkerFrame);
+    }
+}
+
+// Frames are drawn at most once per display frame; the worker sends the next
+// one only after this asks for it, so a slow page never falls behind.
+function renderWorkerFrame() {
+    frameRendering = false;
+    if (!liveRun || !liveRun.frame) return;
+    updateUI();
+    drawChart();
+    if (ganttHover) showGanttTooltip(ganttHover);
+    engineWorker.postMessage({ type: 'view', request: viewRequest() });
+}
+
+// The worker keeps its checkpoints, and the simulation goes back to it once
+// the queued actions ran, unless a run carries on or the worker was switched
+// off meanwhile. A rewind past the worker's checkpoints (`rewindTo`) happens
+// here, on the page's own copy.
+function handBack(restored, rewindTo) {
+    const { resume } = liveRun;
+    liveRun = null;
+    simulation = restored;
+    if (rewindTo !== null) {
+        stopClock();
+        rewindOnPage(rewindTo);
+    }
+    updateUI();
+    drawChart();
+
+    const actions = afterHandBack;
+    afterHandBack = [];
+    actions.forEach(action => action());
+    if (resume && !isRunning) {
+        startClock(resume.target);
+    } else if (!isRunning && workerEnabled()) {
+        if (actions.length && autosaveEnabled()) autosave();
+        parkSimulation();
+    }
+}
+
+// Checkpoints the worker released, for rewinding on the page. Ones after the
+// page's tick belong to a branch it has since left; on equal ticks the
+// page's own win.
+function adoptCheckpoints(saved) {
+    const kept = new Map(saved.filter(c => c.tick <= simulation.currentTime).map(c => [c.tick, c]));
+    checkpoints.saved.forEach(c => kept.set(c.tick, c));
+    checkpoints.keep(Array.from(kept.values()).sort((a, b) => a.tick - b.tick));
+}
+
+// The page's simulation is still at the tick it was handed over at.
+function workerFailed(reason) {
+    const resume = liveRun && (liveRun.resume || (isRunning ? { target: runTarget } : null));
+    liveRun = null;
+    stopClock();
+    disableWorker(reason);
+    updateUI();
+    drawChart();
+
+    const actions = afterHandBack;
+    afterHandBack = [];
+    actions.forEach(action => action());
+    if (resume && !isRunning) startClock(resume.target);
+}
+
+function disableWorker(reason) {
+    if (engineWorker) engineWorker.terminate();
+    engineWorker = null;
+    document.getElementById('workerToggle').checked = false;
+    renderSnapshotStatus(`⚠️ Background worker unavailable (${reason}); running on the page from tick ` +
+        `${Math.max(simulation.currentTime, 0)} instead`, true);
+}
+
+// Switching off takes the simulation and its checkpoints back to the page,
+// which carries on with a running clock; switching on hands a running
+// clock over to the worker.
+function toggleWorker() {
+    if (workerEnabled()) {
+        if (isRunning && !liveRun) startClock(runTarget);
+        return;
+    }
+    if (!liveRun) return;
+    if (isRunning) liveRun.resume = { target: runTarget };
+    takeBack(true);
+}
+
+// -------------------------
+// UI Update Functions
+// -------------------------
+// Everything below draws from a frame (engine/frame.js): the worker's latest
+// while it holds the run, otherwise one built from the page's simulation.
+function updateUI() {
+    const frame = liveRun && liveRun.frame ? liveRun.frame : createFrame(simulation, viewRequest());
+    const currentTime = frame.tick;
+    document.getElementById('timeDisplay').textContent = currentTime >= 0 ? currentTime : 0;
+    updateScenarioProgress(currentTime);
+    const oldest = checkpoints.oldestTick;
+    document.getElementById('rewindRange').textContent = `can rewind to tick ${Math.max(oldest, 0)}`;
+    document.getElementById('stepBackBtn').disabled = currentTime <= oldest;
+
+    const metrics = frame.metrics;
+    const summary = frame.summary;
+    document.getElementById('avgLoad').textContent = metrics.avgLoad;
+    document.getElementById('variance').textContent = metrics.variance;
+    document.getElementById('migrations').textContent = metrics.migrations;
+    document.getElementById('completed').textContent = summary.completed;
+    document.getElementById('contextSwitches').textContent = summary.contextSwitches;
+    document.getElementById('migrationTimeLost').textContent = summary.migrationTimeLost.total;
+
+    document.getElementById('meanWaiting').textContent = summary.waiting.mean;
+    document.getElementById('meanResponse').textContent = summary.response.mean;
+    document.getElementById('meanTurnaround').textContent = summary.turnaround.mean;
+    document.getElementById('utilization').textContent = `${(summary.utilization.mean * 100).toFixed(1)}%`;
+    document.getElementById('throughput').textContent = summary.throughput.overall;
+    document.getElementById('throughputDetail').textContent =
+        `per tick · last ${summary.throughput.window} ticks: ${summary.throughput.recent}`;
+    document.getElementById('makespan').textContent = summary.makespan !== null ? summary.makespan : '–';
+    document.getElementById('fairness').textContent = summary.fairness.processes.toFixed(2);
+    document.getElementById('fairnessDetail').textContent =
+        `processes · processors: ${summary.fairness.processors.toFixed(2)}`;
+    const recovery = summary.recovery;
+    document.getElementById('recovery').textContent = recovery.meanTime !== null ? recovery.meanTime : '–';
+    document.getElementById('recoveryDetail').textContent = recovery.disturbances
+        ? `${recovery.recovered} of ${recovery.disturbances} recovered · ${recovery.displaced} displaced · ${recovery.workLost} work lost`
+        : 'no failures yet';
+    const admission = summary.resources.admission;
+    const levels = summary.resources.levels;
+    document.getElementById('admissionQueue').textContent = admission.queued;
+    document.getElementById('admissionDetail').textContent = [
+        admission.delayed ? `${admission.delayed} delayed · mean wait ${admission.meanWait}` : 'no waits yet',
+        ...(admission.rejected ? [`${admission.rejected} rejected`] : []),
+        ...Object.keys(levels).map(name => `${name} ${(levels[name].final * 100).toFixed(0)}% used`)
+    ].join(' · ');
+    const io = summary.io;
+    document.getElementById('blocked').textContent = io.blocked;
+    document.getElementById('blockedDetail').textContent = io.processes
+        ? `${io.bursts} I/O bursts · ${io.time} ticks · ${io.moved} placed elsewhere`
+        : 'no I/O-bound processes';
+    updateBalancingReadout(summary.balancing);
+    const energy = summary.energy;
+    const powerTicks = energy.stateTicks.active + energy.stateTicks.idle + energy.stateTicks.sleep;
+    document.getElementById('energy').textContent = formatEnergy(energy.total);
+    document.getElementById('energyDetail').textContent =
+        `mean ${energy.meanPower} W · ${powerTicks ? ((energy.stateTicks.sleep / powerTicks) * 100).toFixed(0) : 0}% of processor-ticks asleep · ` +
+        `${energy.wakeUps} wake-ups`;
+    document.getElementById('edp').textContent = energy.edp.toExponential(2);
+    document.getElementById('edpDetail').textContent = summary.makespan !== null
+        ? `J × makespan ${summary.makespan}`
+        : `J × ${Math.max(currentTime + 1, 0)} ticks so far`;
+
+    updateProcessorsGrid(frame);
+    updateProcessTable(frame.processes);
+    drawGantt(frame.timeline, frame.tick);
+    updateEventLog(frame.events);
+}
+
+// What the next frame should cover, from what is on screen.
+function viewRequest() {
+    const count = liveRun && liveRun.frame ? liveRun.frame.processors.count : simulation.numProcessors;
+    let details = Array.from({ length: count }, (_, id) => id);
+    if (count > RING_CARD_LIMIT) details = selectedProcessor !== null ? [selectedProcessor] : [];
+    return {
+        details,
+        processes: visibleRows('processTableScroll'),
+        events: eventLogRequest(),
+        timeline: ganttRequest(),
+        history: liveRun ? { stride: liveRun.historyStride, length: liveRun.history.time.length } : undefined,
+        process: liveRun && ganttHoverProcess !== null ? ganttHoverProcess : undefined
+    };
+}
+
+// Live balancing settings (a run summary's `balancing`); with auto-tune on,
+// also what the controller last observed and did.
+function updateBalancingReadout(balancing) {
+    document.getElementById('balancingReadout').textContent = balancing.threshold;
+    const parts = [`every ${balancing.interval} tick(s)`];
+    const tuning = balancing.autoTune;
+    if (tuning) {
+        parts.push(tuning.budget !== null ? `up to ${tuning.budget} move(s) last round` : `up to ${tuning.settings.maxMoves} moves`);
+        parts.push(tuning.imbalance !== null
+            ? `auto: ${tuning.action} · imbalance ${tuning.imbalance} · churn ${tuning.churn}`
+            : 'auto: waiting for the first round');
+    } else {
+        parts.push(`up to ${balancing.moves} move(s) · fixed`);
+    }
+    document.getElementById('balancingDetail').textContent = parts.join(' · ');
+}
+
+// Cards are built once per processor and then updated in place, so the
+// per-card scheduler select keeps focus while the simulation runs. They are
+// grouped by topology node and rebuilt only when the grouping changes. Pools
+// larger than RING_CARD_LIMIT get a heatmap instead.
+const RING_CARD_LIMIT = 16;
+const DISTANCE_MATRIX_LIMIT = 64;
+let renderedTopology = null;
+
+function updateProcessorsGrid(frame) {
+    const grid = document.getElementById('processorsGrid');
+    const processors = frame.processors;
+    const heatmap = processors.count > RING_CARD_LIMIT;
+    const layout = heatmap ? 'heatmap' : processors.node.join(',');
+
+    if (grid.dataset.layout !== layout) {
+        grid.innerHTML = '';
+        grid.dataset.layout = layout;
+        if (heatmap) {
+            buildHeatmap(grid);
+        } else {
+            const nodes = [];
+            processors.node.forEach((node, id) => {
+                nodes[node] = nodes[node] || [];
+                nodes[node].push(id);
+            });
+            nodes.forEach((ids, node) => grid.appendChild(buildNodeGroup(node, ids, nodes.length > 1)));
+        }
+    }
+
+    if (heatmap) {
+        drawHeatmap(processors);
+        renderProcessorDetail(frame.details.find(info => info.id === selectedProcessor));
+    } else {
+        frame.details.forEach(info => updateProcessorCard(grid.querySelector(`[data-processor="${info.id}"]`), info));
+    }
+    if (!liveRun && renderedTopology !== simulation.topology) renderDistanceMatrix();
+}
+
+function buildNodeGroup(node, ids, titled) {
+    const group = document.createElement('div');
+    group.className = titled ? 'node-group titled' : 'node-group';
+    if (titled) {
+        const title = document.createElement('div');
+        title.className = 'node-title';
+        title.textContent = `Node ${node} · ${describeCpus(ids)}`;
+        group.appendChild(title);
+    }
+    const cards = document.createElement('div');
+    cards.className = 'processors-grid';
+    ids.forEach(id => cards.appendChild(buildProcessorCard(id)));
+    group.appendChild(cards);
+    return group;
+}
+
+function describeCpus(ids) {
+    const contiguous = ids.every((id, i) => i === 0 || id === ids[i - 1] + 1);
+    return ids.length === 1 ? `CPU ${ids[0]}`
+        : contiguous ? `CPU ${ids[0]}–${ids[ids.length - 1]}` : `CPU ${ids.join(', ')}`;
+}
+
+// Large pools only get the topology summary; their matrix would not fit.
+function renderDistanceMatrix() {
+    const topology = simulation.topology;
+    renderedTopology = topology;
+    document.getElementById('topologySummary').textContent = describeTopology(topology.spec);
+    const matrix = document.getElementById('distanceMatrix');
+    if (topology.distances.length > DISTANCE_MATRIX_LIMIT) {
+        matrix.innerHTML = `<caption>Not listed for more than ${DISTANCE_MATRIX_LIMIT} processors</caption>`;
+        return;
+    }
+    const header = topology.distances.map((_, j) => `<th>${j}</th>`).join('');
+    const rows = topology.distances.map((row, i) =>
+        `<tr><th>${i}</th>${row.map(d => `<td class="${d > 1 ? 'remote' : ''}">${d}</td>`).join('')}</tr>`).join('');
+    matrix.innerHTML = `<thead><tr><th></th>${header}</tr></thead><tbody>${rows}</tbody>`;
+}
+
+// -------------------------
+// Processor Heatmap
+// -------------------------
+// One cell per processor, grouped by node and colored by load level (green
+// to red); asleep processors are blue and offline ones dark red. Hovering a
+// cell shows its numbers and clicking it shows its card below the heatmap.
+const HEATMAP_CELL = 14;
+const HEATMAP_GAP = 2;
+const HEATMAP_TITLE_HEIGHT = 18;
+let selectedProcessor = null;
+let heatmapState = null; // { processors, blocks: [{ node, top, ids }], perRow } as last drawn
+
+function buildHeatmap(grid) {
+    grid.innerHTML = `
+        <canvas class="processor-heatmap" id="processorHeatmap"></canvas>
+        <div class="heatmap-legend">
+            <span class="heatmap-scale"></span> load 0–100% ·
+            <span class="heatmap-swatch asleep"></span> asleep ·
+            <span class="heatmap-swatch offline"></span> offline · click a processor for its details
+        </div>
+        <div class="processor-detail" id="processorDetail"></div>
+    `;
+    const canvas = document.getElementById('processorHeatmap');
+    const tooltip = document.getElementById('heatmapTooltip');
+    canvas.addEventListener('mousemove', event => {
+        const id = heatmapProcessorAt(event.offsetX, event.offsetY);
+        if (id === null) {
+            tooltip.style.display = 'none';
+            return;
+        }
+        const { processors } = heatmapState;
+        const power = Object.keys(POWER_CODES).find(state => POWER_CODES[state] === processors.power[id]);
+        tooltip.innerHTML = `
+            <strong>CPU ${id}</strong> · node ${processors.node[id]}<br>
+            Load ${(processors.level[id] * 100).toFixed(0)}% · drains in ${processors.drain[id].toFixed(1)} ticks<br>
+            ${processors.queued[id]} queued · ${processors.online[id] ? power : 'offline'}
+        `;
+        tooltip.style.left = `${event.clientX + 12}px`;
+        tooltip.style.top = `${event.clientY + 12}px`;
+        tooltip.style.display = 'block';
+    });
+    canvas.addEventListener('mouseleave', () => {
+        tooltip.style.display = 'none';
+    });
+    canvas.addEventListener('click', event => selectProcessor(heatmapProcessorAt(event.offsetX, event.offsetY)));
+}
+
+function drawHeatmap(processors) {
+    const canvas = document.getElementById('processorHeatmap');
+    const pitch = HEATMAP_CELL + HEATMAP_GAP;
+    const perRow = Math.max(1, Math.floor(canvas.offsetWidth / pitch));
+    const nodes = [];
+    processors.node.forEach((node, id) => {
+        nodes[node] = nodes[node] || [];
+        nodes[node].push(id);
+    });
+    const titled = nodes.filter(Boolean).length > 1;
+    const blocks = [];
+    let top = 0;
+    nodes.forEach((ids, node) => {
+        if (titled) top += HEATMAP_TITLE_HEIGHT;
+        blocks.push({ node, top, ids });
+        top += Math.ceil(ids.length / perRow) * pitch + (titled ? 6 : 0);
+    });
+    heatmapState = { processors, blocks, perRow };
+
+    canvas.width = canvas.offsetWidth;
+    canvas.height = top;
+    const ctx = canvas.getContext('2d');
+    ctx.font = '12px Arial';
+    blocks.forEach(block => {
+        if (titled) {
+            ctx.fillStyle = '#9ca3af';
+            ctx.fillText(`Node ${block.node} · ${describeCpus(block.ids)}`, 0, block.top - 5);
+        }
+        block.ids.forEach((id, i) => {
+            const x = (i % perRow) * pitch;
+            const y = block.top + Math.floor(i / perRow) * pitch;
+            ctx.fillStyle = heatmapColor(processors, id);
+            ctx.fillRect(x, y, HEATMAP_CELL, HEATMAP_CELL);
+            if (id === selectedProcessor) {
+                ctx.strokeStyle = '#f9fafb';
+                ctx.lineWidth = 2;
+                ctx.strokeRect(x + 1, y + 1, HEATMAP_CELL - 2, HEATMAP_CELL - 2);
+            }
+        });
+    });
+}
+
+function heatmapColor(processors, id) {
+    if (!processors.online[id]) return '#7f1d1d';
+    if (processors.power[id] === POWER_CODES.sleep) return '#1d4ed8';
+    const level = Math.min(processors.level[id], 1);
+    return `hsl(${120 - level * 120}, 70%, ${32 + level * 14}%)`;
+}
+
+function heatmapProcessorAt(x, y) {
+    if (!heatmapState) return null;
+    const { blocks, perRow } = heatmapState;
+    const pitch = HEATMAP_CELL + HEATMAP_GAP;
+    const col = Math.floor(x / pitch);
+    if (col >= perRow) return null;
+    const block = blocks.find(b => y >= b.top && y < b.top + Math.ceil(b.ids.length / perRow) * pitch);
+    if (!block) return null;
+    const id = block.ids[Math.floor((y - block.top) / pitch) * perRow + col];
+    return id === undefined ? null : id;
+}
+
+// Clicking the selected processor again hides its card.
+function selectProcessor(id) {
+    if (id === null) return;
+    selectedProcessor = id === selectedProcessor ? null : id;
+    drawHeatmap(heatmapState.processors);
+    if (liveRun) {
+        refreshWorkerFrame(); // the next frame describes it
+        return;
+    }
+    const processor = simulation.loadBalancer.pool[selectedProcessor];
+    renderProcessorDetail(processor ? describeProcessor(processor) : null);
+}
+
+function renderProcessorDetail(info) {
+    const detail = document.getElementById('processorDetail');
+    if (!info) {
+        detail.innerHTML = '';
+        return;
+    }
+    let card = detail.firstElementChild;
+    if (!card || Number(card.dataset.processor) !== info.id) {
+        detail.innerHTML = '';
+        card = detail.appendChild(buildProcessorCard(info.id));
+    }
+    updateProcessorCard(card, info);
+}
+
+const RING_RADIUS = 70;
+const RING_CIRCUMFERENCE = 2 * Math.PI * RING_RADIUS;
+
+function buildProcessorCard(idx) {
+    const schedulerOptions = Object.keys(SCHEDULERS)
+        .map(type => `<option value="${type}">${SCHEDULERS[type].label}</option>`)
+        .join('');
+
+    const card = document.createElement('div');
+    card.className = 'processor-card';
+    card.dataset.processor = idx;
+    card.innerHTML = `
+        <div class="processor-title">Processor ${idx}</div>
+        <div class="circular-progress">
+            <svg>
+                <circle class="circle-bg" cx="80" cy="80" r="${RING_RADIUS}"></circle>
+                <circle 
+                    class="circle-progress" 
+                    cx="80" 
+                    cy="80" 
+                    r="${RING_RADIUS}"
+                    style="stroke-dasharray: ${RING_CIRCUMFERENCE}; stroke-dashoffset: ${RING_CIRCUMFERENCE};"
+                ></circle>
+            </svg>
+            <div class="progress-text">0%</div>
+        </div>
+        <div class="processor-stats">
+            <div>Load: <span class="stat-highlight" data-field="load"></span></div>
+            <div>Speed: <span class="stat-highlight" data-field="speed"></span></div>
+            <div>Processes: <span class="stat-highlight" data-field="processes"></span></div>
+            <div>Context Switches: <span class="stat-highlight" data-field="switches"></span></div>
+            <div>Utilization: <span class="stat-highlight" data-field="utilization"></span></div>
+            <div>Busy / Idle: <span class="stat-highlight" data-field="busyIdle"></span></div>
+            <div>Offline: <span class="stat-highlight" data-field="down"></span></div>
+            <div>Power: <span class="stat-highlight" data-field="energy"></span></div>
+            <div data-field="resourceRow">Resources: <span class="stat-highlight" data-field="resources"></span></div>
+            <select class="processor-scheduler" onchange="changeProcessorScheduler(${idx}, this.value)">
+                ${schedulerOptions}
+            </select>
+            <button class="btn-reset processor-power" data-field="power" onclick="toggleProcessorOnline(${idx})"></button>
+        </div>
+    `;
+    return card;
+}
+
+// The ring shows queued work against capacity; utilization (busy/elapsed) is
+// listed below it. `info` is a processor as described by describeProcessor().
+function updateProcessorCard(card, info) {
+    const loadLevel = info.loadLevel * 100;
+    const colorClass = loadLevel < 40 ? 'green' : loadLevel < 70 ? 'yellow' : 'red';
+    const offset = RING_CIRCUMFERENCE - (loadLevel / 100) * RING_CIRCUMFERENCE;
+
+    const ring = card.querySelector('.circle-progress');
+    ring.setAttribute('class', `circle-progress ${colorClass}`);
+    ring.style.strokeDashoffset = offset;
+    card.querySelector('.progress-text').textContent = `${loadLevel.toFixed(0)}%`;
+
+    card.querySelector('[data-field="load"]').textContent = info.load;
+    card.querySelector('[data-field="speed"]').textContent = `${info.speed}×`;
+    card.querySelector('[data-field="processes"]').textContent = info.queued;
+    card.querySelector('[data-field="switches"]').textContent = info.contextSwitches;
+    card.querySelector('[data-field="utilization"]').textContent = `${(info.utilization * 100).toFixed(1)}%`;
+    card.querySelector('[data-field="busyIdle"]').textContent = `${info.busyTicks} / ${info.idleTicks}`;
+    card.querySelector('[data-field="down"]').textContent = `${info.downTicks} ticks`;
+    const limited = Object.keys(info.capacity);
+    card.querySelector('[data-field="resourceRow"]').style.display = limited.length ? '' : 'none';
+    card.querySelector('[data-field="resources"]').textContent = limited
+        .map(name => `${name} ${info.used[name] || 0}/${info.capacity[name]}`).join(' · ');
+    card.querySelector('[data-field="energy"]').textContent = info.online
+        ? `${info.powerState} @ ${info.frequency}× · ${formatEnergy(info.energy)}`
+        : `off · ${formatEnergy(info.energy)}`;
+    card.querySelector('[data-field="power"]').textContent = info.online ? '⏻ Fail' : '⏻ Recover';
+    card.classList.toggle('offline', !info.online);
+    card.classList.toggle('asleep', info.online && info.powerState === 'sleep');
+
+    const select = card.querySelector('.processor-scheduler');
+    if (document.activeElement !== select) select.value = info.scheduler.type;
+    select.title = describeScheduler(info.scheduler);
+}
+
+// -------------------------
+// Execution Timeline
+// -------------------------
+const GANTT_LABEL_WIDTH = 60;
+const GANTT_AXIS_HEIGHT = 24;
+const GANTT_LANE_HEIGHT = 26;
+const GANTT_LANE_GAP = 6;
+const GANTT_TICK_STEPS = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000];
+const GANTT_MAX_HEIGHT = 480; // px of lanes and axis in view; more lanes scroll
+
+function processColor(id) {
+    return `hsl(${(id * 137.508) % 360}, 60%, 55%)`;
+}
+
+function ganttLaneY(lane) {
+    return GANTT_AXIS_HEIGHT + lane * (GANTT_LANE_HEIGHT + GANTT_LANE_GAP);
+}
+
+// The canvas only covers the visible part of the timeline, lanes as well as
+// ticks; a spacer gives the scroll container the full size and the canvas
+// is redrawn on scroll. `timeline` is a timelineWindow() of it.
+function drawGantt(timeline = currentTimelineWindow(), currentTime = currentTick()) {
+    const canvas = document.getElementById('ganttCanvas');
+    const scroll = document.getElementById('ganttScroll');
+    if (!canvas || !canvas.getContext) return;
+
+    const { lanes, migrations, outages } = timeline;
+    const pxPerTick = Number(document.getElementById('ganttZoom').value);
+    const ticks = Math.max(currentTime + 1, 1);
+    const fullHeight = ganttLaneY(lanes.length);
+    const ctx = canvas.getContext('2d');
+    canvas.width = scroll.clientWidth;
+    canvas.height = Math.min(fullHeight, GANTT_MAX_HEIGHT);
+    const spacer = document.getElementById('ganttSpacer');
+    spacer.style.width = `${GANTT_LABEL_WIDTH + ticks * pxPerTick + 20}px`;
+    spacer.style.height = `${Math.max(fullHeight - canvas.height, 1)}px`;
+    if (document.getElementById('ganttFollow').checked) {
+        scroll.scrollLeft = scroll.scrollWidth;
+    }
+
+    const width = canvas.width;
+    const t0 = scroll.scrollLeft / pxPerTick;
+    const t1 = t0 + (width - GANTT_LABEL_WIDTH) / pxPerTick;
+    const x = t => GANTT_LABEL_WIDTH + (t - t0) * pxPerTick;
+    const y = lane => ganttLaneY(lane) - scroll.scrollTop;
+    const { firstLane, laneCount } = visibleLanes(canvas.height);
+    const lastLane = Math.min(firstLane + laneCount, lanes.length);
+
+    ctx.clearRect(0, 0, width, canvas.height);
+
+    // Time axis
+    const step = GANTT_TICK_STEPS.find(s => s * pxPerTick >= 60) || GANTT_TICK_STEPS[GANTT_TICK_STEPS.length - 1];
+    ctx.font = '11px Arial';
+    ctx.textAlign = 'center';
+    for (let t = Math.ceil(t0 / step) * step; t <= t1; t += step) {
+        ctx.fillStyle = '#9ca3af';
+        ctx.fillText(t, x(t), 14);
+        ctx.fillStyle = '#1f2937';
+        ctx.fillRect(x(t), GANTT_AXIS_HEIGHT - 4, 1, canvas.height);
+    }
+
+    // Lanes scroll under the axis
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, GANTT_AXIS_HEIGHT - 4, width, canvas.height);
+    ctx.clip();
+
+    // Lanes and execution segments
+    ctx.textAlign = 'left';
+    for (let lane = firstLane; lane < lastLane; lane++) {
+        const segments = lanes[lane];
+        const top = y(lane);
+        ctx.fillStyle = '#374151';
+        ctx.fillRect(GANTT_LABEL_WIDTH, top, width - GANTT_LABEL_WIDTH, GANTT_LANE_HEIGHT);
+
+        for (let i = firstSegmentEndingAfter(segments, t0); i < segments.length && segments[i].start <= t1; i++) {
+            const segment = segments[i];
+            const left = Math.max(x(segment.start), GANTT_LABEL_WIDTH);
+            const right = x(segment.end);
+            ctx.fillStyle = processColor(segment.processId);
+            ctx.fillRect(left, top + 2, Math.max(right - left - 1, 1), GANTT_LANE_HEIGHT - 4);
+            if (right - left > 28) {
+                ctx.fillStyle = '#111827';
+                ctx.fillText(`P${segment.processId}`, left + 4, top + GANTT_LANE_HEIGHT / 2 + 4);
+            }
+        }
+    }
+
+    // Offline spans are hatched in red
+    outages.forEach(o => {
+        if (o.end < t0 || o.start > t1 || o.processor < firstLane || o.processor >= lastLane) return;
+        const left = Math.max(x(o.start), GANTT_LABEL_WIDTH);
+        const top = y(o.processor);
+        ctx.fillStyle = 'rgba(239, 68, 68, 0.25)';
+        ctx.fillRect(left, top, x(o.end) - left, GANTT_LANE_HEIGHT);
+        ctx.fillStyle = '#fca5a5';
+        if (x(o.end) - left > 50) ctx.fillText('offline', left + 4, top + GANTT_LANE_HEIGHT / 2 + 4);
+    });
+
+    // Migrations leave at the end of the balancing tick and land when the transfer ends.
+    ctx.strokeStyle = '#f9fafb';
+    ctx.fillStyle = '#f9fafb';
+    ctx.lineWidth = 1.5;
+    migrations.forEach(m => {
+        if (m.arrivesAt < t0 || m.time + 1 > t1) return;
+        const fromX = x(m.time + 1);
+        const toX = x(m.arrivesAt);
+        const fromY = y(m.from) + GANTT_LANE_HEIGHT / 2;
+        const toY = y(m.to) + GANTT_LANE_HEIGHT / 2;
+        ctx.beginPath();
+        ctx.moveTo(fromX, fromY);
+        ctx.lineTo(toX, toY);
+        ctx.stroke();
+        const angle = Math.atan2(toY - fromY, toX - fromX);
+        ctx.beginPath();
+        ctx.moveTo(toX, toY);
+        ctx.lineTo(toX - 7 * Math.cos(angle - 0.4), toY - 7 * Math.sin(angle - 0.4));
+        ctx.lineTo(toX - 7 * Math.cos(angle + 0.4), toY - 7 * Math.sin(angle + 0.4));
+        ctx.closePath();
+        ctx.fill();
+    });
+    ctx.restore();
+
+    // Current tick marker
+    if (currentTime >= 0) {
+        ctx.fillStyle = '#ef4444';
+        ctx.fillRect(x(currentTime + 1), GANTT_AXIS_HEIGHT - 4, 2, canvas.height);
+    }
+
+    // Lane labels stay fixed on the left
+    ctx.fillStyle = '#111827';
+    ctx.fillRect(0, 0, GANTT_LABEL_WIDTH, canvas.height);
+    ctx.fillStyle = '#d1d5db';
+    ctx.font = '12px Arial';
+    for (let lane = firstLane; lane < lastLane; lane++) {
+        const labelY = y(lane) + GANTT_LANE_HEIGHT / 2 + 4;
+        if (labelY > GANTT_AXIS_HEIGHT) ctx.fillText(`CPU ${lane}`, 8, labelY);
+    }
+}
+
+function visibleLanes(height) {
+    const pitch = GANTT_LANE_HEIGHT + GANTT_LANE_GAP;
+    return {
+        firstLane: Math.floor(document.getElementById('ganttScroll').scrollTop / pitch),
+        laneCount: Math.ceil(height / pitch) + 1
+    };
+}
+
+// The part of the timeline in view, as a timeline window request.
+function ganttRequest() {
+    const scroll = document.getElementById('ganttScroll');
+    const pxPerTick = Number(document.getElementById('ganttZoom').value);
+    return Object.assign({
+        start: Math.floor(scroll.scrollLeft / pxPerTick),
+        span: Math.ceil((scroll.clientWidth - GANTT_LABEL_WIDTH) / pxPerTick) + 2,
+        follow: document.getElementById('ganttFollow').checked
+    }, visibleLanes(GANTT_MAX_HEIGHT));
+}
+
+function currentTimelineWindow() {
+    return liveRun && liveRun.frame ? liveRun.frame.timeline : timelineWindow(simulation, ganttRequest());
+}
+
+function currentTick() {
+    return liveRun && liveRun.frame ? liveRun.frame.tick : simulation.currentTime;
+}
+
+// Scrolling back through the run stops the view from following the current tick.
+function onGanttScroll() {
+    const scroll = document.getElementById('ganttScroll');
+    const follow = document.getElementById('ganttFollow');
+    if (follow.checked && scroll.scrollLeft + scroll.clientWidth < scroll.scrollWidth - 2) {
+        follow.checked = false;
+    }
+    redrawGantt();
+}
+
+// While the worker holds the simulation, its next frame brings the new window.
+function redrawGantt() {
+    drawGantt();
+    if (liveRun) refreshWorkerFrame();
+}
+
+let ganttHover = null; // the last pointer event over the chart, redrawn with each worker frame
+let ganttHoverProcess = null; // the process id worker frames describe for the tooltip
+
+// While the worker holds the simulation, the process under the pointer is
+// described by its next frame.
+function setupGanttHover() {
+    const canvas = document.getElementById('ganttCanvas');
+    canvas.addEventListener('mousemove', event => {
+        ganttHover = event;
+        showGanttTooltip(event);
+    });
+    canvas.addEventListener('mouseleave', () => {
+        ganttHover = null;
+        document.getElementById('ganttTooltip').style.display = 'none';
+    });
+}
+
+function showGanttTooltip(event) {
+    const canvas = document.getElementById('ganttCanvas');
+    const tooltip = document.getElementById('ganttTooltip');
+    const rect = canvas.getBoundingClientRect();
+    const mouseX = event.clientX - rect.left;
+    const mouseY = event.clientY - rect.top;
+    const scroll = document.getElementById('ganttScroll');
+    const lane = Math.floor((mouseY - GANTT_AXIS_HEIGHT + scroll.scrollTop) / (GANTT_LANE_HEIGHT + GANTT_LANE_GAP));
+    const segments = mouseY > GANTT_AXIS_HEIGHT ? currentTimelineWindow().lanes[lane] : null;
+    const pxPerTick = Number(document.getElementById('ganttZoom').value);
+    const t = scroll.scrollLeft / pxPerTick + (mouseX - GANTT_LABEL_WIDTH) / pxPerTick;
+    const segment = segments && mouseX > GANTT_LABEL_WIDTH ? segments[firstSegmentEndingAfter(segments, t)] : null;
+
+    if (!segment || segment.start > t) {
+        tooltip.style.display = 'none';
+        return;
+    }
+    const process = hoveredProcess(segment.processId);
+    tooltip.innerHTML = `
+        <strong>P${segment.processId}</strong> on CPU ${lane}<br>
+        Ran ${formatTick(segment.start)}–${formatTick(segment.end)}<br>
+    ` + (process ? `
+        Arrival ${process.arrivalTime} · Burst ${process.burstTime} · Priority ${process.priority}<br>
+        Waited ${process.waitingTime} · Migrations ${process.migrations}<br>
+        ${process.bursts ? `CPU/I/O bursts ${process.bursts.join(' ')} · ${process.ioTime} ticks of I/O<br>` : ''}
+        ${process.state === 'TERMINATED' ? `Completed at ${process.completionTime}` : `${process.state} · ${process.remainingTime} remaining`}
+    ` : '');
+    tooltip.style.left = `${event.clientX + 12}px`;
+    tooltip.style.top = `${event.clientY + 12}px`;
+    tooltip.style.display = 'block';
+}
+
+// Null while the worker's frame for a newly hovered process is on its way.
+function hoveredProcess(id) {
+    if (!liveRun) return simulation.processes.find(p => p.id === id);
+    const frame = liveRun.frame;
+    if (frame && frame.process && frame.process.id === id) return frame.process;
+    if (ganttHoverProcess !== id) {
+        ganttHoverProcess = id;
+        refreshWorkerFrame();
+    }
+    return null;
+}
+
+function formatTick(t) {
+    return Number.isInteger(t) ? t : t.toFixed(2);
+}
+
+// -------------------------
+// Event Log
+// -------------------------
+// The event log and the process table are virtualized: rows have a fixed
+// height, only those in view (plus a margin) are rendered and spacer rows
+// stand in for the rest.
+const TABLE_ROW_HEIGHT = 44; // px, matches .virtual-table rows
+const TABLE_VIEW_HEIGHT = 420; // px, matches .virtual-scroll
+const TABLE_OVERSCAN = 10;
+
+function initializeEventFilters() {
+    const container = document.getElementById('eventTypeFilters');
+    EVENT_TYPES.forEach(type => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = type;
+        checkbox.checked = true;
+        checkbox.onchange = refreshEventLog;
+        label.append(checkbox, ` ${type}`);
+        container.appendChild(label);
+    });
+}
+
+function readOptionalInt(id) {
+    const value = document.getElementById(id).value.trim();
+    return value === '' ? null : Number(value);
+}
+
+// Rows of a virtual table's scroll container that are in view, as { offset, count }.
+function visibleRows(scrollId) {
+    const first = Math.floor(document.getElementById(scrollId).scrollTop / TABLE_ROW_HEIGHT);
+    return {
+        offset: Math.max(0, first - TABLE_OVERSCAN),
+        count: Math.ceil(TABLE_VIEW_HEIGHT / TABLE_ROW_HEIGHT) + 2 * TABLE_OVERSCAN
+    };
+}
+
+function renderVirtualRows(tbody, page, columns, renderRow) {
+    const spacer = rows => rows > 0
+        ? `<tr class="spacer" style="height: ${rows * TABLE_ROW_HEIGHT}px"><td colspan="${columns}"></td></tr>`
+        : '';
+    const total = page.matched !== undefined ? page.matched : page.total;
+    tbody.innerHTML = spacer(page.offset) + page.rows.map(renderRow).join('') +
+        spacer(total - page.offset - page.rows.length);
+}
+
+function eventLogRequest() {
+    const types = [...document.querySelectorAll('#eventTypeFilters input:checked')].map(c => c.value);
+    return Object.assign(visibleRows('eventLogScroll'), {
+        types: types.length === EVENT_TYPES.length ? null : types,
+        processId: readOptionalInt('eventProcessFilter'),
+        processor: readOptionalInt('eventProcessorFilter')
+    });
+}
+
+// A filter change starts again from the newest event.
+function refreshEventLog() {
+    document.getElementById('eventLogScroll').scrollTop = 0;
+    onEventLogScroll();
+}
+
+// While the worker holds the simulation, the next frame brings the rows in view.
+function onEventLogScroll() {
+    if (liveRun) refreshWorkerFrame();
+    else updateEventLog(eventPage(simulation.events, eventLogRequest()));
+}
+
+// `page` is an eventPage(): matching events, newest first.
+function updateEventLog(page) {
+    document.getElementById('eventCount').textContent = `${page.matched} of ${page.total} events`;
+    renderVirtualRows(document.getElementById('eventLogBody'), page, 6, e => {
+        const processors = e.target !== null ? `CPU ${e.processor} → CPU ${e.target}` : e.processor !== null ? `CPU ${e.processor}` : '-';
+        const loads = [
+            e.load !== null ? (e.targetLoad !== null ? `${e.load} → ${e.targetLoad}` : `${e.load}`) : '',
+            e.gap !== null ? `gap ${e.gap} vs threshold ${e.threshold}` : ''
+        ].filter(Boolean).join(' · ');
+        return `<tr>
+            <td>${e.tick}</td>
+            <td><span class="event-badge event-${e.type}">${e.type}</span></td>
+            <td>${e.processId !== null ? `P${e.processId}` : '-'}</td>
+            <td>${processors}</td>
+            <td>${loads || '-'}</td>
+            <td>${e.reason || ''}</td>
+        </tr>`;
+    });
+}
+
+const STATE_CLASSES = {
+    RUNNING: 'state-running',
+    READY: 'state-ready',
+    MIGRATING: 'state-migrating',
+    BLOCKED: 'state-blocked',
+    PENDING: 'state-pending',
+    NEW: 'state-new'
+};
+
+// Blocked processes are on no processor; they show where they last ran.
+function processLocation(process) {
+    if (process.state === 'PENDING') return 'admission queue';
+    if (process.assignedProcessor === null) return '-';
+    if (process.state === 'BLOCKED') return `I/O until ${process.ioReadyAt} (CPU ${process.assignedProcessor})`;
+    return `${process.state === 'MIGRATING' ? '→ ' : ''}CPU ${process.assignedProcessor}`;
+}
+
+function onProcessTableScroll() {
+    if (liveRun) refreshWorkerFrame();
+    else updateProcessTable(processPage(simulation.processes, visibleRows('processTableScroll')));
+}
+
+// `page` is a processPage(): processes that have not terminated, by id.
+function updateProcessTable(page) {
+    renderVirtualRows(document.getElementById('processTable'), page, 7, process => `<tr>
+        <td>P${process.id}</td>
+        <td>${process.arrivalTime}</td>
+        <td>${process.burstTime}</td>
+        <td title="${process.bursts ? `${process.burstRemaining} left in this CPU burst` : ''}">${process.remainingTime}</td>
+        <td>${process.waitingTime}</td>
+        <td>${processLocation(process)}</td>
+        <td><span class="state-badge ${STATE_CLASSES[process.state] || 'state-new'}">${process.state}</span></td>
+    </tr>`);
+}
+
+// -------------------------
+// Control Functions
+// -------------------------
+function toggleSimulation() {
+    if (isRunning) {
+        pauseSimulation();
+    } else {
+        startClock();
+    }
+}
+
+function resetSimulation() {
+    stopClock();
+    discardWorkerRun();
+    initializeSystem();
+}
+
+function addProcess() {
+    withSimulation(() => {
+        simulation.addRandomProcess();
+        checkpointManualChange();
+        updateUI();
+    });
+}
+
+function newSeed() {
+    document.getElementById('seedInput').value = randomSeed();
+    resetSimulation();
+}
+
+function changeAlgorithm() {
+    stopClock();
+    const algo = document.getElementById('algorithmSelect').value;
+    withSimulation(() => {
+        simulation.setAlgorithm(algo);
+        checkpointManualChange();
+        updateUI();
+    }, false);
+}
+
 // -------------------------
-// Processor Class
+// Comparison Mode
 // -------------------------
-class Processor {
-    constructor(id) {
-        this.id = id;
-        this.processes = [];
-        this.currentLoad = 0;
-        this.totalExecutionTime = 0;
+const DEFAULT_COMPARED = ['static', 'dynamic', 'adaptive'];
+const COMPARISON_MAX_TICKS = 10000; // same limit as the CLI, for runs that never complete
+let comparison = null;
+let comparisonInterval = null;
+let comparisonTimer = null; // pending slice of Run to Completion
+
+function initializeComparisonPanel() {
+    const container = document.getElementById('comparisonAlgorithms');
+    listStrategies().forEach(strategy => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = strategy.id;
+        checkbox.checked = DEFAULT_COMPARED.includes(strategy.id);
+        label.append(checkbox, ` ${strategy.label}`);
+        container.appendChild(label);
+    });
+}
+
+// Clones the current workload (same seed, trace or generator) into one run per
+// checked algorithm and shows them side by side.
+function startComparison() {
+    stopComparison();
+    const algorithms = [...document.querySelectorAll('#comparisonAlgorithms input:checked')].map(c => c.value);
+    const status = document.getElementById('comparisonStatus');
+    try {
+        comparison = new Comparison(algorithms, buildSimulationOptions());
+    } catch (err) {
+        comparison = null;
+        status.textContent = `❌ ${err.message}`;
+        return;
+    }
+    status.textContent = `Seed ${comparison.seed} · ${comparison.workload.length} processes · ${describeWorkload()}`;
+    buildComparisonColumns();
+    renderComparison();
+    comparisonInterval = setInterval(stepComparison, 200);
+}
+
+function stepComparison() {
+    if (!comparison) return;
+    comparison.step();
+    renderComparison();
+    if (comparisonDone()) {
+        stopComparison();
+        noteComparisonLimit();
     }
+}
+
+// Runs in short slices like a sweep, so the page stays responsive.
+function finishComparison() {
+    if (!comparison) return;
+    stopComparison();
+    comparisonTimer = setTimeout(finishComparisonSlice, 0);
+}
+
+function finishComparisonSlice() {
+    const deadline = performance.now() + SWEEP_CHUNK_MS;
+    while (!comparisonDone() && performance.now() < deadline) comparison.step();
+    renderComparison();
+    if (comparisonDone()) {
+        comparisonTimer = null;
+        noteComparisonLimit();
+    } else {
+        comparisonTimer = setTimeout(finishComparisonSlice, 0);
+    }
+}
+
+function comparisonDone() {
+    return comparison.isComplete() || comparison.currentTime + 1 >= COMPARISON_MAX_TICKS;
+}
+
+function noteComparisonLimit() {
+    const status = document.getElementById('comparisonStatus');
+    const note = ` · stopped at the ${COMPARISON_MAX_TICKS}-tick limit`;
+    if (!comparison.isComplete() && !status.textContent.endsWith(note)) status.textContent += note;
+}
+
+function stopComparison() {
+    if (comparisonInterval) {
+        clearInterval(comparisonInterval);
+        comparisonInterval = null;
+    }
+    if (comparisonTimer) {
+        clearTimeout(comparisonTimer);
+        comparisonTimer = null;
+    }
+}
+
+function buildComparisonColumns() {
+    const columns = document.getElementById('comparisonColumns');
+    columns.innerHTML = '';
+    comparison.runs.forEach(run => {
+        const column = document.createElement('div');
+        column.className = 'comparison-column';
+        column.innerHTML = `
+            <div class="processor-title">${run.label}</div>
+            <canvas class="comparison-chart"></canvas>
+            <div class="comparison-bars"></div>
+            <div class="processor-stats comparison-stats"></div>
+        `;
+        columns.appendChild(column);
+    });
+}
 
-    addProcess(process) {
-        this.processes.push(process);
-        process.assignedProcessor = this.id;
-        process.state = 'READY';
-        this.updateLoad();
-    }
+function renderComparison() {
+    const columns = document.getElementById('comparisonColumns').children;
+    comparison.runs.forEach((run, idx) => {
+        const column = columns[idx];
+        const sim = run.simulation;
+        const canvas = column.querySelector('canvas');
+        drawHistoryChart(canvas, canvas.getContext('2d'), sim.history, { panelHeight: 180 });
 
-    removeProcess(processId) {
-        const idx = this.processes.findIndex(p => p.id === processId);
-        if (idx === -1) return null;
-        const [removed] = this.processes.splice(idx, 1);
-        if (removed) {
-            removed.assignedProcessor = null;
+        // Bars are rebuilt when a scheduled hot-add grows the pool.
+        const bars = column.querySelector('.comparison-bars');
+        const pool = sim.loadBalancer.pool;
+        if (bars.children.length !== pool.length) {
+            bars.innerHTML = pool.map(processor =>
+                `<div class="load-bar"><span class="load-bar-label">CPU ${processor.id}</span><div class="load-bar-track"><div class="load-bar-fill"></div></div></div>`
+            ).join('');
         }
-        this.updateLoad();
-        return removed;
-    }
+        pool.forEach((processor, i) => {
+            const utilization = processor.getUtilization() * 100;
+            const fill = bars.children[i].querySelector('.load-bar-fill');
+            bars.children[i].classList.toggle('offline', !processor.online);
+            fill.style.width = `${utilization}%`;
+            fill.className = `load-bar-fill ${utilization < 40 ? 'green' : utilization < 70 ? 'yellow' : 'red'}`;
+        });
 
-    updateLoad() {
-        this.currentLoad = this.processes.reduce((sum, p) => sum + (p.remainingTime || 0), 0);
-    }
+        const metrics = sim.loadBalancer.getMetrics();
+        column.querySelector('.comparison-stats').innerHTML = `
+            <div>Time: <span class="stat-highlight">${Math.max(sim.currentTime, 0)}</span></div>
+            <div>Completed: <span class="stat-highlight">${sim.completedProcesses.length} / ${sim.processes.length}</span></div>
+            <div>Migrations: <span class="stat-highlight">${metrics.migrations}</span></div>
+            <div>Load Std Dev: <span class="stat-highlight">${metrics.variance}</span></div>
+            <div>Energy: <span class="stat-highlight">${formatEnergy(sim.loadBalancer.pool.reduce((sum, p) => sum + p.energy, 0))}</span></div>
+        `;
+    });
+    renderComparisonTable();
+}
 
-    getLoad() {
-        return this.currentLoad;
-    }
+function renderComparisonTable() {
+    const results = comparison.getResults();
+    const head = '<tr><th>Algorithm</th>' + COMPARISON_METRICS.map(m => `<th>${m.label}</th>`).join('') + '</tr>';
+    const body = results.rows.map(row => {
+        const cells = COMPARISON_METRICS.map(m => {
+            const value = row.metrics[m.key];
+            const isWinner = results.winners[m.key].includes(row.algorithm);
+            const text = value === null ? '–' : value;
+            return `<td class="${isWinner ? 'winner' : ''}">${isWinner ? '🏆 ' : ''}${text}</td>`;
+        }).join('');
+        return `<tr><td>${row.label}</td>${cells}</tr>`;
+    }).join('');
+    document.getElementById('comparisonTable').innerHTML = `<thead>${head}</thead><tbody>${body}</tbody>`;
 }
 
 // -------------------------
-// Load Balancer Class
+// Parameter Sweeps
 // -------------------------
-class LoadBalancer {
-    constructor(numProcessors, algorithm = 'dynamic') {
-        this.processors = Array.from({ length: numProcessors }, (_, i) => new Processor(i));
-        this.algorithm = algorithm;
-        this.migrationCount = 0;
-        this.threshold = 30;
-    }
+const SWEEP_CHUNK_MS = 40; // simulation time per slice, so the page stays responsive
+const SWEEP_CHART_HEIGHT = 220;
+let sweep = null;
+let sweepTimer = null;
 
-    assignProcess(process, currentTime) {
-        switch (this.algorithm) {
-            case 'static':
-                return this.staticAssignment(process);
-            case 'dynamic':
-                return this.dynamicAssignment(process);
-            case 'adaptive':
-                return this.adaptiveAssignment(process, currentTime);
-            default:
-                return this.dynamicAssignment(process);
-        }
-    }
+function initializeSweepPanel() {
+    const select = document.getElementById('sweepParameterSelect');
+    Object.keys(SWEEP_PARAMETERS).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = SWEEP_PARAMETERS[key].label;
+        select.appendChild(option);
+    });
+    document.getElementById('sweepTrialsInput').value = DEFAULT_TRIALS;
+    renderSweepValues();
 
-    staticAssignment(process) {
-        const idx = process.id % this.processors.length;
-        this.processors[idx].addProcess(process);
-        return idx;
-    }
+    const container = document.getElementById('sweepAlgorithms');
+    listStrategies().forEach(strategy => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = strategy.id;
+        checkbox.checked = DEFAULT_COMPARED.includes(strategy.id);
+        label.append(checkbox, ` ${strategy.label}`);
+        container.appendChild(label);
+    });
+}
 
-    dynamicAssignment(process) {
-        let minLoad = Infinity;
-        let minIndex = 0;
-        this.processors.forEach((proc, idx) => {
-            const load = proc.getLoad();
-            if (load < minLoad) {
-                minLoad = load;
-                minIndex = idx;
-            }
-        });
-        this.processors[minIndex].addProcess(process);
-        return minIndex;
-    }
-
-    adaptiveAssignment(process, currentTime) {
-        let minScore = Infinity;
-        let minIndex = 0;
-        this.processors.forEach((proc, idx) => {
-            const score = proc.getLoad() + (proc.processes.length * 5);
-            if (score < minScore) {
-                minScore = score;
-                minIndex = idx;
-            }
-        });
-        this.processors[minIndex].addProcess(process);
-        return minIndex;
-    }
-
-    balance(currentTime) {
-        if (this.algorithm === 'static') return;
-
-        const loads = this.processors.map(p => p.getLoad());
-        const maxLoad = Math.max(...loads);
-        const minLoad = Math.min(...loads);
-        if (!isFinite(maxLoad) || !isFinite(minLoad)) return;
-
-        if (maxLoad - minLoad > this.threshold) {
-            const maxIdx = loads.indexOf(maxLoad);
-            const minIdx = loads.indexOf(minLoad);
-            const overloadedProc = this.processors[maxIdx];
-            const underloadedProc = this.processors[minIdx];
-
-            if (overloadedProc.processes.length > 0) {
-                let processToMigrate = overloadedProc.processes[0];
-                for (let p of overloadedProc.processes) {
-                    if (p.remainingTime < processToMigrate.remainingTime) {
-                        processToMigrate = p;
-                    }
-                }
-
-                const removed = overloadedProc.removeProcess(processToMigrate.id);
-                if (removed) {
-                    removed.state = 'READY';
-                    underloadedProc.addProcess(removed);
-                    this.migrationCount++;
-                }
-            }
-        }
-    }
+function renderSweepValues() {
+    const parameter = document.getElementById('sweepParameterSelect').value;
+    document.getElementById('sweepValuesInput').value = SWEEP_PARAMETERS[parameter].values.join(', ');
+}
 
-    getMetrics() {
-        const loads = this.processors.map(p => p.getLoad());
-        const n = this.processors.length || 1;
-        const sum = loads.reduce((a, b) => a + b, 0);
-        const avgLoad = sum / n;
-        const variance = loads.reduce((acc, load) => acc + Math.pow(load - avgLoad, 2), 0) / n;
-        return {
-            avgLoad: avgLoad.toFixed(2),
-            variance: Math.sqrt(variance).toFixed(2),
-            migrations: this.migrationCount
-        };
+// Sweeps the current workload and settings. Every run is a whole simulation,
+// so they are run in short slices between frames.
+function startSweep() {
+    stopSweep();
+    const algorithms = [...document.querySelectorAll('#sweepAlgorithms input:checked')].map(c => c.value);
+    const status = document.getElementById('sweepStatus');
+    try {
+        sweep = new Sweep({
+            parameter: document.getElementById('sweepParameterSelect').value,
+            values: document.getElementById('sweepValuesInput').value,
+            algorithms,
+            trials: Number(document.getElementById('sweepTrialsInput').value)
+        }, buildSimulationOptions());
+    } catch (err) {
+        sweep = null;
+        status.textContent = `❌ ${err.message}`;
+        return;
     }
+    document.getElementById('sweepCharts').innerHTML = SWEEP_METRICS
+        .map(() => '<canvas class="sweep-chart"></canvas>').join('');
+    renderSweep();
+    sweepTimer = setTimeout(stepSweep, 0);
 }
 
-// -------------------------
-// Global State
-// -------------------------
-const NUM_PROCESSORS = 4;
-let loadBalancer = null;
-let processes = [];
-let currentTime = -1;
-let isRunning = false;
-let completedProcesses = [];
-let simulationInterval = null;
-
-// Performance history tracking
-let performanceHistory = {
-    time: [],
-    avgLoad: [],
-    variance: [],
-    migrations: []
-};
+function stepSweep() {
+    const deadline = performance.now() + SWEEP_CHUNK_MS;
+    while (!sweep.isComplete() && performance.now() < deadline) sweep.runNext();
+    renderSweep();
+    sweepTimer = sweep.isComplete() ? null : setTimeout(stepSweep, 0);
+}
 
-let chart = null;
+function stopSweep() {
+    if (sweepTimer) {
+        clearTimeout(sweepTimer);
+        sweepTimer = null;
+        if (sweep) renderSweep();
+    }
+}
 
-// -------------------------
-// Initialize Chart
-// -------------------------
-function initializeChart() {
-    const canvas = document.getElementById('performanceChart');
-    const ctx = canvas.getContext('2d');
-    
-    chart = {
-        canvas: canvas,
-        ctx: ctx,
-        data: performanceHistory
-    };
-    
-    drawChart();
+function renderSweep() {
+    const results = sweep.getResults();
+    const progress = results.completedRuns < results.totalRuns
+        ? `${results.completedRuns} / ${results.totalRuns} runs${sweepTimer ? '' : ' (stopped)'}`
+        : `${results.totalRuns} runs`;
+    document.getElementById('sweepStatus').textContent =
+        `${progress} · ${results.trials} trials per point, seeds ${results.seeds[0]}–${results.seeds[1]} · ${describeWorkload()}`;
+    const canvases = document.getElementById('sweepCharts').children;
+    SWEEP_METRICS.forEach((metric, i) => drawSweepChart(canvases[i], results, metric));
+    renderSweepTable(results);
 }
 
-// -------------------------
-// Draw Chart
-// -------------------------
-function drawChart() {
-    if (!chart) return;
-    
-    const ctx = chart.ctx;
-    const canvas = chart.canvas;
-    const data = chart.data;
-    
-    // Set canvas size
+// Metric vs. parameter value, one line per algorithm through the means with
+// the 95% confidence intervals as error bars.
+function drawSweepChart(canvas, results, metric) {
+    const ctx = canvas.getContext('2d');
+    const pad = CHART_PADDING;
     canvas.width = canvas.offsetWidth;
-    canvas.height = 280;
-    
+    canvas.height = SWEEP_CHART_HEIGHT;
     const width = canvas.width;
-    const height = canvas.height;
-    const padding = 40;
-    const graphWidth = width - padding * 2;
-    const graphHeight = height - padding * 2;
-    
-    // Clear canvas
-    ctx.clearRect(0, 0, width, height);
-    
-    // No data yet
-    if (data.time.length === 0) {
-        ctx.fillStyle = '#9ca3af';
-        ctx.font = '14px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText('Start simulation to see performance metrics...', width / 2, height / 2);
-        return;
-    }
-    
-    // Find max values for scaling
-    const maxTime = Math.max(...data.time, 10);
-    const maxAvgLoad = Math.max(...data.avgLoad, 10);
-    const maxVariance = Math.max(...data.variance, 10);
-    
-    // Draw axes
+    const graphWidth = width - pad.left - pad.right;
+    const graphHeight = canvas.height - pad.top - pad.bottom;
+    ctx.clearRect(0, 0, width, canvas.height);
+
+    const points = results.points.filter(p => p.metrics[metric.key].mean !== null);
+    const xMin = Math.min(...results.values);
+    const xMax = Math.max(...results.values);
+    const x = v => pad.left + (xMax === xMin ? graphWidth / 2 : ((v - xMin) / (xMax - xMin)) * graphWidth);
+    const yTicks = niceTicks(0, Math.max(1, ...points.map(p => p.metrics[metric.key].ci95[1])), 4);
+    const yMax = yTicks[yTicks.length - 1];
+    const y = v => pad.top + graphHeight - (Math.max(v, 0) / yMax) * graphHeight;
+
+    // Grid lines, y-axis values and one x label per swept value
     ctx.strokeStyle = '#4b5563';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.moveTo(padding, padding);
-    ctx.lineTo(padding, height - padding);
-    ctx.lineTo(width - padding, height - padding);
-    ctx.stroke();
-    
-    // Draw grid lines
-    ctx.strokeStyle = '#374151';
     ctx.lineWidth = 1;
-    for (let i = 0; i <= 5; i++) {
-        const y = padding + (graphHeight / 5) * i;
+    ctx.fillStyle = '#9ca3af';
+    ctx.font = '11px Arial';
+    ctx.textAlign = 'right';
+    yTicks.forEach(v => {
         ctx.beginPath();
-        ctx.moveTo(padding, y);
-        ctx.lineTo(width - padding, y);
+        ctx.moveTo(pad.left, y(v));
+        ctx.lineTo(width - pad.right, y(v));
         ctx.stroke();
-    }
-    
-    // Draw Avg Load line
-    if (data.avgLoad.length > 1) {
-        ctx.strokeStyle = '#60a5fa';
+        ctx.fillText(v, pad.left - 6, y(v) + 4);
+    });
+    ctx.textAlign = 'center';
+    results.values.forEach(v => ctx.fillText(v, x(v), pad.top + graphHeight + 16));
+
+    ctx.strokeStyle = '#6b7280';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(pad.left, pad.top);
+    ctx.lineTo(pad.left, pad.top + graphHeight);
+    ctx.lineTo(width - pad.right, pad.top + graphHeight);
+    ctx.stroke();
+
+    results.algorithms.forEach((algorithm, a) => {
+        const series = points.filter(p => p.algorithm === algorithm).sort((p, q) => p.value - q.value);
+        ctx.strokeStyle = processColor(a);
         ctx.lineWidth = 2;
         ctx.beginPath();
-        data.time.forEach((time, i) => {
-            const x = padding + (time / maxTime) * graphWidth;
-            const y = height - padding - (parseFloat(data.avgLoad[i]) / maxAvgLoad) * graphHeight;
-            if (i === 0) ctx.moveTo(x, y);
-            else ctx.lineTo(x, y);
+        series.forEach((p, n) => {
+            const method = n === 0 ? 'moveTo' : 'lineTo';
+            ctx[method](x(p.value), y(p.metrics[metric.key].mean));
         });
         ctx.stroke();
-    }
-    
-    // Draw Variance line
-    if (data.variance.length > 1) {
-        ctx.strokeStyle = '#a78bfa';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        data.time.forEach((time, i) => {
-            const x = padding + (time / maxTime) * graphWidth;
-            const y = height - padding - (parseFloat(data.variance[i]) / maxVariance) * graphHeight;
-            if (i === 0) ctx.moveTo(x, y);
-            else ctx.lineTo(x, y);
+
+        ctx.lineWidth = 1;
+        series.forEach(p => {
+            const [low, high] = p.metrics[metric.key].ci95;
+            const px = x(p.value);
+            ctx.beginPath();
+            ctx.moveTo(px, y(low));
+            ctx.lineTo(px, y(high));
+            ctx.moveTo(px - 4, y(low));
+            ctx.lineTo(px + 4, y(low));
+            ctx.moveTo(px - 4, y(high));
+            ctx.lineTo(px + 4, y(high));
+            ctx.stroke();
         });
-        ctx.stroke();
-    }
-    
-    // Draw labels
-    ctx.fillStyle = '#9ca3af';
-    ctx.font = '12px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText('Time →', width / 2, height - 10);
-    
-    // Legend
+    });
+
+    // Title and legend
     ctx.textAlign = 'left';
-    ctx.fillStyle = '#60a5fa';
-    ctx.fillRect(width - 150, 20, 15, 15);
-    ctx.fillStyle = '#ffffff';
-    ctx.fillText('Avg Load', width - 130, 32);
-    
-    ctx.fillStyle = '#a78bfa';
-    ctx.fillRect(width - 150, 45, 15, 15);
-    ctx.fillStyle = '#ffffff';
-    ctx.fillText('Variance', width - 130, 57);
+    ctx.fillStyle = '#d1d5db';
+    ctx.font = '12px Arial';
+    ctx.fillText(`${metric.label} vs. ${results.label}`, pad.left + 8, pad.top + 12);
+    let legendX = width - pad.right;
+    ctx.textAlign = 'right';
+    results.algorithms.slice().reverse().forEach((algorithm, i) => {
+        const label = points.find(p => p.algorithm === algorithm);
+        const text = label ? label.label : algorithm;
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(text, legendX, pad.top + 12);
+        legendX -= ctx.measureText(text).width + 6;
+        ctx.fillStyle = processColor(results.algorithms.length - 1 - i);
+        ctx.fillRect(legendX - 10, pad.top + 3, 10, 10);
+        legendX -= 22;
+    });
 }
 
-// -------------------------
-// Initialize System
-// -------------------------
-function initializeSystem() {
-    const algorithm = document.getElementById('algorithmSelect').value;
-    loadBalancer = new LoadBalancer(NUM_PROCESSORS, algorithm);
-
-    processes = [];
-    for (let i = 0; i < 8; i++) {
-        const proc = new Process(
-            i,
-            Math.floor(Math.random() * 5),
-            Math.floor(Math.random() * 40) + 20,
-            Math.floor(Math.random() * 3) + 1
-        );
-        processes.push(proc);
-    }
-
-    currentTime = -1;
-    completedProcesses = [];
-    
-    // Reset performance history
-    performanceHistory = {
-        time: [],
-        avgLoad: [],
-        variance: [],
-        migrations: []
-    };
-    
-    updateUI();
-    if (!chart) initializeChart();
-    else drawChart();
+// Cells read "mean ± half-width of the 95% interval"; the tooltip adds the std dev.
+function renderSweepTable(results) {
+    const head = `<tr><th>${results.label}</th><th>Algorithm</th><th>Runs</th>` +
+        SWEEP_METRICS.map(m => `<th>${m.label}</th>`).join('') + '</tr>';
+    const body = results.points.map(point => {
+        const cells = SWEEP_METRICS.map(m => {
+            const stats = point.metrics[m.key];
+            if (stats.mean === null) return '<td>–</td>';
+            const margin = Math.round((stats.ci95[1] - stats.mean) * 100) / 100;
+            return `<td title="std dev ${stats.stdDev}, 95% CI ${stats.ci95[0]} – ${stats.ci95[1]} (n = ${stats.n})">` +
+                `${stats.mean} ± ${margin}</td>`;
+        }).join('');
+        const runs = point.incomplete ? `${point.runs} (${point.incomplete} hit the tick limit)` : point.runs;
+        return `<tr><td>${point.value}</td><td>${point.label}</td><td>${runs}</td>${cells}</tr>`;
+    }).join('');
+    document.getElementById('sweepTable').innerHTML = `<thead>${head}</thead><tbody>${body}</tbody>`;
+}
+
+function sweepFileName(extension) {
+    return `LoadBalancing_sweep_${sweep.parameter}_seed${sweep.seed}.${extension}`;
+}
+
+function exportSweepCsv() {
+    if (!sweep) return;
+    downloadFile(sweepFileName('csv'), toCsv(sweepTable(sweep.getResults())), 'text/csv;charset=utf-8;');
+}
+
+function exportSweepJson() {
+    if (!sweep) return;
+    const results = Object.assign({ workload: describeWorkload() }, sweep.getResults());
+    downloadFile(sweepFileName('json'), JSON.stringify(results, null, 2), 'application/json');
 }
 
 // -------------------------
-// Simulation Step
+// Snapshots
 // -------------------------
-function simulateStep() {
-    currentTime++;
+const AUTOSAVE_KEY = 'loadBalancingSimulator.autosave';
+const AUTOSAVE_ENABLED_KEY = 'loadBalancingSimulator.autosaveEnabled';
+const AUTOSAVE_INTERVAL = 25; // ticks between autosaves while running
 
-    processes.forEach(process => {
-        if (process.arrivalTime <= currentTime && process.state === 'NEW') {
-            loadBalancer.assignProcess(process, currentTime);
-        }
+function snapshotMeta() {
+    return { workload: describeWorkload() };
+}
+
+function saveSnapshot() {
+    snapshotText((text, tick, algorithm) => {
+        downloadFile(`LoadBalancing_Snapshot_${algorithm}_t${Math.max(tick, 0)}.json`, text, 'application/json');
     });
+}
 
-    loadBalancer.processors.forEach(processor => {
-        if (processor.processes.length > 0) {
-            const runningProcess = processor.processes[0];
-            runningProcess.state = 'RUNNING';
+function loadSnapshotFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            applySnapshot(JSON.parse(reader.result));
+            renderSnapshotStatus(`✅ Resumed ${file.name} at tick ${Math.max(simulation.currentTime, 0)}`);
+        } catch (err) {
+            renderSnapshotStatus(`❌ Could not load ${file.name}: ${err.message}`, true);
+        }
+    };
+    reader.onerror = () => renderSnapshotStatus(`❌ Could not read ${file.name}`, true);
+    reader.readAsText(file);
+}
 
-            if (runningProcess.startTime === null) {
-                runningProcess.startTime = currentTime;
-            }
+// Replaces the running simulation and syncs the toolbar with the restored
+// settings; Reset afterwards replays the snapshot's workload from tick 0.
+// Processes the scenario injected stay out of that workload, since the
+// scenario injects them again.
+function applySnapshot(snapshot) {
+    const restored = restoreSnapshot(snapshot);
+    if (isRunning) pauseSimulation();
+    discardWorkerRun();
+    stopComparison();
+    simulation = restored;
+    resetCheckpoints();
+    syncToolbar();
 
-            runningProcess.remainingTime = Math.max(0, runningProcess.remainingTime - 1);
-            processor.updateLoad();
+    const workload = snapshot.meta && snapshot.meta.workload;
+    importedTrace = { name: `snapshot${workload ? ` (${workload})` : ''}`, records: toRecords(simulation.processes.filter(p => p.origin !== 'scenario')) };
+    generatorConfig = null;
+    renderWorkloadStatus();
 
-            if (runningProcess.remainingTime <= 0) {
-                runningProcess.state = 'TERMINATED';
-                runningProcess.completionTime = currentTime;
-                processor.removeProcess(runningProcess.id);
-                completedProcesses.push(runningProcess);
-                processor.updateLoad();
-            }
-        }
-    });
+    chartView = null;
+    updateUI();
+    drawChart();
+}
 
-    if (currentTime > 0 && currentTime % 5 === 0) {
-        loadBalancer.balance(currentTime);
-    }
+// Points the toolbar at the settings of the current simulation (after a restore or rewind).
+// Hot-added processors are left out of the pool settings that Reset starts from.
+function syncToolbar() {
+    const basePool = simulation.numProcessors - simulation.disturbances.filter(d => d.type === 'hot-add').length;
+    document.getElementById('algorithmSelect').value = simulation.algorithm;
+    document.getElementById('processorCountInput').value = basePool;
+    document.getElementById('speedsInput').value = simulation.processorSpeeds.slice(0, basePool).join(',');
+    document.getElementById('capacitiesInput').value = simulation.processorSpecs.slice(0, basePool)
+        .map(spec => describeResources(spec.capacity, '')).join(';').replace(/^;+$/, '');
+    document.getElementById('capacitiesInput').classList.remove('invalid');
+    document.getElementById('seedInput').value = simulation.seed;
+    document.getElementById('migrationDelayInput').value = simulation.loadBalancer.migrationCost.delay;
+    document.getElementById('affinityPenaltyInput').value = simulation.loadBalancer.migrationCost.affinityPenalty;
+    document.getElementById('thresholdInput').value = simulation.loadBalancer.threshold;
+    document.getElementById('balanceIntervalInput').value = simulation.loadBalancer.interval;
+    document.getElementById('movesInput').value = simulation.loadBalancer.moves;
+    document.getElementById('autoTuneCheckbox').checked = Boolean(simulation.tuner);
+    document.getElementById('governorSelect').value = simulation.powerModel.governor;
+    document.getElementById('sleepAfterInput').value = simulation.powerModel.sleepAfter !== null ? simulation.powerModel.sleepAfter : '';
+    document.getElementById('wakeLatencyInput').value = simulation.powerModel.wakeLatency;
+    const scheduler = simulation.processorSpecs[0].scheduler;
+    document.getElementById('schedulerSelect').value = scheduler.type;
+    if (scheduler.quantum) document.getElementById('quantumInput').value = scheduler.quantum;
+    if (scheduler.agingInterval) document.getElementById('agingInput').value = scheduler.agingInterval;
+    document.getElementById('failurePolicySelect').value = simulation.failurePolicy;
+    document.getElementById('faultsInput').value = simulation.faults.map(describeFault).join(', ');
+    document.getElementById('scenarioInput').value = formatScenario(simulation.scenario);
+    document.getElementById('scenarioInput').classList.remove('invalid');
+    renderScenarioStatus();
+    document.getElementById('faultsInput').classList.remove('invalid');
+    document.getElementById('topologySelect').value = simulation.topology.spec.type;
+    document.getElementById('topologySelect').classList.remove('invalid');
+    renderTopologyParams(simulation.topology.spec);
+}
 
-    // Record performance metrics every time step
-    if (currentTime >= 0) {
-        const metrics = loadBalancer.getMetrics();
-        performanceHistory.time.push(currentTime);
-        performanceHistory.avgLoad.push(parseFloat(metrics.avgLoad));
-        performanceHistory.variance.push(parseFloat(metrics.variance));
-        performanceHistory.migrations.push(metrics.migrations);
-        
-        // Keep only last 50 data points for performance
-        if (performanceHistory.time.length > 50) {
-            performanceHistory.time.shift();
-            performanceHistory.avgLoad.shift();
-            performanceHistory.variance.shift();
-            performanceHistory.migrations.shift();
-        }
+function autosaveEnabled() {
+    return document.getElementById('autosaveToggle').checked;
+}
+
+function toggleAutosave() {
+    const enabled = autosaveEnabled();
+    try {
+        localStorage.setItem(AUTOSAVE_ENABLED_KEY, enabled ? '1' : '0');
+        if (enabled) autosave();
+        else localStorage.removeItem(AUTOSAVE_KEY);
+    } catch (err) {
+        renderSnapshotStatus(`❌ Autosave unavailable: ${err.message}`, true);
     }
+}
 
-    updateUI();
-    drawChart();
+function autosave() {
+    snapshotText(storeAutosave);
 }
 
-// -------------------------
-// UI Update Functions
-// -------------------------
-function updateUI() {
-    document.getElementById('timeDisplay').textContent = currentTime >= 0 ? currentTime : 0;
+// Large runs can exceed the storage quota; autosave then turns itself off.
+function storeAutosave(text) {
+    try {
+        localStorage.setItem(AUTOSAVE_KEY, text);
+    } catch (err) {
+        document.getElementById('autosaveToggle').checked = false;
+        renderSnapshotStatus(`❌ Autosave turned off: ${err.message}. Use Save to download a snapshot instead.`, true);
+    }
+}
 
-    const metrics = loadBalancer.getMetrics();
-    document.getElementById('avgLoad').textContent = metrics.avgLoad;
-    document.getElementById('variance').textContent = metrics.variance;
-    document.getElementById('migrations').textContent = metrics.migrations;
-    document.getElementById('completed').textContent = completedProcesses.length;
+// Offers to resume an autosaved run left over from a previous visit.
+function initializeAutosave() {
+    let saved = null;
+    try {
+        document.getElementById('autosaveToggle').checked = localStorage.getItem(AUTOSAVE_ENABLED_KEY) === '1';
+        saved = localStorage.getItem(AUTOSAVE_KEY);
+    } catch (err) {
+        return;
+    }
+    if (!saved) return;
 
-    updateProcessorsGrid();
-    updateProcessTable();
+    let snapshot;
+    try {
+        snapshot = JSON.parse(saved);
+    } catch (err) {
+        return;
+    }
+    const status = renderSnapshotStatus(
+        `💾 Autosaved run found: ${snapshot.loadBalancer.algorithm} at tick ${Math.max(snapshot.simulation.currentTime, 0)} ` +
+        `(saved ${new Date(snapshot.savedAt).toLocaleString()})`);
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'btn-start';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.onclick = () => {
+        try {
+            applySnapshot(snapshot);
+            renderSnapshotStatus(`✅ Restored autosaved run at tick ${Math.max(simulation.currentTime, 0)}`);
+        } catch (err) {
+            renderSnapshotStatus(`❌ Could not restore autosave: ${err.message}`, true);
+        }
+    };
+    const discardBtn = document.createElement('button');
+    discardBtn.className = 'btn-reset';
+    discardBtn.textContent = 'Discard';
+    discardBtn.onclick = () => {
+        localStorage.removeItem(AUTOSAVE_KEY);
+        renderSnapshotStatus('');
+    };
+    status.append(restoreBtn, discardBtn);
 }
 
-function updateProcessorsGrid() {
-    const grid = document.getElementById('processorsGrid');
-    grid.innerHTML = '';
-
-    loadBalancer.processors.forEach((processor, idx) => {
-        const rawLoad = processor.getLoad();
-        const utilization = Math.min((rawLoad / 120) * 100, 100);
-        const colorClass = utilization < 40 ? 'green' : utilization < 70 ? 'yellow' : 'red';
-
-        const radius = 70;
-        const circumference = 2 * Math.PI * radius;
-        const offset = circumference - (utilization / 100) * circumference;
-
-        const card = document.createElement('div');
-        card.className = 'processor-card';
-        card.innerHTML = `
-            <div class="processor-title">Processor ${idx}</div>
-            <div class="circular-progress">
-                <svg>
-                    <circle class="circle-bg" cx="80" cy="80" r="${radius}"></circle>
-                    <circle 
-                        class="circle-progress ${colorClass}" 
-                        cx="80" 
-                        cy="80" 
-                        r="${radius}"
-                        style="stroke-dasharray: ${circumference}; stroke-dashoffset: ${offset};"
-                    ></circle>
-                </svg>
-                <div class="progress-text">${utilization.toFixed(0)}%</div>
-            </div>
-            <div class="processor-stats">
-                <div>Load: <span class="stat-highlight">${rawLoad}</span></div>
-                <div>Processes: <span class="stat-highlight">${processor.processes.length}</span></div>
-            </div>
-        `;
-        grid.appendChild(card);
-    });
-}
-
-function updateProcessTable() {
-    const tbody = document.getElementById('processTable');
-    tbody.innerHTML = '';
-
-    processes
-        .filter(p => p.state !== 'TERMINATED')
-        .sort((a, b) => a.id - b.id)
-        .forEach(process => {
-            const row = document.createElement('tr');
-            const stateClass = process.state === 'RUNNING'
-                ? 'state-running'
-                : process.state === 'READY'
-                    ? 'state-ready'
-                    : 'state-new';
-
-            row.innerHTML = `
-                <td>P${process.id}</td>
-                <td>${process.arrivalTime}</td>
-                <td>${process.burstTime}</td>
-                <td>${process.remainingTime}</td>
-                <td>${process.assignedProcessor !== null ? 'CPU ' + process.assignedProcessor : '-'}</td>
-                <td><span class="state-badge ${stateClass}">${process.state}</span></td>
-            `;
-            tbody.appendChild(row);
-        });
+function renderSnapshotStatus(message, isError) {
+    const status = document.getElementById('snapshotStatus');
+    status.innerHTML = '';
+    status.className = `workload-status${message ? (isError ? ' error' : ' loaded') : ''}`;
+    if (message) {
+        const label = document.createElement('span');
+        label.textContent = message;
+        status.appendChild(label);
+    }
+    return status;
 }
 
 // -------------------------
-// Control Functions
+// Workload Sources
 // -------------------------
-function toggleSimulation() {
-    isRunning = !isRunning;
-    const btn = document.getElementById('startPauseBtn');
+const MAX_TRACE_ERRORS_SHOWN = 20;
 
-    if (isRunning) {
-        btn.innerHTML = '<span>⏸</span> Pause';
-        btn.className = 'btn-pause';
-        if (simulationInterval) clearInterval(simulationInterval);
-        simulationInterval = setInterval(simulateStep, 200);
-    } else {
-        btn.innerHTML = '<span>▶</span> Start';
-        btn.className = 'btn-start';
-        if (simulationInterval) {
-            clearInterval(simulationInterval);
-            simulationInterval = null;
+function importTraceFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const records = parseTrace(reader.result, { name: file.name });
+            importedTrace = { name: file.name, records: records };
+            generatorConfig = null;
+            resetSimulation();
+            renderWorkloadStatus();
+        } catch (err) {
+            renderWorkloadStatus(`Could not load ${file.name}`, err);
         }
+    };
+    reader.onerror = () => renderWorkloadStatus(`Could not load ${file.name}`, new Error('Could not read file'));
+    reader.readAsText(file);
+}
+
+function applyGenerator() {
+    const config = {
+        duration: document.getElementById('generatorDuration').value,
+        arrival: readDistributionForm('arrival'),
+        burst: readDistributionForm('burst'),
+        io: readDistributionForm('io'),
+        memory: readDistributionForm('memory')
+    };
+    try {
+        generatorConfig = normalizeGeneratorConfig(config);
+    } catch (err) {
+        renderWorkloadStatus('Invalid generator settings', err);
+        return;
     }
+    importedTrace = null;
+    resetSimulation();
+    renderWorkloadStatus();
 }
 
-function resetSimulation() {
-    isRunning = false;
-    if (simulationInterval) {
-        clearInterval(simulationInterval);
-        simulationInterval = null;
+function useRandomWorkload() {
+    importedTrace = null;
+    generatorConfig = null;
+    resetSimulation();
+    renderWorkloadStatus();
+}
+
+const GENERATOR_TABLES = { arrival: ARRIVAL_PROCESSES, burst: BURST_DISTRIBUTIONS, io: IO_PATTERNS, memory: MEMORY_DEMANDS };
+
+function describeDistribution(spec, table) {
+    const params = Object.keys(spec).filter(k => k !== 'type').map(k => `${k}=${spec[k]}`);
+    return `${table[spec.type].label}(${params.join(', ')})`;
+}
+
+function describeWorkload() {
+    if (importedTrace) {
+        return `Trace ${importedTrace.name}`;
     }
-    const btn = document.getElementById('startPauseBtn');
-    btn.innerHTML = '<span>▶</span> Start';
-    btn.className = 'btn-start';
-    initializeSystem();
+    if (generatorConfig) {
+        const io = generatorConfig.io.type !== 'none' ? `, ${describeDistribution(generatorConfig.io, IO_PATTERNS)} I/O` : '';
+        const memory = generatorConfig.memory.type !== 'none'
+            ? `, ${describeDistribution(generatorConfig.memory, MEMORY_DEMANDS)} memory` : '';
+        return `Generated: ${describeDistribution(generatorConfig.arrival, ARRIVAL_PROCESSES)} arrivals, ` +
+            `${describeDistribution(generatorConfig.burst, BURST_DISTRIBUTIONS)} bursts${io}${memory} over ${generatorConfig.duration} ticks`;
+    }
+    return 'Random (8 processes)';
 }
 
-function addProcess() {
-    const maxId = processes.length ? Math.max(...processes.map(p => p.id)) : -1;
-    const newId = maxId + 1;
-    const arrival = currentTime >= 0 ? currentTime : 0;
-
-    const newProcess = new Process(
-        newId,
-        arrival,
-        Math.floor(Math.random() * 40) + 20,
-        Math.floor(Math.random() * 3) + 1
-    );
-
-    processes.push(newProcess);
-    loadBalancer.assignProcess(newProcess, currentTime);
-    updateUI();
+// From a summary's balancing entry, e.g. "threshold 24, every 4 ticks, up to 1 move(s) per round".
+function describeBalancing(balancing) {
+    const text = `threshold ${balancing.threshold}, every ${balancing.interval} ticks`;
+    if (!balancing.autoTune) return `${text}, up to ${balancing.moves} move(s) per round`;
+    const tuning = balancing.autoTune;
+    return `${text} (auto-tuned: ${tuning.adjustments} adjustment(s) over ${tuning.rounds} rounds, ` +
+        `imbalance ${tuning.imbalance !== null ? tuning.imbalance : '–'} vs target ${tuning.settings.targetImbalance}, ` +
+        `churn ${tuning.churn} vs target ${tuning.settings.targetChurn}, up to ${tuning.settings.maxMoves} moves per round)`;
 }
 
-function changeAlgorithm() {
-    isRunning = false;
-    if (simulationInterval) {
-        clearInterval(simulationInterval);
-        simulationInterval = null;
+function renderWorkloadStatus(failure, error) {
+    const status = document.getElementById('workloadStatus');
+    status.innerHTML = '';
+    status.className = 'workload-status';
+
+    if (error) {
+        status.classList.add('error');
+        const title = document.createElement('div');
+        title.textContent = `❌ ${failure}: ${error.summary || error.message}`;
+        status.appendChild(title);
+
+        const rows = error.errors || [];
+        if (rows.length) {
+            const list = document.createElement('ul');
+            rows.slice(0, MAX_TRACE_ERRORS_SHOWN).forEach(msg => {
+                const item = document.createElement('li');
+                item.textContent = msg;
+                list.appendChild(item);
+            });
+            if (rows.length > MAX_TRACE_ERRORS_SHOWN) {
+                const more = document.createElement('li');
+                more.textContent = `…and ${rows.length - MAX_TRACE_ERRORS_SHOWN} more`;
+                list.appendChild(more);
+            }
+            status.appendChild(list);
+        }
+        status.appendChild(document.createTextNode(`Still using: ${describeWorkload()}.`));
+        return;
     }
-    const btn = document.getElementById('startPauseBtn');
-    btn.innerHTML = '<span>▶</span> Start';
-    btn.className = 'btn-start';
 
-    const algo = document.getElementById('algorithmSelect').value;
-    const newLB = new LoadBalancer(NUM_PROCESSORS, algo);
+    if (importedTrace || generatorConfig) {
+        status.classList.add('loaded');
+        const label = document.createElement('span');
+        label.textContent = `${importedTrace ? '📄' : '🧪'} ${describeWorkload()}: ${simulation.processes.length} processes`;
+        const clearBtn = document.createElement('button');
+        clearBtn.className = 'btn-reset';
+        clearBtn.textContent = '✖ Use random workload';
+        clearBtn.onclick = useRandomWorkload;
+        status.append(label, clearBtn);
+    }
+}
+
+// -------------------------
+// Generator Form
+// -------------------------
+function initializeGeneratorForm() {
+    Object.keys(GENERATOR_TABLES).forEach(kind => {
+        const table = GENERATOR_TABLES[kind];
+        const select = document.getElementById(`${kind}TypeSelect`);
+        Object.keys(table).forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = table[type].label;
+            select.appendChild(option);
+        });
+        select.value = DEFAULT_GENERATOR[kind].type;
+        renderGeneratorParams(kind);
+    });
+    document.getElementById('generatorDuration').value = DEFAULT_GENERATOR.duration;
+}
 
-    const active = processes.filter(p => p.state !== 'TERMINATED');
+function renderGeneratorParams(kind) {
+    const table = GENERATOR_TABLES[kind];
+    const type = document.getElementById(`${kind}TypeSelect`).value;
+    const container = document.getElementById(`${kind}Params`);
+    container.innerHTML = '';
 
-    active.forEach(p => {
-        p.assignedProcessor = null;
-        if (p.state === 'RUNNING') p.state = 'READY';
+    Object.keys(table[type].params).forEach(name => {
+        const label = document.createElement('label');
+        label.textContent = name;
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = 'any';
+        input.value = table[type].params[name];
+        input.dataset.param = name;
+        label.appendChild(input);
+        container.appendChild(label);
     });
+}
 
-    active.sort((a, b) => a.id - b.id).forEach(p => {
-        newLB.assignProcess(p, currentTime);
+function readDistributionForm(kind) {
+    const spec = { type: document.getElementById(`${kind}TypeSelect`).value };
+    document.querySelectorAll(`#${kind}Params input`).forEach(input => {
+        spec[input.dataset.param] = input.value;
     });
+    return spec;
+}
 
-    loadBalancer = newLB;
-    updateUI();
+function setupTraceDropZone() {
+    const body = document.body;
+    let dragDepth = 0;
+
+    body.addEventListener('dragenter', e => {
+        e.preventDefault();
+        dragDepth++;
+        body.classList.add('drag-over');
+    });
+    body.addEventListener('dragover', e => e.preventDefault());
+    body.addEventListener('dragleave', () => {
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) body.classList.remove('drag-over');
+    });
+    body.addEventListener('drop', e => {
+        e.preventDefault();
+        dragDepth = 0;
+        body.classList.remove('drag-over');
+        importTraceFile(e.dataTransfer.files[0]);
+    });
 }
 
 // -------------------------
@@ -560,8 +2887,16 @@ function changeAlgorithm() {
 // -------------------------
 // Download Report Function
 // -------------------------
+// Reports and exports wait for a background run to hand its simulation back.
 function downloadReport() {
+    if (liveRun) {
+        withSimulation(downloadReport);
+        return;
+    }
+    const { loadBalancer, processes, completedProcesses, currentTime } = simulation;
+    const performanceHistory = simulation.history;
     const metrics = loadBalancer.getMetrics();
+    const summary = simulation.getSummary();
     const timestamp = new Date().toLocaleString();
     
     // Create CSV content
@@ -573,8 +2908,16 @@ function downloadReport() {
     csvContent += "-".repeat(60) + "\n";
     csvContent += `Report Generated: ${timestamp}\n`;
     csvContent += `Algorithm Used: ${loadBalancer.algorithm.toUpperCase()}\n`;
+    csvContent += `Random Seed: ${simulation.seed}\n`;
+    csvContent += `Workload: ${describeWorkload()}\n`;
     csvContent += `Total Simulation Time: ${currentTime}\n`;
-    csvContent += `Number of Processors: ${NUM_PROCESSORS}\n`;
+    csvContent += `Number of Processors: ${loadBalancer.pool.length} (${loadBalancer.processors.length} online)\n`;
+    csvContent += `Processor Speeds: ${simulation.processorSpeeds.join(' ')}\n`;
+    csvContent += `Local Schedulers: ${loadBalancer.pool.map(p => describeScheduler(p.scheduler)).join(' | ')}\n`;
+    csvContent += `Failure Policy: ${simulation.failurePolicy}\n`;
+    csvContent += `Scheduled Faults: ${simulation.faults.length ? simulation.faults.map(describeFault).join(', ') : 'none'}\n`;
+    csvContent += `Scenario: ${simulation.scenario.length
+        ? simulation.scenario.map(e => `@${e.tick} ${describeScenarioEvent(e)}`).join('; ') : 'none'}\n`;
     csvContent += `Total Processes: ${processes.length}\n`;
     csvContent += `Completed Processes: ${completedProcesses.length}\n`;
     csvContent += `Active Processes: ${processes.length - completedProcesses.length}\n\n`;
@@ -585,47 +2928,89 @@ function downloadReport() {
     csvContent += `Average Load: ${metrics.avgLoad}\n`;
     csvContent += `Load Standard Deviation: ${metrics.variance}\n`;
     csvContent += `Total Migrations: ${metrics.migrations}\n`;
-    csvContent += `Migration Rate: ${(metrics.migrations / Math.max(currentTime, 1)).toFixed(2)} per time unit\n\n`;
+    csvContent += `Migration Cost: ${loadBalancer.migrationCost.delay} tick transfer delay, ${loadBalancer.migrationCost.affinityPenalty} affinity penalty\n`;
+    csvContent += `Balancing: ${describeBalancing(simulation.getSummary().balancing)}\n`;
+    csvContent += `Time Lost to Migration: ${loadBalancer.migrationTimeLost.transfer + loadBalancer.migrationTimeLost.penalty} ` +
+        `(${loadBalancer.migrationTimeLost.transfer} transfer ticks + ${loadBalancer.migrationTimeLost.penalty} penalty work)\n`;
+    csvContent += `Topology: ${describeTopology(simulation.topology.spec)}\n`;
+    csvContent += `Migration Distance: mean ${summary.migrationDistance.mean}, ` +
+        `${summary.migrationDistance.local} local, ${summary.migrationDistance.remote} remote\n`;
+    csvContent += `Migration Rate: ${(metrics.migrations / Math.max(currentTime, 1)).toFixed(2)} per time unit\n`;
+    csvContent += `Waiting Time: mean ${summary.waiting.mean}, max ${summary.waiting.max}\n`;
+    csvContent += `Response Time: mean ${summary.response.mean}, max ${summary.response.max}\n`;
+    csvContent += `Turnaround Time: mean ${summary.turnaround.mean}, max ${summary.turnaround.max}\n`;
+    csvContent += `Makespan: ${summary.makespan !== null ? summary.makespan : 'n/a (run not complete)'}\n`;
+    csvContent += `Mean Utilization: ${(summary.utilization.mean * 100).toFixed(2)}%\n`;
+    csvContent += `Throughput: ${summary.throughput.overall} per tick overall, ${summary.throughput.recent} per tick in the last ${summary.throughput.window} ticks\n`;
+    csvContent += `Completions per ${summary.throughput.window}-tick Window: ${summary.throughput.perWindow.join(' ')}\n`;
+    csvContent += `Jain's Fairness: ${summary.fairness.processes} across processes (burst/turnaround), ${summary.fairness.processors} across processors (busy ticks)\n`;
+    csvContent += `Recovery: ${summary.recovery.recovered} of ${summary.recovery.disturbances} disturbances recovered, ` +
+        `mean ${summary.recovery.meanTime !== null ? summary.recovery.meanTime : 'n/a'} ticks, max ${summary.recovery.maxTime !== null ? summary.recovery.maxTime : 'n/a'}, ` +
+        `${summary.recovery.displaced} processes displaced, ${summary.recovery.workLost} work lost\n`;
+    csvContent += `Admission: ${summary.resources.admission.queued} queued now, ${summary.resources.admission.rejected} rejected, ` +
+        `${summary.resources.admission.delayed} processes delayed, ` +
+        `mean wait ${summary.resources.admission.meanWait !== null ? summary.resources.admission.meanWait : 'n/a'}, ` +
+        `max ${summary.resources.admission.maxWait !== null ? summary.resources.admission.maxWait : 'n/a'}\n`;
+    Object.keys(summary.resources.levels).forEach(name => {
+        const level = summary.resources.levels[name];
+        csvContent += `Resource ${name}: mean ${(level.mean * 100).toFixed(1)}% used, peak ${(level.peak * 100).toFixed(1)}% on one processor, ` +
+            `std dev ${level.stdDev} across processors now\n`;
+    });
+    csvContent += `I/O: ${summary.io.processes} I/O-bound processes, ${summary.io.bursts} I/O bursts, ${summary.io.time} ticks blocked, ` +
+        `${summary.io.blocked} blocked now, ${summary.io.moved} placed on a different processor after I/O\n`;
+    csvContent += `Power Model: ${describePowerModel(simulation.powerModel)}\n`;
+    csvContent += `Energy: ${summary.energy.total} J, mean ${summary.energy.meanPower} W, energy-delay product ${summary.energy.edp}, ` +
+        `${summary.energy.stateTicks.active} active / ${summary.energy.stateTicks.idle} idle / ${summary.energy.stateTicks.sleep} asleep processor-ticks, ` +
+        `${summary.energy.wakeUps} wake-ups\n\n`;
+
+    // Failures and Recovery
+    if (simulation.disturbances.length > 0) {
+        const disturbances = exportTable(simulation, 'disturbances');
+        csvContent += "FAILURES AND RECOVERY\n";
+        csvContent += "-".repeat(60) + "\n";
+        csvContent += toCsv(disturbances) + "\n";
+    }
     
     // Processor Utilization
     csvContent += "PROCESSOR UTILIZATION\n";
     csvContent += "-".repeat(60) + "\n";
-    csvContent += "Processor ID,Current Load,Active Processes,Utilization %\n";
-    loadBalancer.processors.forEach((proc, idx) => {
-        const utilization = Math.min((proc.getLoad() / 120) * 100, 100);
-        csvContent += `${idx},${proc.getLoad()},${proc.processes.length},${utilization.toFixed(2)}%\n`;
+    csvContent += "Processor ID,Speed,Capacity,Scheduler,Status,Current Load,Active Processes,Work Executed,Busy Ticks,Idle Ticks,Offline Ticks,Context Switches,Preemptions,Utilization %\n";
+    loadBalancer.pool.forEach(proc => {
+        const utilization = proc.getUtilization() * 100;
+        csvContent += `${proc.id},${proc.speed},${proc.getCapacity()},${describeScheduler(proc.scheduler)},${proc.online ? 'online' : 'offline'},${proc.getLoad()},${proc.processes.length},${proc.totalExecutionTime},${proc.busyTicks},${proc.idleTicks},${proc.downTicks},${proc.contextSwitches},${proc.preemptions},${utilization.toFixed(2)}%\n`;
     });
     csvContent += "\n";
     
     // Completed Processes Details
     csvContent += "COMPLETED PROCESSES\n";
     csvContent += "-".repeat(60) + "\n";
-    csvContent += "Process ID,Arrival Time,Burst Time,Start Time,Completion Time,Turnaround Time,Waiting Time,Assigned Processor\n";
+    csvContent += "Process ID,Arrival Time,Burst Time,Start Time,Completion Time,Response Time,Waiting Time,Turnaround Time,Migrations\n";
     completedProcesses.forEach(proc => {
-        const turnaroundTime = proc.completionTime - proc.arrivalTime;
-        const waitingTime = turnaroundTime - proc.burstTime;
-        csvContent += `P${proc.id},${proc.arrivalTime},${proc.burstTime},${proc.startTime},${proc.completionTime},${turnaroundTime},${waitingTime},CPU ${proc.assignedProcessor}\n`;
+        csvContent += `P${proc.id},${proc.arrivalTime},${proc.burstTime},${proc.startTime},${proc.completionTime},${responseTime(proc)},${proc.waitingTime},${turnaroundTime(proc)},${proc.migrations}\n`;
     });
     csvContent += "\n";
     
     // Active Processes
-    if (processes.length - completedProcesses.length > 0) {
+    const activeProcesses = processes.filter(p => p.state !== 'TERMINATED' && p.state !== 'REJECTED');
+    if (activeProcesses.length > 0) {
         csvContent += "ACTIVE PROCESSES\n";
         csvContent += "-".repeat(60) + "\n";
-        csvContent += "Process ID,Arrival Time,Burst Time,Remaining Time,State,Assigned Processor\n";
-        processes.filter(p => p.state !== 'TERMINATED').forEach(proc => {
-            csvContent += `P${proc.id},${proc.arrivalTime},${proc.burstTime},${proc.remainingTime},${proc.state},${proc.assignedProcessor !== null ? 'CPU ' + proc.assignedProcessor : 'Not Assigned'}\n`;
+        csvContent += "Process ID,Arrival Time,Burst Time,Remaining Time,Waiting Time,State,Assigned Processor\n";
+        activeProcesses.forEach(proc => {
+            csvContent += `P${proc.id},${proc.arrivalTime},${proc.burstTime},${proc.remainingTime},${proc.waitingTime},${proc.state},${proc.assignedProcessor !== null ? processLocation(proc) : 'Not Assigned'}\n`;
         });
         csvContent += "\n";
     }
     
     // Performance History
     if (performanceHistory.time.length > 0) {
-        csvContent += "PERFORMANCE HISTORY (Last 50 time units)\n";
+        csvContent += `PERFORMANCE HISTORY (Whole run, one point every ${simulation.historyStride} tick(s))\n`;
         csvContent += "-".repeat(60) + "\n";
-        csvContent += "Time,Average Load,Variance,Migrations\n";
+        csvContent += "Time,Average Load,Load Std Dev,Migrations,Completed,Processors Busy %," +
+            loadBalancer.pool.map(p => `CPU ${p.id} Queue`).join(',') + "\n";
         performanceHistory.time.forEach((time, i) => {
-            csvContent += `${time},${performanceHistory.avgLoad[i]},${performanceHistory.variance[i]},${performanceHistory.migrations[i]}\n`;
+            csvContent += `${time},${performanceHistory.avgLoad[i]},${performanceHistory.variance[i]},${performanceHistory.migrations[i]},` +
+                `${performanceHistory.completed[i]},${(performanceHistory.utilization[i] * 100).toFixed(0)},${performanceHistory.queueLengths[i].join(',')}\n`;
         });
         csvContent += "\n";
     }
@@ -633,16 +3018,7 @@ function downloadReport() {
     // Algorithm Comparison Notes
     csvContent += "ALGORITHM NOTES\n";
     csvContent += "-".repeat(60) + "\n";
-    if (loadBalancer.algorithm === 'static') {
-        csvContent += "Static (Round Robin): Processes are assigned in a circular order.\n";
-        csvContent += "No dynamic load balancing or process migration occurs.\n";
-    } else if (loadBalancer.algorithm === 'dynamic') {
-        csvContent += "Dynamic (Min Load): Processes are assigned to the processor with minimum load.\n";
-        csvContent += "Automatic process migration occurs when load imbalance exceeds threshold.\n";
-    } else if (loadBalancer.algorithm === 'adaptive') {
-        csvContent += "Adaptive (Smart): Assignment considers both current load and process count.\n";
-        csvContent += "Intelligent process migration based on predicted future load.\n";
-    }
+    csvContent += `${loadBalancer.strategy.label}: ${loadBalancer.strategy.description || 'No description provided.'}\n`;
     csvContent += "\n";
     
     // Footer
@@ -650,20 +3026,215 @@ function downloadReport() {
     csvContent += "End of Report\n";
     csvContent += "Generated by Dynamic Load Balancing Simulator\n";
     
-    // Create blob and download
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    // Mixed sections, so this is plain text; the export dialog offers clean CSV tables.
+    downloadFile(`LoadBalancing_Report_${loadBalancer.algorithm}_${Date.now()}.txt`, csvContent, 'text/plain;charset=utf-8;');
+}
+
+function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type: type });
     const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    
-    const filename = `LoadBalancing_Report_${loadBalancer.algorithm}_${Date.now()}.csv`;
-    link.setAttribute('href', url);
+    link.setAttribute('href', URL.createObjectURL(blob));
     link.setAttribute('download', filename);
     link.style.visibility = 'hidden';
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
 }
+
+// -------------------------
+// Export Dialog
+// -------------------------
+const HTML_SUMMARY_PROCESS_ROWS = 200;
+
+function initializeExportDialog() {
+    const container = document.getElementById('exportCsvButtons');
+    Object.keys(EXPORT_DATASETS).forEach(dataset => {
+        const button = document.createElement('button');
+        button.className = 'btn-download';
+        button.textContent = `${EXPORT_DATASETS[dataset].label} (CSV)`;
+        button.onclick = () => exportCsv(dataset);
+        container.appendChild(button);
+    });
+}
+
+function openExportDialog() {
+    const dialog = document.getElementById('exportDialog');
+    if (dialog.showModal) dialog.showModal();
+    else dialog.setAttribute('open', '');
+}
+
+function closeExportDialog() {
+    const dialog = document.getElementById('exportDialog');
+    if (dialog.close) dialog.close();
+    else dialog.removeAttribute('open');
+}
+
+function exportFileName(suffix, extension) {
+    return `LoadBalancing_${simulation.algorithm}_seed${simulation.seed}_${suffix}.${extension}`;
+}
+
+function exportCsv(dataset) {
+    if (liveRun) {
+        withSimulation(() => exportCsv(dataset));
+        return;
+    }
+    downloadFile(exportFileName(dataset, 'csv'), toCsv(exportTable(simulation, dataset)), 'text/csv;charset=utf-8;');
+}
+
+function exportCombinedJson() {
+    if (liveRun) {
+        withSimulation(exportCombinedJson);
+        return;
+    }
+    downloadFile(exportFileName('export', 'json'), JSON.stringify(exportJson(simulation, snapshotMeta()), null, 2),
+        'application/json');
+}
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function htmlTable(columns, rows) {
+    const head = columns.map(c => `<th>${escapeHtml(c)}</th>`).join('');
+    const body = rows.map(row => `<tr>${row.map(v => `<td>${escapeHtml(v)}</td>`).join('')}</tr>`).join('');
+    return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+// A self-contained page meant for printing or saving as PDF from the browser.
+function exportHtmlSummary() {
+    if (liveRun) {
+        withSimulation(exportHtmlSummary);
+        return;
+    }
+    const summary = simulation.getSummary();
+    const processors = exportTable(simulation, 'processors');
+    const processes = exportTable(simulation, 'processes');
+    const chartImage = chart ? `<img src="${chart.canvas.toDataURL('image/png')}" alt="Performance chart">` : '';
+
+    const runRows = [
+        ['Algorithm', simulation.loadBalancer.strategy.label],
+        ['Seed', simulation.seed],
+        ['Workload', describeWorkload()],
+        ['Processors', `${summary.processors} (speeds ${summary.speeds.join(', ')})`],
+        ['Topology', describeTopology(simulation.topology.spec)],
+        ['Capacities', simulation.processorSpecs.map(spec => describeResources(spec.capacity)).join(' | ')],
+        ['Local schedulers', simulation.loadBalancer.pool.map(p => describeScheduler(p.scheduler)).join(' | ')],
+        ['Failure policy', simulation.failurePolicy],
+        ['Scheduled faults', simulation.faults.length ? simulation.faults.map(describeFault).join(', ') : 'none'],
+        ['Scenario', simulation.scenario.length
+            ? simulation.scenario.map(e => `@${e.tick} ${describeScenarioEvent(e)}`).join('; ') : 'none'],
+        ['Migration cost', `${summary.migrationCost.delay} tick delay, ${summary.migrationCost.affinityPenalty} affinity penalty`],
+        ['Balancing', describeBalancing(summary.balancing)],
+        ['Power model', describePowerModel(summary.energy.model)],
+        ['Ticks simulated', summary.ticks],
+        ['Processes', `${summary.completed} of ${summary.processes} completed`]
+    ];
+    const metricRows = [
+        ['Makespan', summary.makespan !== null ? summary.makespan : 'n/a (run not complete)'],
+        ['Waiting time (mean / max)', `${summary.waiting.mean} / ${summary.waiting.max}`],
+        ['Response time (mean / max)', `${summary.response.mean} / ${summary.response.max}`],
+        ['Turnaround time (mean / max)', `${summary.turnaround.mean} / ${summary.turnaround.max}`],
+        ['Mean utilization', `${(summary.utilization.mean * 100).toFixed(1)}%`],
+        ['Throughput (per tick)', `${summary.throughput.overall} overall, ${summary.throughput.recent} in the last ${summary.throughput.window} ticks`],
+        ["Jain's fairness", `${summary.fairness.processes} processes, ${summary.fairness.processors} processors`],
+        ['Migrations', `${summary.migrations} (${summary.migrationTimeLost.total} time lost)`],
+        ['Migration distance', `mean ${summary.migrationDistance.mean}, ${summary.migrationDistance.local} local, ${summary.migrationDistance.remote} remote`],
+        ['Context switches / preemptions', `${summary.contextSwitches} / ${summary.preemptions}`],
+        ['Load std dev (final / mean / peak)', `${summary.loadStdDev.final} / ${summary.loadStdDev.mean} / ${summary.loadStdDev.peak}`],
+        ['Recovery (mean / max ticks)', summary.recovery.disturbances
+            ? `${summary.recovery.meanTime !== null ? summary.recovery.meanTime : 'n/a'} / ${summary.recovery.maxTime !== null ? summary.recovery.maxTime : 'n/a'} ` +
+                `(${summary.recovery.recovered} of ${summary.recovery.disturbances} recovered, ${summary.recovery.workLost} work lost)`
+            : 'no failures'],
+        ['Admission wait (mean / max)', summary.resources.admission.delayed
+            ? `${summary.resources.admission.meanWait} / ${summary.resources.admission.maxWait} (${summary.resources.admission.delayed} delayed)`
+            : 'none'],
+        ['Rejected (too large for any processor)', summary.resources.admission.rejected],
+        ...Object.keys(summary.resources.levels).map(name => [`${name} used (mean / peak)`,
+            `${(summary.resources.levels[name].mean * 100).toFixed(1)}% / ${(summary.resources.levels[name].peak * 100).toFixed(1)}%`]),
+        ['I/O', summary.io.processes
+            ? `${summary.io.processes} I/O-bound processes, ${summary.io.bursts} bursts, ${summary.io.time} ticks blocked, ` +
+                `${summary.io.moved} placed elsewhere after I/O`
+            : 'none'],
+        ['Energy', `${summary.energy.total} J (mean ${summary.energy.meanPower} W, ${summary.energy.wakeUps} wake-ups)`],
+        ['Energy-delay product', summary.energy.edp]
+    ];
+    const disturbances = exportTable(simulation, 'disturbances');
+    const migrations = simulation.events.filter(e => e.type === 'migration');
+    const migrationRows = migrations.slice(0, HTML_SUMMARY_PROCESS_ROWS).map(e => [
+        e.tick, `P${e.processId}`, `CPU ${e.processor} → CPU ${e.target}`, `${e.load} → ${e.targetLoad}`,
+        e.gap !== null ? `${e.gap} vs ${e.threshold}` : '', e.reason
+    ]);
+    const migrationNote = migrations.length > HTML_SUMMARY_PROCESS_ROWS
+        ? `<p class="note">First ${HTML_SUMMARY_PROCESS_ROWS} of ${migrations.length} migrations; the Event Log CSV has all events.</p>`
+        : '';
+    const processNote = processes.rows.length > HTML_SUMMARY_PROCESS_ROWS
+        ? `<p class="note">First ${HTML_SUMMARY_PROCESS_ROWS} of ${processes.rows.length} processes; the Processes CSV has all of them.</p>`
+        : '';
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Load Balancing Simulation Summary</title>
+<style>
+    body { font-family: Arial, sans-serif; color: #111827; margin: 40px; }
+    h1 { font-size: 1.6rem; margin-bottom: 4px; }
+    h2 { font-size: 1.15rem; margin-top: 28px; border-bottom: 2px solid #e5e7eb; padding-bottom: 4px; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.85rem; }
+    th, td { border: 1px solid #d1d5db; padding: 4px 8px; text-align: left; }
+    th { background: #f3f4f6; }
+    img { max-width: 100%; background: #374151; border-radius: 6px; }
+    .note, .generated { color: #6b7280; font-size: 0.8rem; }
+    @media print { button { display: none; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<button onclick="window.print()">Print / Save as PDF</button>
+<h1>Load Balancing Simulation Summary</h1>
+<p class="generated">Generated ${escapeHtml(new Date().toLocaleString())}</p>
+<h2>Run</h2>
+${htmlTable(['Setting', 'Value'], runRows)}
+<h2>Metrics</h2>
+${htmlTable(['Metric', 'Value'], metricRows)}
+<h2>Performance Over Time</h2>
+${chartImage}
+<h2>Processors</h2>
+${htmlTable(processors.columns, processors.rows)}
+${disturbances.rows.length ? `<h2>Failures &amp; Recovery</h2>\n${htmlTable(disturbances.columns, disturbances.rows)}` : ''}
+<h2>Migrations</h2>
+${migrationNote}
+${migrations.length ? htmlTable(['Tick', 'Process', 'Move', 'Loads', 'Gap vs threshold', 'Reason'], migrationRows) : '<p class="note">No migrations.</p>'}
+<h2>Processes</h2>
+${processNote}
+${htmlTable(processes.columns, processes.rows.slice(0, HTML_SUMMARY_PROCESS_ROWS))}
+<h2>Algorithm</h2>
+<p>${escapeHtml(simulation.loadBalancer.strategy.description || 'No description provided.')}</p>
+</body>
+</html>
+`;
+    downloadFile(exportFileName('summary', 'html'), html, 'text/html;charset=utf-8;');
+}
 window.onload = () => {
+    setupTraceDropZone();
+    initializeGeneratorForm();
+    initializeAlgorithmSelect();
+    initializeSchedulerSelect();
+    initializeFailureControls();
+    initializeTopologyControls();
+    initializePowerControls();
+    initializeComparisonPanel();
+    initializeSweepPanel();
+    initializeExportDialog();
+    initializeEventFilters();
+    initializeClockControls();
+    setupGanttHover();
     initializeSystem();
     updateUI();
+    initializeAutosave();
 };
+
+// The worker's copy was autosaved when its clock last stopped.
+window.addEventListener('beforeunload', () => {
+    if (simulation && !liveRun && autosaveEnabled()) autosave();
+});
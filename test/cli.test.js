@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runCli } = require('./helpers');
+
+test('--resume runs --ticks more ticks past the snapshot', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lbs-'));
+    const file = path.join(dir, 'run.json');
+    try {
+        runCli(['--seed', '3', '--arrival', 'poisson', '--ticks', '100', '--save-snapshot', file]);
+        const summary = runCli(['--resume', file, '--ticks', '50']);
+        assert.strictEqual(summary.ticks, 150);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('--resume refuses options the snapshot sets', () => {
+    assert.throws(() => runCli(['--resume', 'run.json', '--processors', '8', '--algorithm', 'static']),
+        err => /--resume cannot be combined with --processors, --algorithm/.test(err.stderr));
+});
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_TICKS, createSimulation } = require('./helpers');
+
+test('the same seed replays the same run', () => {
+    const a = createSimulation();
+    const b = createSimulation();
+    assert.deepStrictEqual(b.run(MAX_TICKS), a.run(MAX_TICKS));
+    assert.deepStrictEqual(b.loadBalancer.migrationLog, a.loadBalancer.migrationLog);
+    assert.deepStrictEqual(b.events, a.events);
+});
+
+test('a different seed gives a different workload', () => {
+    const a = createSimulation({ seed: 1 });
+    const b = createSimulation({ seed: 2 });
+    assert.notDeepStrictEqual(b.processes.map(p => p.burstTime), a.processes.map(p => p.burstTime));
+});
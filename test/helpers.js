@@ -0,0 +1,43 @@
+// Shared setup for the engine tests: a seeded workload that exercises most of
+// the engine (I/O bursts, memory demands, migration cost, topology, energy).
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { Simulation } = require('../engine/simulation');
+const { normalizeGeneratorConfig } = require('../engine/workload');
+const { normalizeTopology } = require('../engine/topology');
+const { normalizePowerModel } = require('../engine/energy');
+
+const MAX_TICKS = 20000;
+
+function simulationOptions(overrides = {}) {
+    return Object.assign({
+        algorithm: 'dynamic',
+        seed: 7,
+        numProcessors: 6,
+        speeds: [1, 2],
+        capacities: [{ memory: 4096 }],
+        topology: normalizeTopology({ type: 'numa', nodeSize: 3 }),
+        migrationCost: { delay: 1, affinityPenalty: 1 },
+        power: normalizePowerModel({ governor: 'ondemand', sleepAfter: 5, wakeLatency: 2 }),
+        generator: normalizeGeneratorConfig({
+            duration: 200,
+            arrival: { type: 'poisson', rate: 0.4 },
+            burst: { type: 'pareto', alpha: 1.5, min: 5, max: 200 },
+            io: { type: 'alternating', fraction: 0.3 },
+            memory: { type: 'uniform', min: 256, max: 2048 }
+        })
+    }, overrides);
+}
+
+function createSimulation(overrides) {
+    return new Simulation(simulationOptions(overrides));
+}
+
+// Runs cli.js with `args` and returns the summary it prints.
+function runCli(args) {
+    const output = execFileSync(process.execPath, [path.join(__dirname, '..', 'cli.js'), ...args],
+        { encoding: 'utf8', stdio: 'pipe' });
+    return JSON.parse(output);
+}
+
+module.exports = { MAX_TICKS, simulationOptions, createSimulation, runCli };
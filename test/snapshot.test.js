@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSnapshot, restoreSnapshot, Checkpoints } = require('../engine/snapshot');
+const { MAX_TICKS, createSimulation } = require('./helpers');
+
+// A resumed run must end exactly where the uninterrupted one does.
+[
+    { label: 'a balanced run', overrides: {} },
+    { label: 'an auto-tuned run', overrides: { algorithm: 'topology-aware', autoTune: true } },
+    { label: 'an energy-aware run', overrides: { algorithm: 'consolidate' } }
+].forEach(({ label, overrides }) => {
+    test(`resuming ${label} from a snapshot matches the uninterrupted run`, () => {
+        const original = createSimulation(overrides);
+        original.run(60);
+        const resumed = restoreSnapshot(JSON.stringify(createSnapshot(original)));
+        assert.strictEqual(resumed.currentTime, original.currentTime);
+
+        const expected = original.run(MAX_TICKS);
+        assert.deepStrictEqual(resumed.run(MAX_TICKS), expected);
+        assert.deepStrictEqual(resumed.loadBalancer.migrationLog, original.loadBalancer.migrationLog);
+        assert.deepStrictEqual(resumed.history, original.history);
+    });
+});
+
+test('snapshots from before version 2 are refused', () => {
+    const snapshot = createSnapshot(createSimulation());
+    snapshot.version = 1;
+    assert.throws(() => restoreSnapshot(snapshot), { name: 'SnapshotError', message: /older build/ });
+});
+
+test('checkpoints stay within their size budget, keeping the first and the latest', () => {
+    const simulation = createSimulation();
+    const checkpoints = new Checkpoints({ interval: 1, limit: 100 });
+    assert.strictEqual(checkpoints.maxSize, 100 * 100e3);
+
+    const small = new Checkpoints({ interval: 1, limit: 100, maxSize: 5 * 40e3 });
+    for (let tick = 0; tick < 30; tick++) {
+        simulation.step();
+        small.capture(simulation);
+    }
+    assert.ok(small.size <= small.maxSize, `${small.size} characters kept`);
+    assert.strictEqual(small.saved[0].tick, 0);
+    assert.strictEqual(small.saved[small.saved.length - 1].tick, simulation.currentTime);
+    assert.ok(small.saved.length < 30);
+});
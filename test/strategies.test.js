@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { listStrategies } = require('../engine/strategies');
+const { MAX_TICKS, createSimulation, runCli } = require('./helpers');
+
+listStrategies().forEach(strategy => {
+    test(`${strategy.id} completes every process`, () => {
+        const summary = createSimulation({ algorithm: strategy.id }).run(MAX_TICKS);
+        assert.ok(summary.allCompleted, `${summary.completed}/${summary.processes} done after ${summary.ticks} ticks`);
+    });
+});
+
+// With a costly migration and a low threshold these used to move the same
+// processes back and forth for good, since a move did not have to narrow the gap.
+['sender-initiated', 'receiver-initiated', 'diffusion', 'topology-aware'].forEach(algorithm => {
+    test(`${algorithm} with a low threshold and an affinity penalty does not livelock`, () => {
+        const summary = runCli([
+            '--seed', '42', '--processors', '8', '--arrival', 'poisson:rate=0.5', '--io', 'alternating',
+            '--migration-delay', '2', '--affinity-penalty', '3', '--topology', 'numa', '--algorithm', algorithm,
+            '--threshold', '2', '--interval', '1', '--ticks', '20000'
+        ]);
+        assert.ok(summary.allCompleted, `${summary.completed}/${summary.processes} done after ${summary.ticks} ticks`);
+    });
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSnapshot, restoreSnapshot } = require('../engine/snapshot');
+const { normalizeTopology } = require('../engine/topology');
+const { createSimulation } = require('./helpers');
+
+// Three sockets of two processors each.
+const SIX = [
+    [0, 1, 3, 3, 5, 5],
+    [1, 0, 3, 3, 5, 5],
+    [3, 3, 0, 1, 3, 3],
+    [3, 3, 1, 0, 3, 3],
+    [5, 5, 3, 3, 0, 1],
+    [5, 5, 3, 3, 1, 0]
+];
+
+test('asymmetric distance matrices are refused', () => {
+    assert.throws(() => normalizeTopology({ type: 'matrix', distances: '0,1,2;1,0,1;3,1,0' }),
+        { message: /Distance 0→2 \(2\) must equal 2→0 \(3\)/ });
+});
+
+test('a distance matrix must list every processor in the pool', () => {
+    assert.throws(() => createSimulation({ topology: { type: 'matrix', distances: SIX.slice(0, 3).map(row => row.slice(0, 3)) } }),
+        { message: /lists 3 processors but the pool has 6/ });
+    assert.throws(() => normalizeTopology({ type: 'matrix', distances: SIX }, 4), { message: /pool has 4/ });
+});
+
+test('hot-added processors sit at the matrix\'s largest distance, also after a resume', () => {
+    const simulation = createSimulation({ topology: { type: 'matrix', distances: SIX }, faults: [{ tick: 10, action: 'add' }] });
+    simulation.run(20);
+    assert.strictEqual(simulation.numProcessors, 7);
+    assert.deepStrictEqual(simulation.topology.distances[6], [5, 5, 5, 5, 5, 5, 0]);
+
+    const resumed = restoreSnapshot(JSON.stringify(createSnapshot(simulation)));
+    assert.deepStrictEqual(resumed.topology.distances, simulation.topology.distances);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { listStrategies } = require('../engine/strategies');
+const { MAX_TICKS, createSimulation, runCli } = require('./helpers');
+
+listStrategies().forEach(strategy => {
+    test(`${strategy.id} completes every process with auto-tuning`, () => {
+        const summary = createSimulation({ algorithm: strategy.id, autoTune: true }).run(MAX_TICKS);
+        assert.ok(summary.allCompleted, `${summary.completed}/${summary.processes} done after ${summary.ticks} ticks`);
+    });
+});
+
+// A lone process used to circulate around the NUMA ring for good: the tuner
+// read its imbalance as a reason to tighten and never counted the moves as churn.
+['diffusion', 'topology-aware', 'consolidate', 'receiver-initiated'].forEach(algorithm => {
+    test(`auto-tuned ${algorithm} with power management does not livelock`, () => {
+        const summary = runCli([
+            '--seed', '42', '--processors', '8', '--arrival', 'poisson:rate=0.5', '--io', 'alternating',
+            '--migration-delay', '2', '--affinity-penalty', '3', '--topology', 'numa', '--algorithm', algorithm,
+            '--auto-tune', 'on', '--power', 'governor=ondemand,sleepAfter=5,wakeLatency=2', '--ticks', '20000'
+        ]);
+        assert.ok(summary.allCompleted, `${summary.completed}/${summary.processes} done after ${summary.ticks} ticks`);
+    });
+});
+
+test('the tuner forgets processes once they complete', () => {
+    const simulation = createSimulation({ algorithm: 'diffusion', autoTune: true });
+    simulation.run(MAX_TICKS);
+    assert.ok(simulation.loadBalancer.migrationCount > 0);
+    assert.deepStrictEqual(simulation.tuner.lastMoved, {});
+});